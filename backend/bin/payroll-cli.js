@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Command-line payroll processing
+ *
+ *   node bin/payroll-cli.js [options] <report.pdf|directory>...
+ *
+ * Exit codes: 0 no violations remain, 1 violations remain, 2 invalid
+ * arguments, 3 a report could not be processed.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const ruleEngine = require('../services/ruleEngine');
+const reportRunner = require('../services/reportRunner');
+
+const EXIT_OK = 0;
+const EXIT_VIOLATIONS = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILED = 3;
+
+const EXTRACTION_MODES = ['text', 'layout'];
+
+const USAGE = `Usage: payroll-cli [options] <report.pdf|directory>...
+
+Parses each payroll PDF (or every PDF in a directory), applies the payroll
+rules and writes <name>_corrected.pdf, <name>_changes.csv,
+<name>_changes.json and <name>_reconciliation.txt to the output directory.
+
+Options:
+  -o, --out <dir>            Output directory (default: ./output)
+  -m, --extraction-mode <m>  text (default) or layout
+  -d, --disable-rule <id>    Skip a rule by its id in rules.json, e.g. rule4;
+                             repeat for several rules
+      --dry-run              Only report rule violations in the parsed
+                             entries; nothing is corrected or written
+      --verbose              Show the parser and rule engine log
+  -h, --help                 Show this help
+
+Exits with 1 when violations remain, 2 for invalid arguments and 3 when a
+report could not be processed.
+`;
+
+/**
+ * Parse the command line, or return { error } for invalid arguments
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o', default: 'output' },
+        'extraction-mode': { type: 'string', short: 'm', default: 'text' },
+        'disable-rule': { type: 'string', short: 'd', multiple: true, default: [] },
+        'dry-run': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length === 0) {
+    return { error: 'No report given' };
+  }
+  if (!EXTRACTION_MODES.includes(values['extraction-mode'])) {
+    return { error: `--extraction-mode must be one of: ${EXTRACTION_MODES.join(', ')}` };
+  }
+
+  return {
+    inputs: positionals,
+    outDir: path.resolve(values.out),
+    extractionMode: values['extraction-mode'],
+    // Accept "-d rule4,rule9" as well as repeated flags
+    disabledRules: values['disable-rule'].flatMap(value => value.split(',')).map(id => id.trim()).filter(Boolean),
+    dryRun: values['dry-run'],
+    verbose: values.verbose
+  };
+}
+
+async function main(argv) {
+  const options = parseCommandLine(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (options.error) {
+    process.stderr.write(`${options.error}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  // The services log every step; keep stdout to the per-report results
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  let inputs;
+  try {
+    ruleEngine.getActiveRules(options.disabledRules);
+    inputs = reportRunner.collectInputs(options.inputs);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return EXIT_USAGE;
+  }
+  if (inputs.length === 0) {
+    process.stderr.write('No PDF reports found\n');
+    return EXIT_USAGE;
+  }
+
+  let exitCode = EXIT_OK;
+  for (const input of inputs) {
+    try {
+      const summary = await reportRunner.processFile(input, options);
+      const counts = options.dryRun
+        ? `${summary.entries} entries, ${summary.violations.length} violations`
+        : `${summary.entries} entries, ${summary.changes.length} changes, ${summary.needsReview.length} for review, ${summary.violations.length} violations remaining`;
+      process.stdout.write(`${input}: ${counts}, totals ${summary.reconciliation.status}\n`);
+
+      if (options.dryRun) {
+        summary.violations.forEach(violation => {
+          process.stdout.write(`  ${violation.employeeName} (${violation.employeeId}) ${violation.date}: ${violation.issue}\n`);
+        });
+      } else {
+        summary.outputs.forEach(output => process.stdout.write(`  wrote ${output}\n`));
+      }
+
+      if (summary.violations.length > 0 && exitCode === EXIT_OK) {
+        exitCode = EXIT_VIOLATIONS;
+      }
+    } catch (error) {
+      process.stderr.write(`${input}: ${error.message}\n`);
+      exitCode = EXIT_FAILED;
+    }
+  }
+
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * Restrict a route to callers presenting the admin token
+ *
+ * The token is read from ADMIN_API_TOKEN and sent by clients as
+ * "Authorization: Bearer <token>". Without a configured token, admin routes
+ * are open in development and disabled in production.
+ */
+function requireAdmin(req, res, next) {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+
+  if (!expectedToken) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(503).json({
+        error: 'Admin access is not configured',
+        details: 'Set ADMIN_API_TOKEN to enable this endpoint'
+      });
+    }
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  const providedToken = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+
+  const expected = Buffer.from(expectedToken);
+  const provided = Buffer.from(providedToken);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: 'Admin authorization required'
+    });
+  }
+
+  next();
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,105 @@
+const express = require('express');
+const historyStore = require('../services/historyStore');
+const Validator = require('../utils/validation');
+
+const router = express.Router();
+
+// Validate the run id for every /:id route
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      error: 'Invalid run id'
+    });
+  }
+  req.runId = Number(id);
+  next();
+});
+
+// List past processing runs
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+    const { runs, total } = historyStore.listRuns({ limit, offset });
+
+    res.json({
+      success: true,
+      total,
+      runs
+    });
+
+  } catch (error) {
+    console.error('Error listing processing history:', error);
+    res.status(500).json({
+      error: 'Failed to load processing history',
+      message: error.message
+    });
+  }
+});
+
+// Get a run with its entries and changes
+router.get('/:id', (req, res) => {
+  try {
+    const run = historyStore.getRun(req.runId);
+
+    if (!run) {
+      return res.status(404).json({
+        error: 'Run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+
+  } catch (error) {
+    console.error('Error loading run:', error);
+    res.status(500).json({
+      error: 'Failed to load run',
+      message: error.message
+    });
+  }
+});
+
+// Record the reviewer's approval of a run
+router.post('/:id/approve', (req, res) => {
+  try {
+    const { approvedBy, changes, acceptedChanges, correctedData } = req.body;
+
+    if (!Array.isArray(changes) || !Array.isArray(acceptedChanges) || !Array.isArray(correctedData)) {
+      return res.status(400).json({
+        error: 'Invalid approval',
+        details: 'changes, acceptedChanges and correctedData must be arrays'
+      });
+    }
+
+    const approved = historyStore.approveRun(req.runId, {
+      approvedBy: Validator.sanitizeText(approvedBy),
+      changes,
+      acceptedChanges,
+      correctedEntries: correctedData
+    });
+
+    if (!approved) {
+      return res.status(404).json({
+        error: 'Run not found'
+      });
+    }
+
+    console.log(`Run ${req.runId} approved with ${acceptedChanges.length} of ${changes.length} changes`);
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error approving run:', error);
+    res.status(500).json({
+      error: 'Failed to approve run',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const holidayCalendar = require('../services/holidayCalendar');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const router = express.Router();
+
+/**
+ * Keep only the fields a holiday definition may carry
+ *
+ * The name is display text, only trimmed - "New Year's Day" keeps its
+ * apostrophe. validateDefinition rejects a name that is not a string.
+ */
+function pickDefinition(body, id) {
+  const definition = {
+    id,
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    type: body.type
+  };
+
+  ['month', 'day', 'weekday', 'week', 'offsetDays'].forEach(field => {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      definition[field] = Number(body[field]);
+    }
+  });
+
+  if (body.type === 'fixed') {
+    definition.observed = Boolean(body.observed);
+  }
+
+  if (body.type === 'date') {
+    definition.date = body.date;
+  }
+
+  return definition;
+}
+
+/**
+ * Build a unique slug id from a holiday name
+ */
+function generateId(name, existing) {
+  const base = name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'holiday';
+  let id = base;
+  let suffix = 2;
+
+  while (existing.some(holiday => holiday.id === id)) {
+    id = `${base}-${suffix++}`;
+  }
+
+  return id;
+}
+
+// List holiday definitions and the observed dates for a year
+router.get('/', (req, res) => {
+  const year = Number.parseInt(req.query.year, 10) || new Date().getFullYear();
+
+  res.json({
+    success: true,
+    year,
+    definitions: holidayCalendar.getDefinitions(),
+    holidays: holidayCalendar.getHolidaysForYear(year)
+  });
+});
+
+// Add a holiday
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    const definitions = holidayCalendar.getDefinitions();
+    const definition = pickDefinition(req.body, null);
+
+    const errors = holidayCalendar.validateDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid holiday',
+        details: errors.join('; ')
+      });
+    }
+
+    definition.id = generateId(definition.name, definitions);
+
+    holidayCalendar.save([...definitions, definition]);
+    console.log(`Holiday added: ${definition.name}`);
+
+    res.status(201).json({
+      success: true,
+      holiday: definition
+    });
+
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+    res.status(500).json({
+      error: 'Failed to add holiday',
+      message: error.message
+    });
+  }
+});
+
+// Update a holiday
+router.put('/:id', requireAdmin, (req, res) => {
+  try {
+    const definitions = holidayCalendar.getDefinitions();
+    const index = definitions.findIndex(holiday => holiday.id === req.params.id);
+
+    if (index === -1) {
+      return res.status(404).json({
+        error: 'Holiday not found'
+      });
+    }
+
+    const definition = pickDefinition(req.body, req.params.id);
+    const errors = holidayCalendar.validateDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid holiday',
+        details: errors.join('; ')
+      });
+    }
+
+    const updated = [...definitions];
+    updated[index] = definition;
+    holidayCalendar.save(updated);
+    console.log(`Holiday updated: ${definition.name}`);
+
+    res.json({
+      success: true,
+      holiday: definition
+    });
+
+  } catch (error) {
+    console.error('Error updating holiday:', error);
+    res.status(500).json({
+      error: 'Failed to update holiday',
+      message: error.message
+    });
+  }
+});
+
+// Remove a holiday
+router.delete('/:id', requireAdmin, (req, res) => {
+  try {
+    const definitions = holidayCalendar.getDefinitions();
+
+    if (!definitions.some(holiday => holiday.id === req.params.id)) {
+      return res.status(404).json({
+        error: 'Holiday not found'
+      });
+    }
+
+    holidayCalendar.save(definitions.filter(holiday => holiday.id !== req.params.id));
+    console.log(`Holiday removed: ${req.params.id}`);
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error removing holiday:', error);
+    res.status(500).json({
+      error: 'Failed to remove holiday',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,42 @@
 const express = require('express');
 const multer = require('multer');
-const pdfParser = require('../services/pdfParser');
+const spreadsheetParser = require('../services/spreadsheetParser');
+const payrollPipeline = require('../services/payrollPipeline');
+const jobManager = require('../services/jobManager');
 const ruleEngine = require('../services/ruleEngine');
+const rateStore = require('../services/rateStore');
 const pdfGenerator = require('../services/pdfGenerator');
+const excelGenerator = require('../services/excelGenerator');
+const Validator = require('../utils/validation');
 
 const router = express.Router();
 
+// Extraction modes a client may request for /process
+const EXTRACTION_MODES = ['text', 'layout'];
+
+// Most reports accepted by one /process-batch request
+const MAX_BATCH_FILES = 10;
+
+// Interval between keep-alive comments on a job's event stream
+const SSE_HEARTBEAT_MS = 15000;
+
+// Upload formats, recognized by extension since browsers report CSV
+// files under several MIME types
+const UPLOAD_FORMATS = {
+  pdf: ['application/pdf'],
+  csv: ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream']
+};
+
+/**
+ * Get the format of an uploaded file (pdf, csv or xlsx), or null if unsupported
+ */
+function getUploadFormat(file) {
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+  const mimeTypes = UPLOAD_FORMATS[extension];
+  return mimeTypes && mimeTypes.includes(file.mimetype) ? extension : null;
+}
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -13,88 +44,209 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (getUploadFormat(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error('Only PDF, CSV or XLSX files are allowed'), false);
     }
   }
 });
 
-// Process payroll PDF
-router.post('/process', upload.single('payrollPdf'), async (req, res) => {
+/**
+ * Check the rules chosen for a run (the "rules" field: a JSON array or
+ * comma-separated list of rule ids), returning the 400 response body or null
+ */
+function validateRuleSelection(req) {
+  try {
+    const ruleIds = payrollPipeline.parseRuleIds(req.body.rules);
+    if (ruleIds !== null && !Array.isArray(ruleIds)) {
+      throw new Error('rules must be a list of rule ids');
+    }
+    ruleEngine.selectRules(ruleIds);
+    return null;
+  } catch (selectionError) {
+    return {
+      error: 'Invalid rule selection',
+      details: `${selectionError.message}. Rule ids: ${ruleEngine.listRules().map(rule => rule.id).join(', ')}`
+    };
+  }
+}
+
+/**
+ * Check a /process or /jobs upload, returning the 400 response body or null
+ */
+function validateProcessRequest(req) {
+  if (!req.file) {
+    return {
+      error: 'No PDF file uploaded',
+      details: 'File field "payrollPdf" is required'
+    };
+  }
+
+  const extractionMode = req.body.extractionMode || 'text';
+  if (!EXTRACTION_MODES.includes(extractionMode)) {
+    return {
+      error: 'Invalid extraction mode',
+      details: `extractionMode must be one of: ${EXTRACTION_MODES.join(', ')}`
+    };
+  }
+
+  return validateRuleSelection(req);
+}
+
+/**
+ * Pipeline options for a validated /process or /jobs upload
+ */
+function getProcessOptions(req) {
+  return {
+    format: getUploadFormat(req.file),
+    extractionMode: req.body.extractionMode || 'text',
+    columnMapping: req.body.columnMapping,
+    rules: payrollPipeline.parseRuleIds(req.body.rules),
+    explain: isExplainRequested(req)
+  };
+}
+
+/**
+ * Check a /process-batch upload, returning the 400 response body or null
+ */
+function validateBatchRequest(req) {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return {
+      error: 'No PDF files uploaded',
+      details: `File field "payrollPdfs" is required (up to ${MAX_BATCH_FILES} files)`
+    };
+  }
+
+  const nonPdf = files.filter(file => getUploadFormat(file) !== 'pdf');
+  if (nonPdf.length > 0) {
+    return {
+      error: 'Unsupported format',
+      details: `Batch processing accepts PDF reports only: ${nonPdf.map(file => file.originalname).join(', ')}`
+    };
+  }
+
+  const extractionMode = req.body.extractionMode || 'text';
+  if (!EXTRACTION_MODES.includes(extractionMode)) {
+    return {
+      error: 'Invalid extraction mode',
+      details: `extractionMode must be one of: ${EXTRACTION_MODES.join(', ')}`
+    };
+  }
+
+  return validateRuleSelection(req);
+}
+
+/**
+ * Pipeline options for a validated /process-batch upload
+ */
+function getBatchOptions(req) {
+  return {
+    extractionMode: req.body.extractionMode || 'text',
+    rules: payrollPipeline.parseRuleIds(req.body.rules),
+    explain: isExplainRequested(req)
+  };
+}
+
+/**
+ * Whether the request asked for the rule trace (?explain=true)
+ */
+function isExplainRequested(req) {
+  return req.query.explain === 'true';
+}
+
+// List the rules a run can apply, for choosing which ones run
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    rulesVersion: ruleEngine.version,
+    rules: ruleEngine.listRules()
+  });
+});
+
+// Read a CSV or XLSX upload's headers so the client can map its columns
+router.post('/import/preview', upload.single('payrollPdf'), async (req, res) => {
   try {
-    // Log request details
-    console.log('Received upload request');
-    console.log('File present:', !!req.file);
-    
     if (!req.file) {
-      console.error('No file in request');
       return res.status(400).json({
-        error: 'No PDF file uploaded',
+        error: 'No file uploaded',
         details: 'File field "payrollPdf" is required'
       });
     }
 
-    console.log('Processing PDF:', req.file.originalname, 'Size:', req.file.size);
-
-    // Step 1: Extract text from PDF
-    let extractedText;
-    try {
-      extractedText = await pdfParser.extractText(req.file.buffer);
-      console.log('Text extracted successfully, length:', extractedText.length);
-    } catch (extractError) {
-      console.error('PDF extraction failed:', extractError);
-      return res.status(422).json({
-        error: 'Failed to extract text from PDF',
-        details: extractError.message
+    const format = getUploadFormat(req.file);
+    if (format === 'pdf') {
+      return res.status(400).json({
+        error: 'Unsupported format',
+        details: 'Column mapping applies to CSV and XLSX files only'
       });
     }
 
-    // Step 2: Parse employee data from text
-    let employeeData;
+    let table;
     try {
-      employeeData = await pdfParser.parseEmployeeData(extractedText);
-      console.log('Parsed employee entries:', employeeData.length);
-    } catch (parseError) {
-      console.error('Data parsing failed:', parseError);
+      table = await spreadsheetParser.readTable(req.file.buffer, format);
+    } catch (readError) {
       return res.status(422).json({
-        error: 'Failed to parse payroll data',
-        details: parseError.message
+        error: 'Failed to read spreadsheet',
+        details: readError.message
       });
     }
 
-    // Step 3: Apply business rules and track changes
-    let correctedData, changes;
+    const { mapping, source } = spreadsheetParser.suggestMapping(table.headers);
+
+    res.json({
+      success: true,
+      format,
+      headers: table.headers,
+      rowCount: table.rows.length,
+      sampleRows: spreadsheetParser.getSampleRows(table),
+      fields: spreadsheetParser.getFields(),
+      mapping,
+      mappingSource: source
+    });
+
+  } catch (error) {
+    console.error('Error previewing spreadsheet import:', error);
+    res.status(500).json({
+      error: 'Failed to preview import',
+      message: error.message
+    });
+  }
+});
+
+// Process payroll PDF
+router.post('/process', upload.single('payrollPdf'), async (req, res) => {
+  try {
+    // Log request details
+    console.log('Received upload request');
+    console.log('File present:', !!req.file);
+    
+    const requestError = validateProcessRequest(req);
+    if (requestError) {
+      console.error(requestError.error);
+      return res.status(400).json(requestError);
+    }
+
+    const options = getProcessOptions(req);
+    console.log('Processing', options.format.toUpperCase() + ':', req.file.originalname, 'Size:', req.file.size, 'Extraction:', options.extractionMode);
+
+    let result;
     try {
-      const result = await ruleEngine.applyRules(employeeData);
-      correctedData = result.correctedData;
-      changes = result.changes;
-      console.log('Rules applied successfully, changes made:', changes.length);
-    } catch (ruleError) {
-      console.error('Rule application failed:', ruleError);
-      return res.status(500).json({
-        error: 'Failed to apply business rules',
-        details: ruleError.message
+      result = await payrollPipeline.processUpload(req.file, options);
+    } catch (processingError) {
+      if (!processingError.status) {
+        throw processingError;
+      }
+      console.error(`${processingError.error}:`, processingError.message);
+      return res.status(processingError.status).json({
+        error: processingError.error,
+        details: processingError.message
       });
     }
 
     // Return processed data and changes for review
-    res.json({
-      success: true,
-      originalCount: employeeData.length,
-      correctedCount: correctedData.length,
-      changesCount: changes.length,
-      data: {
-        original: employeeData,
-        corrected: correctedData,
-        changes: changes
-      },
-      metadata: {
-        filename: req.file.originalname,
-        processedAt: new Date().toISOString()
-      }
-    });
+    res.json(result);
 
   } catch (error) {
     console.error('Unexpected error processing payroll PDF:', error);
@@ -113,10 +265,212 @@ router.post('/process', upload.single('payrollPdf'), async (req, res) => {
   }
 });
 
-// Generate corrected PDF
-router.post('/generate-pdf', async (req, res) => {
+// Process several payroll PDFs (e.g. one per branch) as one combined review
+router.post('/process-batch', upload.array('payrollPdfs', MAX_BATCH_FILES), async (req, res) => {
+  try {
+    const requestError = validateBatchRequest(req);
+    if (requestError) {
+      console.error(requestError.error);
+      return res.status(400).json(requestError);
+    }
+
+    const options = getBatchOptions(req);
+    console.log('Processing batch of', req.files.length, 'PDFs, Extraction:', options.extractionMode);
+
+    let result;
+    try {
+      result = await payrollPipeline.processBatch(req.files, options);
+    } catch (processingError) {
+      if (!processingError.status) {
+        throw processingError;
+      }
+      console.error(`${processingError.error}:`, processingError.message);
+      return res.status(processingError.status).json({
+        error: processingError.error,
+        details: processingError.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Unexpected error processing payroll batch:', error);
+
+    res.status(500).json({
+      error: 'Failed to process batch',
+      message: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while processing the PDFs'
+        : error.message
+    });
+  }
+});
+
+// Start processing a file in the background; progress is streamed from /jobs/:id/events
+router.post('/jobs', upload.single('payrollPdf'), (req, res) => {
+  try {
+    const requestError = validateProcessRequest(req);
+    if (requestError) {
+      return res.status(400).json(requestError);
+    }
+
+    const file = req.file;
+    const options = getProcessOptions(req);
+    const job = jobManager.createJob(
+      ({ onProgress, signal }) => payrollPipeline.processUpload(file, options, { onProgress, signal }),
+      { label: file.originalname }
+    );
+    console.log('Started job', job.id, 'for', file.originalname);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('Error starting processing job:', error);
+    res.status(500).json({
+      error: 'Failed to start processing job',
+      message: error.message
+    });
+  }
+});
+
+// Start processing several PDFs as one batch in the background, like /process-batch
+router.post('/jobs/batch', upload.array('payrollPdfs', MAX_BATCH_FILES), (req, res) => {
+  try {
+    const requestError = validateBatchRequest(req);
+    if (requestError) {
+      return res.status(400).json(requestError);
+    }
+
+    const files = req.files;
+    const options = getBatchOptions(req);
+    const label = files.map(file => file.originalname).join(', ');
+    const job = jobManager.createJob(
+      ({ onProgress, signal }) => payrollPipeline.processBatch(files, options, { onProgress, signal }),
+      { label }
+    );
+    console.log('Started batch job', job.id, 'for', label);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('Error starting batch processing job:', error);
+    res.status(500).json({
+      error: 'Failed to start processing job',
+      message: error.message
+    });
+  }
+});
+
+// Get a job's status, and its result once it completed
+router.get('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      details: 'The job does not exist or finished too long ago'
+    });
+  }
+
+  res.json({ success: true, job: jobManager.toJSON(job) });
+});
+
+// Stream a job's progress as Server-Sent Events until it finishes
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      details: 'The job does not exist or finished too long ago'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  let unsubscribe = null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    res.end();
+  };
+
+  unsubscribe = jobManager.subscribe(job.id, event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'status' && jobManager.isFinished(job)) {
+      setImmediate(close);
+    }
+  });
+
+  req.on('close', close);
+});
+
+// Cancel a queued or running job
+router.delete('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      details: 'The job does not exist or finished too long ago'
+    });
+  }
+
+  if (!jobManager.cancelJob(job.id)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      details: `The job is ${job.status}`
+    });
+  }
+
+  console.log('Cancelled job', job.id);
+  res.json({ success: true, job: jobManager.toJSON(job) });
+});
+
+/**
+ * Strip the extension from the uploaded report's name for download names
+ */
+function getReportBaseName(body) {
+  const filename = body.originalFilename || body.originalFileName || 'payroll_report';
+  return filename.replace(/\.(pdf|csv|xlsx)$/i, '');
+}
+
+/**
+ * Whether a download request's ruleSelection (from the /process metadata) is
+ * missing or has the applied and skipped rule lists the PDF footer needs
+ */
+function isRuleSelection(ruleSelection) {
+  return ruleSelection === null || (
+    typeof ruleSelection === 'object' &&
+    Array.isArray(ruleSelection.applied) &&
+    Array.isArray(ruleSelection.skipped)
+  );
+}
+
+/**
+ * Send the corrected report as a PDF
+ */
+async function sendPdfReport(req, res) {
   try {
-    const { correctedData, originalFilename } = req.body;
+    const { correctedData, originalFilename, ruleSelection = null } = req.body;
 
     if (!correctedData || !Array.isArray(correctedData)) {
       return res.status(400).json({
@@ -124,10 +478,16 @@ router.post('/generate-pdf', async (req, res) => {
       });
     }
 
+    if (!isRuleSelection(ruleSelection)) {
+      return res.status(400).json({
+        error: 'Invalid rule selection provided'
+      });
+    }
+
     console.log('Generating PDF for', correctedData.length, 'entries');
 
     // Generate PDF with corrected data
-    const pdfBuffer = await pdfGenerator.generateCorrectedReport(correctedData, originalFilename);
+    const pdfBuffer = await pdfGenerator.generateCorrectedReport(correctedData, originalFilename, ruleSelection);
 
     // Set response headers for PDF download
     res.set({
@@ -145,9 +505,209 @@ router.post('/generate-pdf', async (req, res) => {
       message: error.message
     });
   }
+}
+
+/**
+ * Send the corrected report as an Excel workbook
+ */
+async function sendExcelReport(req, res) {
+  try {
+    const { correctedData, changes = [], sourceIndexes } = req.body;
+
+    if (!correctedData || !Array.isArray(correctedData)) {
+      return res.status(400).json({
+        error: 'Invalid corrected data provided'
+      });
+    }
+
+    if (!Array.isArray(changes)) {
+      return res.status(400).json({
+        error: 'Invalid changes provided'
+      });
+    }
+
+    // Changes are highlighted on the corrected entries made from their input entry
+    if (!Array.isArray(sourceIndexes) || sourceIndexes.length !== correctedData.length ||
+        !sourceIndexes.every(index => Number.isInteger(index) && index >= 0)) {
+      return res.status(400).json({
+        error: 'Invalid source indexes provided',
+        details: 'sourceIndexes must give the input entry index of each corrected entry'
+      });
+    }
+
+    console.log('Generating Excel file for', correctedData.length, 'entries');
+
+    const baseName = getReportBaseName(req.body);
+    const excelBuffer = await excelGenerator.generateCorrectedWorkbook(correctedData, changes, baseName, sourceIndexes);
+
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="corrected_${baseName}.xlsx"`,
+      'Content-Length': excelBuffer.length
+    });
+
+    res.send(excelBuffer);
+
+  } catch (error) {
+    console.error('Error generating Excel file:', error);
+    res.status(500).json({
+      error: 'Failed to generate Excel file',
+      message: error.message
+    });
+  }
+}
+
+// Generate corrected PDF
+router.post('/generate-pdf', sendPdfReport);
+
+// Generate corrected Excel workbook
+router.post('/generate-excel', sendExcelReport);
+
+// Generate the change summary PDF filed with payroll as the audit record
+router.post('/generate-change-summary', async (req, res) => {
+  try {
+    const { changes, findings = [], ruleSelection = null } = req.body;
+
+    if (!changes || !Array.isArray(changes)) {
+      return res.status(400).json({
+        error: 'Invalid changes provided'
+      });
+    }
+
+    if (!Array.isArray(findings)) {
+      return res.status(400).json({
+        error: 'Invalid findings provided'
+      });
+    }
+
+    if (!isRuleSelection(ruleSelection)) {
+      return res.status(400).json({
+        error: 'Invalid rule selection provided'
+      });
+    }
+
+    console.log('Generating change summary for', changes.length, 'changes and', findings.length, 'findings');
+
+    const baseName = getReportBaseName(req.body);
+    const summary = ruleEngine.getSummary(changes);
+    const pdfBuffer = await pdfGenerator.generateChangeSummary(changes, baseName, summary, findings, ruleSelection);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="change_summary_${baseName}.pdf"`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('Error generating change summary:', error);
+    res.status(500).json({
+      error: 'Failed to generate change summary',
+      message: error.message
+    });
+  }
+});
+
+// Download the corrected report in the requested format
+router.post('/download/:format', (req, res) => {
+  const format = req.params.format.toLowerCase();
+
+  if (format === 'pdf') {
+    return sendPdfReport(req, res);
+  }
+
+  if (format === 'excel' || format === 'xlsx') {
+    return sendExcelReport(req, res);
+  }
+
+  res.status(400).json({
+    error: 'Unsupported format',
+    details: 'Format must be pdf or excel'
+  });
 });
 
-// Test endpoint for rule validation
+// Validate a manually edited entry before it is recorded as a change
+router.post('/validate-entry', (req, res) => {
+  try {
+    const { entry } = req.body;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return res.status(400).json({
+        error: 'Invalid entry provided'
+      });
+    }
+
+    // Missing or malformed values block the edit
+    const errors = Validator.validateEntry(entry);
+    if (entry.payType && !Validator.isValidPayType(entry.payType)) {
+      errors.push(`Unknown pay type: ${entry.payType}`);
+    }
+    if (entry.laborRate && !Validator.isValidLaborRate(entry.laborRate)) {
+      errors.push(`Invalid labor rate: ${entry.laborRate}`);
+    }
+    if (entry.costCode && !Validator.isValidCostCode(entry.costCode)) {
+      errors.push(`Invalid cost code: ${entry.costCode}`);
+    }
+    if (!Validator.isValidHours(entry.hours)) {
+      errors.push('Hours must be between 0 and 24');
+    }
+
+    // Business rule issues are warnings - the reviewer may be overriding a rule on purpose
+    const warnings = ruleEngine.validateEntry(entry);
+
+    res.json({
+      success: true,
+      valid: errors.length === 0,
+      errors,
+      warnings
+    });
+
+  } catch (error) {
+    console.error('Error validating entry:', error);
+    res.status(500).json({
+      error: 'Failed to validate entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check the rate table values proposed for a rule test ({ tableId: values }),
+ * returning { tables } with the values normalized, or { error } with the
+ * 400 response body
+ */
+function normalizeProposedTables(proposed) {
+  if (proposed === undefined || proposed === null) {
+    return { tables: null };
+  }
+  if (typeof proposed !== 'object' || Array.isArray(proposed)) {
+    return { error: { error: 'Invalid rate tables', details: 'tables must map table ids to lists of values' } };
+  }
+
+  const tables = {};
+  const errors = [];
+  Object.entries(proposed).forEach(([tableId, values]) => {
+    if (!rateStore.isEditable(tableId)) {
+      errors.push(`Unknown rate table: ${tableId}. Editable tables: ${rateStore.getEditableTableIds().join(', ')}`);
+    } else if (!Array.isArray(values)) {
+      errors.push(`${tableId} must be a list of values`);
+    } else {
+      const result = rateStore.normalizeValues(tableId, values);
+      errors.push(...result.errors.map(message => `${tableId}: ${message}`));
+      tables[tableId] = result.values;
+    }
+  });
+
+  return errors.length > 0
+    ? { error: { error: 'Invalid rate tables', details: errors.join('; ') } }
+    : { tables };
+}
+
+// Try the rules on entries without storing a run: the selected rules (the
+// "rules" field, all by default) and any proposed rate table values
+// ("tables") apply to this request only. issues lists the validateEntry
+// findings of each input entry and of each corrected entry.
 router.post('/test-rules', async (req, res) => {
   try {
     const { testData } = req.body;
@@ -157,14 +717,42 @@ router.post('/test-rules', async (req, res) => {
         error: 'Invalid test data provided'
       });
     }
+    if (testData.some(entry => !entry || typeof entry !== 'object' || Array.isArray(entry))) {
+      return res.status(400).json({
+        error: 'Invalid test data provided',
+        details: 'Every test entry must be an object'
+      });
+    }
 
-    const { correctedData, changes } = await ruleEngine.applyRules(testData);
+    const selectionError = validateRuleSelection(req);
+    if (selectionError) {
+      return res.status(400).json(selectionError);
+    }
+    const { tables, error: tablesError } = normalizeProposedTables(req.body.tables);
+    if (tablesError) {
+      return res.status(400).json(tablesError);
+    }
+
+    const explain = isExplainRequested(req);
+    const ruleSelection = ruleEngine.selectRules(payrollPipeline.parseRuleIds(req.body.rules));
+    const options = { disabledRules: ruleSelection.skipped.map(rule => rule.id), tables };
+    const { correctedData, changes, needsReview, conflicts, ruleSetVersions, sourceIndexes, trace } = await ruleEngine.applyRules(testData, { ...options, explain });
 
     res.json({
       success: true,
       input: testData,
       output: correctedData,
-      changes: changes
+      sourceIndexes,
+      changes: changes,
+      needsReview: needsReview,
+      conflicts,
+      issues: {
+        input: testData.map(entry => ruleEngine.validateEntry(entry, options)),
+        output: correctedData.map(entry => ruleEngine.validateEntry(entry, options))
+      },
+      ruleSelection: { ...ruleSelection, ruleSetVersions },
+      proposedTables: tables ? Object.keys(tables) : [],
+      ...(explain ? { trace } : {})
     });
 
   } catch (error) {
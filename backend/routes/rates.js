@@ -0,0 +1,193 @@
+const express = require('express');
+const ruleEngine = require('../services/ruleEngine');
+const rateStore = require('../services/rateStore');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const router = express.Router();
+
+/**
+ * Shape a table for API responses
+ */
+function describeTable(tableId) {
+  const info = rateStore.getTableInfo(tableId);
+  const values = ruleEngine.tables[tableId] || [];
+  const defaults = ruleEngine.defaultTables[tableId] || [];
+
+  return {
+    id: tableId,
+    label: info.label,
+    description: info.description,
+    kind: info.kind,
+    values,
+    customized: JSON.stringify(values) !== JSON.stringify(defaults)
+  };
+}
+
+/**
+ * Persist a table and make it live for the next applyRules run
+ */
+function updateTable(tableId, values) {
+  rateStore.saveTable(tableId, values);
+  ruleEngine.setTable(tableId, values);
+}
+
+// Resolve :tableId and reject tables that are not editable
+router.param('tableId', (req, res, next, tableId) => {
+  if (!rateStore.isEditable(tableId)) {
+    return res.status(404).json({
+      error: 'Unknown rate table',
+      details: `Editable tables: ${rateStore.getEditableTableIds().join(', ')}`
+    });
+  }
+  next();
+});
+
+// List all editable rate tables
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    rulesVersion: ruleEngine.version,
+    tables: rateStore.getEditableTableIds().map(describeTable)
+  });
+});
+
+// Get a single rate table
+router.get('/:tableId', (req, res) => {
+  res.json({
+    success: true,
+    table: describeTable(req.params.tableId)
+  });
+});
+
+// Replace all values in a rate table
+router.put('/:tableId', requireAdmin, (req, res) => {
+  try {
+    const { tableId } = req.params;
+    const { values } = req.body;
+
+    if (!Array.isArray(values)) {
+      return res.status(400).json({
+        error: 'Invalid rate table',
+        details: 'Field "values" must be an array'
+      });
+    }
+
+    const result = rateStore.normalizeValues(tableId, values);
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid rate table',
+        details: result.errors.join('; ')
+      });
+    }
+
+    updateTable(tableId, result.values);
+    console.log(`Rate table ${tableId} replaced (${result.values.length} values)`);
+
+    res.json({
+      success: true,
+      table: describeTable(tableId)
+    });
+
+  } catch (error) {
+    console.error('Error updating rate table:', error);
+    res.status(500).json({
+      error: 'Failed to update rate table',
+      message: error.message
+    });
+  }
+});
+
+// Add a value to a rate table
+router.post('/:tableId', requireAdmin, (req, res) => {
+  try {
+    const { tableId } = req.params;
+    const { value } = req.body;
+
+    const result = rateStore.normalizeValues(tableId, [value]);
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid rate',
+        details: result.errors.join('; ')
+      });
+    }
+
+    const current = ruleEngine.tables[tableId] || [];
+    const [newValue] = result.values;
+    if (current.includes(newValue)) {
+      return res.status(409).json({
+        error: 'Rate already exists',
+        details: `${newValue} is already in ${tableId}`
+      });
+    }
+
+    updateTable(tableId, [...current, newValue]);
+    console.log(`Rate ${newValue} added to ${tableId}`);
+
+    res.status(201).json({
+      success: true,
+      table: describeTable(tableId)
+    });
+
+  } catch (error) {
+    console.error('Error adding rate:', error);
+    res.status(500).json({
+      error: 'Failed to add rate',
+      message: error.message
+    });
+  }
+});
+
+// Remove a value from a rate table
+router.delete('/:tableId/values/:value', requireAdmin, (req, res) => {
+  try {
+    const { tableId, value } = req.params;
+    const current = ruleEngine.tables[tableId] || [];
+
+    if (!current.includes(value)) {
+      return res.status(404).json({
+        error: 'Rate not found',
+        details: `${value} is not in ${tableId}`
+      });
+    }
+
+    updateTable(tableId, current.filter(existing => existing !== value));
+    console.log(`Rate ${value} removed from ${tableId}`);
+
+    res.json({
+      success: true,
+      table: describeTable(tableId)
+    });
+
+  } catch (error) {
+    console.error('Error removing rate:', error);
+    res.status(500).json({
+      error: 'Failed to remove rate',
+      message: error.message
+    });
+  }
+});
+
+// Reset a rate table to the rule file defaults
+router.delete('/:tableId', requireAdmin, (req, res) => {
+  try {
+    const { tableId } = req.params;
+
+    rateStore.removeTable(tableId);
+    ruleEngine.setTable(tableId, ruleEngine.defaultTables[tableId] || []);
+    console.log(`Rate table ${tableId} reset to defaults`);
+
+    res.json({
+      success: true,
+      table: describeTable(tableId)
+    });
+
+  } catch (error) {
+    console.error('Error resetting rate table:', error);
+    res.status(500).json({
+      error: 'Failed to reset rate table',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const payrollRoutes = require('./routes/payroll');
+const rateRoutes = require('./routes/rates');
+const holidayRoutes = require('./routes/holidays');
+const historyRoutes = require('./routes/history');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -69,6 +72,9 @@ if (isProduction) {
 }
 
 // API Routes
+app.use('/api/payroll/rates', rateRoutes);
+app.use('/api/payroll/holidays', holidayRoutes);
+app.use('/api/payroll/history', historyRoutes);
 app.use('/api/payroll', payrollRoutes);
 
 // Health check endpoint
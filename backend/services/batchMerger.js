@@ -0,0 +1,148 @@
+/**
+ * Combines separately parsed payroll reports into one review
+ *
+ * Branches (WN, SCH, main) can send their own report for the same pay
+ * period. Each report is parsed on its own; the merger tags every entry
+ * and diagnostic with the file it came from, orders the entries by pay
+ * period, and finds entries that appear in more than one file.
+ */
+
+// Fields that make two entries the same piece of work
+const DUPLICATE_KEY_FIELDS = [
+  'date', 'jobCode', 'hours', 'payType', 'laborRate', 'costCode', 'costCategory'
+];
+
+class BatchMerger {
+
+  /**
+   * Merge parsed reports
+   *
+   * files: [{ filename, entries, diagnostics, reconciliation }] in upload
+   * order. Returns { entries, diagnostics, reconciliation, payPeriods,
+   * duplicates }; entries carry sourceFile, duplicates are groups of
+   * indexes into the merged entries that came from different files.
+   */
+  merge(files) {
+    const tagged = files.flatMap((file, fileIndex) => file.entries.map((entry, index) => ({
+      entry: { ...entry, sourceFile: file.filename },
+      fileIndex,
+      index
+    })));
+
+    // Keep each file's order within a pay period; entries without a pay
+    // period sort last
+    const periodOrder = this.getPayPeriodIds(tagged.map(({ entry }) => entry));
+    const periodRank = entry => {
+      const rank = periodOrder.indexOf(entry.payPeriodId);
+      return rank === -1 ? periodOrder.length : rank;
+    };
+    tagged.sort((a, b) =>
+      periodRank(a.entry) - periodRank(b.entry) || a.fileIndex - b.fileIndex || a.index - b.index
+    );
+
+    const entries = tagged.map(({ entry }) => entry);
+
+    return {
+      entries,
+      diagnostics: files.flatMap(file => (file.diagnostics || []).map(diagnostic => ({
+        ...diagnostic,
+        sourceFile: file.filename
+      }))),
+      reconciliation: this.combineReconciliations(files),
+      payPeriods: this.summarizePayPeriods(entries),
+      duplicates: this.findDuplicates(entries)
+    };
+  }
+
+  /**
+   * Pay period ids in the order they sort, oldest first
+   */
+  getPayPeriodIds(entries) {
+    return [...new Set(entries.map(entry => entry.payPeriodId).filter(Boolean))].sort();
+  }
+
+  /**
+   * Entry counts and source files for each pay period in the merged entries
+   */
+  summarizePayPeriods(entries) {
+    const periods = new Map();
+
+    entries.forEach(entry => {
+      const payPeriodId = entry.payPeriodId || null;
+      if (!periods.has(payPeriodId)) {
+        periods.set(payPeriodId, { payPeriodId, entryCount: 0, files: [] });
+      }
+      const period = periods.get(payPeriodId);
+      period.entryCount++;
+      if (!period.files.includes(entry.sourceFile)) {
+        period.files.push(entry.sourceFile);
+      }
+    });
+
+    return [...periods.values()];
+  }
+
+  /**
+   * Group entries for the same employee and work that appear in more than
+   * one file, for the batch summary
+   *
+   * Repeats within a single file are not listed here; entryChecker reports
+   * every duplicate, wherever it came from, for review.
+   */
+  findDuplicates(entries) {
+    const groups = new Map();
+
+    entries.forEach((entry, index) => {
+      const key = [
+        entry.employeeId || entry.employeeName,
+        ...DUPLICATE_KEY_FIELDS.map(field => String(entry[field] ?? ''))
+      ].join('|');
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(index);
+    });
+
+    return [...groups.values()]
+      .filter(indexes => new Set(indexes.map(index => entries[index].sourceFile)).size > 1)
+      .map(entryIndexes => ({
+        employeeName: entries[entryIndexes[0]].employeeName,
+        employeeId: entries[entryIndexes[0]].employeeId,
+        date: entries[entryIndexes[0]].date,
+        entryIndexes,
+        files: [...new Set(entryIndexes.map(index => entries[index].sourceFile))]
+      }));
+  }
+
+  /**
+   * One totals check across files: employee and Report Totals results are
+   * tagged with their file, and the batch matches only if every file that
+   * printed totals matched
+   */
+  combineReconciliations(files) {
+    const checked = files.filter(file => file.reconciliation && file.reconciliation.status !== 'unavailable');
+
+    if (checked.length === 0) {
+      return files.some(file => file.reconciliation)
+        ? { status: 'unavailable', mismatchCount: 0, employees: [], report: null, reports: [] }
+        : null;
+    }
+
+    const mismatchCount = checked.reduce((sum, file) => sum + file.reconciliation.mismatchCount, 0);
+
+    return {
+      status: mismatchCount > 0 ? 'mismatch' : 'matched',
+      mismatchCount,
+      employees: checked.flatMap(file => file.reconciliation.employees.map(employee => ({
+        ...employee,
+        sourceFile: file.filename
+      }))),
+      report: null,
+      reports: checked
+        .filter(file => file.reconciliation.report)
+        .map(file => ({ ...file.reconciliation.report, sourceFile: file.filename }))
+    };
+  }
+}
+
+module.exports = new BatchMerger();
@@ -0,0 +1,142 @@
+/**
+ * Checks parsed entries against each other
+ *
+ * Validator.isValidHours looks at one entry at a time; these checks find
+ * problems that only show across entries - the same work keyed twice, or
+ * one employee's day adding up to more than 24 hours. Rules cannot fix
+ * them, so they are reported as findings for the reviewer.
+ */
+
+// Most hours one employee can work in a day
+const MAX_DAILY_HOURS = 24;
+
+// Fields that must also match, with the hours, for two entries of the same
+// job and date to be exact duplicates rather than near-duplicates
+const RATE_FIELDS = ['payType', 'laborRate', 'costCode', 'costCategory'];
+
+class EntryChecker {
+
+  /**
+   * Find duplicate entries and impossible daily totals
+   *
+   * Returns findings [{ type, employeeName, employeeId, date, entryIndexes,
+   * reason }] where type is 'duplicate' (same job, date, hours and rate),
+   * 'near_duplicate' (same job and date at a different rate or hours) or
+   * 'daily_total' (more than 24 hours in a day, with totalHours).
+   */
+  check(entries) {
+    return [
+      ...this.findDuplicates(entries),
+      ...this.findDailyTotals(entries)
+    ];
+  }
+
+  /**
+   * Group entry indexes by a key built from each entry
+   */
+  groupBy(indexes, entries, getKey) {
+    const groups = new Map();
+    indexes.forEach(index => {
+      const key = getKey(entries[index]);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(index);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Identify an employee by ID, or by name when the ID is missing
+   */
+  getEmployeeKey(entry) {
+    return entry.employeeId || entry.employeeName;
+  }
+
+  /**
+   * Find entries for the same employee, job and date keyed more than once
+   *
+   * Entries that also match on hours and rate are exact duplicates. Entries
+   * at different rates or hours are near-duplicates when two of them share
+   * a pay type or hours - a re-key with the rate or hours changed - but not
+   * when each pay type has its own hours, as in a Regular/Overtime split.
+   */
+  findDuplicates(entries) {
+    const findings = [];
+    const sameJob = this.groupBy(entries.map((entry, index) => index), entries, entry =>
+      [this.getEmployeeKey(entry), entry.jobCode, entry.date].join('|')
+    );
+
+    sameJob.filter(indexes => indexes.length > 1).forEach(indexes => {
+      const versions = this.groupBy(indexes, entries, entry =>
+        [Number(entry.hours), ...RATE_FIELDS.map(field => entry[field])].join('|')
+      );
+
+      versions.filter(group => group.length > 1).forEach(group => {
+        findings.push(this.createFinding('duplicate', entries, group,
+          `${group.length} identical entries for job ${entries[group[0]].jobCode}, ${entries[group[0]].hours} hours` +
+          `${this.describeSources(entries, group)} - set hours to 0 on the extra ${group.length > 2 ? 'copies' : 'copy'} if the work was only done once`
+        ));
+      });
+
+      const firsts = versions.map(group => entries[group[0]]);
+      const isShared = getValue => new Set(firsts.map(getValue)).size < firsts.length;
+      if (versions.length > 1 && (isShared(entry => entry.payType) || isShared(entry => Number(entry.hours)))) {
+        const rates = firsts.map(entry => `${entry.hours}h ${entry.payType}/${entry.laborRate}`);
+        findings.push(this.createFinding('near_duplicate', entries, indexes,
+          `Job ${firsts[0].jobCode} entered ${indexes.length} times on one day at different rates or hours (${rates.join(', ')})` +
+          `${this.describeSources(entries, indexes)} - check whether it was re-keyed with the rate or hours changed`
+        ));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Find employee days whose entries add up to more than MAX_DAILY_HOURS
+   */
+  findDailyTotals(entries) {
+    const days = this.groupBy(entries.map((entry, index) => index), entries, entry =>
+      [this.getEmployeeKey(entry), entry.date].join('|')
+    );
+
+    return days
+      .map(indexes => ({
+        indexes,
+        totalHours: indexes.reduce((sum, index) => sum + (Number(entries[index].hours) || 0), 0)
+      }))
+      .filter(({ totalHours }) => totalHours > MAX_DAILY_HOURS)
+      .map(({ indexes, totalHours }) => ({
+        ...this.createFinding('daily_total', entries, indexes,
+          `${totalHours.toFixed(2)} hours on one day across ${indexes.length} entries - more than ${MAX_DAILY_HOURS} hours is not possible`
+        ),
+        totalHours
+      }));
+  }
+
+  /**
+   * Name the files the entries came from when a batch spans several
+   */
+  describeSources(entries, indexes) {
+    const files = [...new Set(indexes.map(index => entries[index].sourceFile).filter(Boolean))];
+    return files.length > 1 ? ` (in ${files.join(', ')})` : '';
+  }
+
+  /**
+   * Build a finding named after the first of its entries
+   */
+  createFinding(type, entries, entryIndexes, reason) {
+    const first = entries[entryIndexes[0]];
+    return {
+      type,
+      employeeName: first.employeeName,
+      employeeId: first.employeeId,
+      date: first.date,
+      entryIndexes,
+      reason
+    };
+  }
+}
+
+module.exports = new EntryChecker();
@@ -0,0 +1,231 @@
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+const pdfGenerator = require('./pdfGenerator');
+
+const CORRECTED_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFFEF3C7' }
+};
+
+const HEADER_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFE2E8F0' }
+};
+
+const ENTRY_COLUMNS = [
+  { header: 'Employee', key: 'employeeName', width: 28 },
+  { header: 'Employee ID', key: 'employeeId', width: 12 },
+  { header: 'Job Code', key: 'jobCode', width: 12 },
+  { header: 'Job Description', key: 'jobDescription', width: 30 },
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Hours', key: 'hours', width: 8 },
+  { header: 'Pay Type', key: 'payType', width: 12 },
+  { header: 'Labor Rate', key: 'laborRate', width: 18 },
+  { header: 'Cost Code', key: 'costCode', width: 12 },
+  { header: 'Cost Category', key: 'costCategory', width: 16 },
+  { header: 'Description', key: 'description', width: 40 }
+];
+
+const CHANGE_COLUMNS = [
+  { header: 'Employee', key: 'employeeName', width: 28 },
+  { header: 'Employee ID', key: 'employeeId', width: 12 },
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Field', key: 'field', width: 14 },
+  { header: 'Original Value', key: 'originalValue', width: 22 },
+  { header: 'Corrected Value', key: 'correctedValue', width: 28 },
+  { header: 'Rule', key: 'rule', width: 36 },
+  { header: 'Description', key: 'description', width: 60 }
+];
+
+// Pay type columns, keyed as returned by calculateEmployeeTotals
+const TOTAL_COLUMNS = [
+  { header: 'Regular', key: 'regular' },
+  { header: 'Overtime', key: 'overtime' },
+  { header: 'Call', key: 'call' },
+  { header: 'Double Time', key: 'doubleTime' },
+  { header: 'Unapplied', key: 'unapplied' },
+  { header: 'Total', key: 'total' }
+];
+
+class ExcelGenerator {
+
+  /**
+   * Generate the corrected payroll workbook: corrected entries with the
+   * corrected cells highlighted, the list of changes, and hour totals
+   *
+   * sourceIndexes gives the input entry of each corrected entry (as
+   * returned by applyRules), which is what a change's entryIndex refers to.
+   */
+  async generateCorrectedWorkbook(correctedData, changes = [], originalFilename, sourceIndexes = correctedData.map((entry, index) => index)) {
+    try {
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'Benedict Payroll Automation';
+      workbook.created = new Date();
+
+      this.addEntriesSheet(workbook, correctedData, changes, sourceIndexes);
+      this.addChangesSheet(workbook, changes);
+      this.addTotalsSheet(workbook, correctedData, originalFilename);
+
+      return Buffer.from(await workbook.xlsx.writeBuffer());
+
+    } catch (error) {
+      throw new Error(`Failed to generate Excel file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add the corrected entries sheet
+   */
+  addEntriesSheet(workbook, correctedData, changes, sourceIndexes) {
+    const sheet = workbook.addWorksheet('Corrected Entries', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = ENTRY_COLUMNS;
+    this.styleHeader(sheet);
+
+    const changesByEntry = this.groupChangesByEntry(changes);
+
+    correctedData.forEach((entry, index) => {
+      const row = sheet.addRow({
+        ...entry,
+        hours: parseFloat(entry.hours) || 0
+      });
+      row.getCell('hours').numFmt = '0.00';
+
+      this.getCorrectedFields(changesByEntry[sourceIndexes[index]] || []).forEach(({ field, note }) => {
+        const cell = row.getCell(field);
+        cell.fill = CORRECTED_FILL;
+        cell.note = note;
+      });
+    });
+
+    sheet.autoFilter = { from: 'A1', to: { row: 1, column: ENTRY_COLUMNS.length } };
+  }
+
+  /**
+   * Add the changes sheet
+   */
+  addChangesSheet(workbook, changes) {
+    const sheet = workbook.addWorksheet('Changes', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = CHANGE_COLUMNS;
+    this.styleHeader(sheet);
+
+    changes.forEach(change => {
+      sheet.addRow({
+        employeeName: change.employeeName,
+        employeeId: change.employeeId,
+        date: change.date,
+        field: change.field,
+        originalValue: this.formatValue(change.originalValue),
+        correctedValue: this.formatValue(change.correctedValue),
+        rule: change.rule,
+        description: change.description
+      });
+    });
+
+    if (changes.length > 0) {
+      sheet.autoFilter = { from: 'A1', to: { row: 1, column: CHANGE_COLUMNS.length } };
+    }
+  }
+
+  /**
+   * Add per-employee and report totals by pay type
+   */
+  addTotalsSheet(workbook, correctedData, originalFilename) {
+    const sheet = workbook.addWorksheet('Totals');
+    sheet.columns = [
+      { header: 'Employee', key: 'employee', width: 36 },
+      ...TOTAL_COLUMNS.map(column => ({ ...column, width: 12 }))
+    ];
+    this.styleHeader(sheet);
+
+    const addTotalsRow = (label, totals) => {
+      const row = sheet.addRow({ employee: label, ...totals });
+      TOTAL_COLUMNS.forEach(column => {
+        row.getCell(column.key).numFmt = '0.00';
+      });
+      return row;
+    };
+
+    const employeeGroups = pdfGenerator.groupByEmployee(correctedData);
+    Object.entries(employeeGroups).forEach(([employeeKey, entries]) => {
+      addTotalsRow(employeeKey, pdfGenerator.calculateEmployeeTotals(entries));
+    });
+
+    // Report totals use the same pay type buckets as the employee totals
+    const reportRow = addTotalsRow('Report Totals', pdfGenerator.calculateEmployeeTotals(correctedData));
+    reportRow.font = { bold: true };
+    reportRow.border = { top: { style: 'thin' } };
+
+    sheet.addRow([]);
+    sheet.addRow([`Source: ${originalFilename || 'payroll report'}`]);
+    sheet.addRow([`Generated: ${moment().format('YYYY-MM-DD HH:mm:ss')}`]);
+  }
+
+  /**
+   * Bold, shaded header row
+   */
+  styleHeader(sheet) {
+    const header = sheet.getRow(1);
+    header.font = { bold: true };
+    header.eachCell(cell => {
+      cell.fill = HEADER_FILL;
+    });
+  }
+
+  /**
+   * Index changes by the input entry they were made to, in the order they
+   * were made
+   */
+  groupChangesByEntry(changes) {
+    const grouped = {};
+
+    [...changes].sort((a, b) => a.id - b.id).forEach(change => {
+      if (!grouped[change.entryIndex]) {
+        grouped[change.entryIndex] = [];
+      }
+      grouped[change.entryIndex].push(change);
+    });
+
+    return grouped;
+  }
+
+  /**
+   * Find the fields of a corrected entry that its changes set, with a cell
+   * note describing the last change to each field
+   *
+   * Weekly overtime splits mark the hours and pay type of both parts.
+   */
+  getCorrectedFields(entryChanges) {
+    const fields = {};
+
+    entryChanges.forEach(change => {
+      const note = `${change.rule}: ${this.formatValue(change.originalValue)} → ${this.formatValue(change.correctedValue)}`;
+
+      if (change.splitEntries) {
+        fields.hours = note;
+        fields.payType = note;
+        return;
+      }
+
+      fields[change.field] = note;
+    });
+
+    return Object.entries(fields)
+      .filter(([field]) => ENTRY_COLUMNS.some(column => column.key === field))
+      .map(([field, note]) => ({ field, note }));
+  }
+
+  /**
+   * Display a change value, marking blanks
+   */
+  formatValue(value) {
+    return value === undefined || value === null || value === '' ? '(blank)' : String(value);
+  }
+}
+
+module.exports = new ExcelGenerator();
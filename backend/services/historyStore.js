@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../data/history.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_hash TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    pay_period_id TEXT,
+    report_date TEXT,
+    rules_version TEXT,
+    processed_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    original_entries TEXT NOT NULL,
+    corrected_entries TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    needs_review TEXT NOT NULL,
+    reconciliation TEXT,
+    diagnostics TEXT,
+    findings TEXT,
+    rule_selection TEXT,
+    conflicts TEXT,
+    accepted_changes TEXT,
+    approved_by TEXT,
+    approved_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS runs_file_hash ON runs (file_hash);
+  CREATE INDEX IF NOT EXISTS runs_processed_at ON runs (processed_at);
+`;
+
+// Columns returned when listing runs - the JSON payloads stay out of the list
+const SUMMARY_COLUMNS = `
+  id, file_hash, filename, pay_period_id, report_date, rules_version,
+  processed_at, status, approved_by, approved_at,
+  json_array_length(original_entries) AS entry_count,
+  json_array_length(changes) AS change_count,
+  json_array_length(needs_review) AS needs_review_count
+`;
+
+class HistoryStore {
+
+  constructor() {
+    this.dbPath = process.env.HISTORY_DB_PATH || DEFAULT_DB_PATH;
+    this.db = null;
+  }
+
+  /**
+   * Open the database on first use, creating it if needed
+   */
+  getDb() {
+    if (!this.db) {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Record a /process run, returning its id
+   */
+  recordRun(run) {
+    const result = this.getDb().prepare(`
+      INSERT INTO runs (
+        file_hash, filename, pay_period_id, report_date, rules_version, processed_at,
+        original_entries, corrected_entries, changes, needs_review, reconciliation, diagnostics, findings,
+        rule_selection, conflicts
+      ) VALUES (
+        @fileHash, @filename, @payPeriodId, @reportDate, @rulesVersion, @processedAt,
+        @originalEntries, @correctedEntries, @changes, @needsReview, @reconciliation, @diagnostics, @findings,
+        @ruleSelection, @conflicts
+      )
+    `).run({
+      fileHash: run.fileHash,
+      filename: run.filename,
+      payPeriodId: run.payPeriodId || null,
+      reportDate: run.reportDate || null,
+      rulesVersion: run.rulesVersion || null,
+      processedAt: run.processedAt,
+      originalEntries: JSON.stringify(run.originalEntries),
+      correctedEntries: JSON.stringify(run.correctedEntries),
+      changes: JSON.stringify(run.changes),
+      needsReview: JSON.stringify(run.needsReview || []),
+      reconciliation: run.reconciliation ? JSON.stringify(run.reconciliation) : null,
+      diagnostics: JSON.stringify(run.diagnostics || []),
+      findings: JSON.stringify(run.findings || []),
+      ruleSelection: run.ruleSelection ? JSON.stringify(run.ruleSelection) : null,
+      conflicts: JSON.stringify(run.conflicts || [])
+    });
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * List runs, newest first, without their entries and changes
+   */
+  listRuns({ limit = 50, offset = 0 } = {}) {
+    const rows = this.getDb().prepare(`
+      SELECT ${SUMMARY_COLUMNS} FROM runs
+      ORDER BY processed_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+    const { total } = this.getDb().prepare('SELECT COUNT(*) AS total FROM runs').get();
+
+    return { runs: rows.map(row => this.toSummary(row)), total };
+  }
+
+  /**
+   * Get a run with its entries and changes, or null
+   */
+  getRun(id) {
+    const row = this.getDb().prepare(`
+      SELECT ${SUMMARY_COLUMNS}, original_entries, corrected_entries, changes,
+        needs_review, reconciliation, diagnostics, findings, rule_selection, conflicts, accepted_changes
+      FROM runs WHERE id = ?
+    `).get(id);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...this.toSummary(row),
+      originalEntries: JSON.parse(row.original_entries),
+      correctedEntries: JSON.parse(row.corrected_entries),
+      changes: JSON.parse(row.changes),
+      needsReview: JSON.parse(row.needs_review),
+      reconciliation: row.reconciliation ? JSON.parse(row.reconciliation) : null,
+      diagnostics: row.diagnostics ? JSON.parse(row.diagnostics) : [],
+      findings: row.findings ? JSON.parse(row.findings) : [],
+      ruleSelection: row.rule_selection ? JSON.parse(row.rule_selection) : null,
+      conflicts: row.conflicts ? JSON.parse(row.conflicts) : [],
+      acceptedChanges: row.accepted_changes ? JSON.parse(row.accepted_changes) : null
+    };
+  }
+
+  /**
+   * Record a reviewer's approval: every change (including manual edits),
+   * the accepted subset and the corrected entries built from it
+   *
+   * Returns false when the run does not exist.
+   */
+  approveRun(id, { approvedBy, changes, acceptedChanges, correctedEntries }) {
+    const result = this.getDb().prepare(`
+      UPDATE runs SET
+        status = 'approved',
+        approved_by = @approvedBy,
+        approved_at = @approvedAt,
+        changes = @changes,
+        accepted_changes = @acceptedChanges,
+        corrected_entries = @correctedEntries
+      WHERE id = @id
+    `).run({
+      id,
+      approvedBy: approvedBy || null,
+      approvedAt: new Date().toISOString(),
+      changes: JSON.stringify(changes),
+      acceptedChanges: JSON.stringify(acceptedChanges),
+      correctedEntries: JSON.stringify(correctedEntries)
+    });
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Map a database row to the API shape
+   */
+  toSummary(row) {
+    return {
+      id: row.id,
+      fileHash: row.file_hash,
+      filename: row.filename,
+      payPeriodId: row.pay_period_id,
+      reportDate: row.report_date,
+      rulesVersion: row.rules_version,
+      processedAt: row.processed_at,
+      status: row.status,
+      approvedBy: row.approved_by,
+      approvedAt: row.approved_at,
+      entryCount: row.entry_count,
+      changeCount: row.change_count,
+      needsReviewCount: row.needs_review_count
+    };
+  }
+}
+
+module.exports = new HistoryStore();
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+const DEFAULT_CALENDAR_PATH = path.join(__dirname, '../config/holidays.json');
+const DEFAULT_STORE_PATH = path.join(__dirname, '../data/holidays.json');
+
+const HOLIDAY_TYPES = ['fixed', 'nthWeekday', 'date'];
+const MAX_NAME_LENGTH = 255;
+
+class HolidayCalendar {
+
+  constructor() {
+    this.storePath = process.env.HOLIDAYS_PATH || DEFAULT_STORE_PATH;
+    this.load();
+  }
+
+  /**
+   * Load holiday definitions, preferring the locally edited calendar
+   */
+  load() {
+    const sourcePath = fs.existsSync(this.storePath) ? this.storePath : DEFAULT_CALENDAR_PATH;
+
+    try {
+      const calendar = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+      this.holidays = calendar.holidays || [];
+    } catch (error) {
+      throw new Error(`Failed to load holiday calendar from ${sourcePath}: ${error.message}`);
+    }
+
+    this.cache = {};
+  }
+
+  /**
+   * Get all holiday definitions
+   */
+  getDefinitions() {
+    return this.holidays;
+  }
+
+  /**
+   * Replace the holiday definitions and persist them locally
+   */
+  save(holidays) {
+    const payload = {
+      updatedAt: new Date().toISOString(),
+      holidays
+    };
+
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(payload, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+
+    this.holidays = holidays;
+    this.cache = {};
+  }
+
+  /**
+   * Validate a holiday definition, returning a list of errors
+   */
+  validateDefinition(holiday) {
+    const errors = [];
+    const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!holiday || typeof holiday !== 'object') {
+      return ['Holiday definition must be an object'];
+    }
+
+    if (typeof holiday.name !== 'string' || holiday.name.trim() === '') {
+      errors.push('Holiday name is required and must be text');
+    } else if (holiday.name.length > MAX_NAME_LENGTH) {
+      errors.push(`Holiday name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!HOLIDAY_TYPES.includes(holiday.type)) {
+      errors.push(`Holiday type must be one of: ${HOLIDAY_TYPES.join(', ')}`);
+      return errors;
+    }
+
+    if (holiday.type === 'fixed') {
+      if (!isInteger(holiday.month, 1, 12)) {
+        errors.push('Month must be 1-12');
+        if (!isInteger(holiday.day, 1, 31)) errors.push('Day must be 1-31');
+      } else {
+        // Any year's days, so February allows the 29th
+        const daysInMonth = moment({ year: 2024, month: holiday.month - 1 }).daysInMonth();
+        if (!isInteger(holiday.day, 1, daysInMonth)) errors.push(`Day must be 1-${daysInMonth} for month ${holiday.month}`);
+      }
+    }
+
+    if (holiday.type === 'nthWeekday') {
+      if (!isInteger(holiday.month, 1, 12)) errors.push('Month must be 1-12');
+      if (!isInteger(holiday.weekday, 0, 6)) errors.push('Weekday must be 0 (Sunday) to 6 (Saturday)');
+      if (!isInteger(holiday.week, -1, 5) || holiday.week === 0) errors.push('Week must be 1-5, or -1 for the last week');
+    }
+
+    if (holiday.type === 'date' && !moment(holiday.date, 'MM/DD/YYYY', true).isValid()) {
+      errors.push('Date must be in MM/DD/YYYY format');
+    }
+
+    if (holiday.offsetDays !== undefined && !isInteger(holiday.offsetDays, -7, 7)) {
+      errors.push('Offset days must be between -7 and 7');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve every holiday for a calendar year
+   *
+   * Returns [{ id, name, date, actualDate }] where date is the observed date
+   * (MM/DD/YYYY). Fixed holidays marked "observed" move from Saturday to
+   * Friday and from Sunday to Monday.
+   */
+  getHolidaysForYear(year) {
+    if (this.cache[year]) {
+      return this.cache[year];
+    }
+
+    const resolved = this.holidays
+      .map(holiday => {
+        const actual = this.resolveDate(holiday, year);
+        if (!actual) {
+          return null;
+        }
+
+        const observed = actual.clone();
+        if (holiday.type === 'fixed' && holiday.observed) {
+          if (observed.day() === 6) observed.subtract(1, 'day');
+          if (observed.day() === 0) observed.add(1, 'day');
+        }
+
+        return {
+          id: holiday.id,
+          name: holiday.name,
+          date: observed.format('MM/DD/YYYY'),
+          actualDate: actual.format('MM/DD/YYYY')
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => moment(a.date, 'MM/DD/YYYY').diff(moment(b.date, 'MM/DD/YYYY')));
+
+    this.cache[year] = resolved;
+    return resolved;
+  }
+
+  /**
+   * Resolve the actual (unshifted) date of a holiday in a year
+   */
+  resolveDate(holiday, year) {
+    let date = null;
+
+    if (holiday.type === 'fixed') {
+      date = moment({ year, month: holiday.month - 1, day: holiday.day });
+    } else if (holiday.type === 'nthWeekday') {
+      if (holiday.week === -1) {
+        // Last <weekday> of the month
+        date = moment({ year, month: holiday.month - 1 }).endOf('month').startOf('day');
+        while (date.day() !== holiday.weekday) date.subtract(1, 'day');
+      } else {
+        date = moment({ year, month: holiday.month - 1, day: 1 });
+        while (date.day() !== holiday.weekday) date.add(1, 'day');
+        date.add(holiday.week - 1, 'weeks');
+        if (date.month() !== holiday.month - 1) return null;
+      }
+    } else if (holiday.type === 'date') {
+      date = moment(holiday.date, 'MM/DD/YYYY', true);
+      if (date.year() !== year) return null;
+    }
+
+    if (!date || !date.isValid()) {
+      return null;
+    }
+
+    return holiday.offsetDays ? date.add(holiday.offsetDays, 'days') : date;
+  }
+
+  /**
+   * Find the holiday observed on a payroll date (MM/DD/YYYY), or null
+   */
+  findHoliday(dateString) {
+    const date = moment(dateString, 'MM/DD/YYYY');
+    if (!date.isValid()) {
+      return null;
+    }
+
+    // Observed dates can cross a year boundary (Jan 1 on a Saturday)
+    const formatted = date.format('MM/DD/YYYY');
+    for (const year of [date.year(), date.year() + 1, date.year() - 1]) {
+      const holiday = this.getHolidaysForYear(year).find(h => h.date === formatted);
+      if (holiday) {
+        return holiday;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new HolidayCalendar();
@@ -0,0 +1,168 @@
+/**
+ * Background processing jobs
+ *
+ * A job runs a task in the background and keeps every progress event it
+ * reports, so a client that subscribes late (or reconnects) is sent the
+ * events it missed. Jobs live in memory only and are dropped a while after
+ * they finish.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How long a finished job's result stays available
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 15 * 60 * 1000;
+
+// Job states after which nothing more happens
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a job running task({ onProgress, signal }) in the background
+   *
+   * Returns the job. The task's resolved value becomes the job result; a
+   * rejection fails the job, or cancels it once cancelJob was called.
+   */
+  createJob(task, { label = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      label,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      events: [],
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      emitter: new EventEmitter()
+    };
+    this.jobs.set(job.id, job);
+
+    setImmediate(() => this.run(job, task));
+    return job;
+  }
+
+  /**
+   * Run a job's task and record how it ended
+   */
+  async run(job, task) {
+    if (job.controller.signal.aborted) {
+      return;
+    }
+
+    this.update(job, 'running', { stage: 'start', message: 'Processing started' });
+
+    try {
+      const result = await task({
+        onProgress: progress => this.emit(job, { type: 'progress', ...progress }),
+        signal: job.controller.signal
+      });
+
+      if (job.controller.signal.aborted) {
+        return;
+      }
+      job.result = result;
+      this.update(job, 'completed', { stage: 'done', message: 'Processing finished' });
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        return;
+      }
+      job.error = {
+        status: error.status || 500,
+        error: error.error || 'Failed to process file',
+        details: error.message
+      };
+      this.update(job, 'failed', { stage: 'failed', message: job.error.details });
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * Returns false when the job does not exist or already finished.
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) {
+      return false;
+    }
+
+    job.controller.abort();
+    this.update(job, 'cancelled', { stage: 'cancelled', message: 'Processing was cancelled' });
+    return true;
+  }
+
+  /**
+   * Get a job, or null
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Call listener with every event the job reported so far and each new one
+   *
+   * Returns a function that stops listening.
+   */
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    job.events.forEach(listener);
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  /**
+   * Whether a job has finished and will report nothing more
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * The job as returned by the API, without its internals
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      label: job.label,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      progress: job.events[job.events.length - 1] || null,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Move a job to a new status, scheduling its removal once it finished
+   */
+  update(job, status, event) {
+    job.status = status;
+    if (this.isFinished(job)) {
+      job.finishedAt = new Date().toISOString();
+      setTimeout(() => this.jobs.delete(job.id), JOB_TTL_MS).unref();
+    }
+    this.emit(job, { type: 'status', status, ...event });
+  }
+
+  /**
+   * Record an event and send it to the job's subscribers
+   */
+  emit(job, event) {
+    const stamped = { ...event, at: new Date().toISOString() };
+    job.events.push(stamped);
+    job.emitter.emit('event', stamped);
+  }
+}
+
+module.exports = new JobManager();
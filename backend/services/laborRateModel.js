@@ -0,0 +1,154 @@
+/**
+ * Structured labor-rate model
+ *
+ * Decomposes a labor rate code such as "SCH_MNTECHOT" into its branch
+ * (SCH_MN), trade (Tech) and modifier (OT), and composes the correct code
+ * for a branch/trade/modifier combination. The branches, trades and
+ * modifiers come from the "rateModel" section of the rule file.
+ */
+
+class LaborRateModel {
+
+  constructor(config = {}) {
+    this.branches = config.branches || [];
+    this.trades = config.trades || [];
+    this.modifiers = config.modifiers || [];
+    this.overrides = config.overrides || {};
+
+    // Match the most specific branch prefix first ("WN MN " before "WN ")
+    this.branchPrefixes = this.branches
+      .flatMap(branch => branch.prefixes.map(prefix => ({ prefix: prefix.toUpperCase(), branch })))
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  /**
+   * Split a labor rate into { branch, trade, modifier }, or null if the rate
+   * does not fit the model
+   */
+  decompose(laborRate) {
+    if (!laborRate || typeof laborRate !== 'string') {
+      return null;
+    }
+
+    const normalized = laborRate.trim().replace(/\s+/g, ' ').toUpperCase();
+
+    for (const { prefix, branch } of this.branchPrefixes) {
+      if (!normalized.startsWith(prefix)) {
+        continue;
+      }
+
+      const parts = this.parseRemainder(normalized.slice(prefix.length).trim());
+      if (parts) {
+        return { branch: branch.id, ...parts };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the trade and modifier that follow the branch prefix
+   */
+  parseRemainder(remainder) {
+    // Standalone modifiers (e.g. "PREM") replace the trade entirely
+    const standalone = this.modifiers.find(m => m.standalone && m.code === remainder);
+    if (standalone) {
+      return { trade: null, modifier: standalone.id };
+    }
+
+    const candidates = [{ modifier: null, base: remainder }];
+    this.modifiers
+      .filter(m => !m.standalone)
+      .forEach(m => {
+        m.suffixes.forEach(suffix => {
+          if (remainder.endsWith(suffix)) {
+            candidates.push({ modifier: m.id, base: remainder.slice(0, -suffix.length).trim() });
+          }
+        });
+      });
+
+    for (const { modifier, base } of candidates) {
+      const trade = this.trades.find(t => t.tokens.includes(base));
+      if (trade) {
+        return { trade: trade.id, modifier };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the rate code for a branch, trade and modifier
+   *
+   * Returns null when the combination is not valid for this model
+   * (unknown branch/trade, or a modifier that does not apply to the trade).
+   */
+  compose({ branch: branchId, trade: tradeId, modifier: modifierId }) {
+    const branch = this.branches.find(b => b.id === branchId);
+    const modifier = modifierId ? this.modifiers.find(m => m.id === modifierId) : null;
+
+    if (!branch || (modifierId && !modifier)) {
+      return null;
+    }
+
+    if (modifier && modifier.standalone) {
+      return branch.label ? `${branch.label} ${modifier.code}` : modifier.code;
+    }
+
+    const trade = this.trades.find(t => t.id === tradeId);
+    if (!trade) {
+      return null;
+    }
+
+    if (modifier && modifier.trades && !modifier.trades.includes(trade.id)) {
+      return null;
+    }
+
+    const overrideKey = [branch.id, trade.id, modifier ? modifier.id : ''].join(':');
+    if (this.overrides[overrideKey]) {
+      return this.overrides[overrideKey];
+    }
+
+    const tradeCode = (branch.tradeCodes && branch.tradeCodes[trade.id]) || trade.code;
+    return `${branch.code}${tradeCode}${modifier ? modifier.code : ''}`;
+  }
+
+  /**
+   * Re-compose a labor rate with a different modifier, keeping its branch
+   *
+   * Returns { value } on success or { reason } explaining why the rate could
+   * not be converted.
+   */
+  applyModifier(laborRate, modifierId, tradeMap = {}) {
+    const parts = this.decompose(laborRate);
+    if (!parts) {
+      return {
+        reason: laborRate
+          ? `Unknown labor rate "${laborRate}" - cannot determine branch and trade`
+          : 'Labor rate is missing'
+      };
+    }
+
+    // A modifier only displaces another one when the model says it may
+    // (e.g. OT replaces NB); otherwise the conflict needs a person to decide
+    const target = this.modifiers.find(m => m.id === modifierId);
+    if (target && !target.standalone && parts.modifier && parts.modifier !== modifierId &&
+        !(target.replaces || []).includes(parts.modifier)) {
+      return {
+        reason: `Labor rate "${laborRate}" already carries the ${parts.modifier} modifier`
+      };
+    }
+
+    const trade = parts.trade ? (tradeMap[parts.trade] || parts.trade) : null;
+    const value = this.compose({ branch: parts.branch, trade, modifier: modifierId });
+    if (!value) {
+      return {
+        reason: `No ${modifierId} labor rate defined for ${parts.trade || 'rate'} "${laborRate}" in branch ${parts.branch}`
+      };
+    }
+
+    return { value };
+  }
+}
+
+module.exports = LaborRateModel;
@@ -0,0 +1,226 @@
+/**
+ * Coordinate-aware table extraction
+ *
+ * Reads the text items of each PDF page with their positions, groups them
+ * into rows by baseline, and splits table rows into cells using the x
+ * positions of the report's column header row ("Job", "Date", "Hours", ...).
+ * Wrapped cells stay in their column instead of arriving as extra lines,
+ * which is what breaks the line parser. Mapping rows to entries is left to
+ * pdfParser.parseLayout.
+ */
+
+const pdf = require('pdf-parse');
+
+// Column header labels and the entry field each column holds
+const HEADER_FIELDS = [
+  { field: 'details', pattern: /^pay\s*type\s*-/i },
+  { field: 'job', pattern: /^job/i },
+  { field: 'date', pattern: /^date$/i },
+  { field: 'hours', pattern: /^(hours|hrs)$/i },
+  { field: 'payType', pattern: /^pay\s*type$/i },
+  { field: 'laborRate', pattern: /^labor\s*rate$/i },
+  { field: 'costCode', pattern: /^cost\s*code$/i },
+  { field: 'costCategory', pattern: /^cost\s*cat(egory)?$/i },
+  { field: 'description', pattern: /^desc(ription)?$/i }
+];
+
+// Columns a header row must have to be recognized
+const REQUIRED_FIELDS = ['date', 'hours'];
+
+// Items whose baselines differ by less than this share a row, in points
+const ROW_TOLERANCE = 2;
+
+class LayoutParser {
+
+  /**
+   * Extract the report's rows, with cells for rows under a column header
+   *
+   * Returns { rows, columns } where rows are in reading order across pages:
+   * { page, line, y, height, text, cells }. cells is null for rows above
+   * the first column header of a page (page titles) and for the header rows
+   * themselves; columns is null when no header row was found. Options are
+   * passed to extractItems.
+   */
+  async extractTable(pdfBuffer, options = {}) {
+    const pages = await this.extractItems(pdfBuffer, options);
+    const rows = [];
+    let columns = null;
+    let line = 0;
+
+    pages.forEach(({ page, items }) => {
+      // Each page repeats the column header - cells start below it
+      let pageColumns = null;
+
+      this.groupRows(items).forEach(row => {
+        line++;
+        const headerColumns = this.matchHeader(row.items);
+
+        if (headerColumns) {
+          pageColumns = headerColumns;
+          columns = columns || headerColumns;
+        }
+
+        rows.push({
+          page,
+          line,
+          y: row.y,
+          height: row.height,
+          text: this.joinItems(row.items),
+          cells: pageColumns && !headerColumns ? this.assignCells(row.items, pageColumns) : null
+        });
+      });
+    });
+
+    return { rows, columns };
+  }
+
+  /**
+   * Read the positioned text items of every page
+   *
+   * Returns [{ page, items: [{ str, x, y, width, height }] }] with y
+   * measured from the top of the page. onPage({ page, pageCount }) is
+   * called as each page is read; once signal is aborted the remaining
+   * pages are skipped.
+   */
+  async extractItems(pdfBuffer, { onPage, signal } = {}) {
+    const pages = [];
+    let renderError = null;
+
+    const pagerender = async (pageData) => {
+      if (signal && signal.aborted) {
+        return '';
+      }
+      try {
+        const viewport = pageData.getViewport(1);
+        const textContent = await pageData.getTextContent({
+          normalizeWhitespace: true,
+          disableCombineTextItems: false
+        });
+
+        pages.push({
+          page: pageData.pageIndex + 1,
+          items: textContent.items
+            .filter(item => item.str.trim())
+            .map(item => ({
+              str: item.str,
+              x: item.transform[4],
+              y: viewport.height - item.transform[5],
+              width: item.width,
+              height: item.height || Math.abs(item.transform[3])
+            }))
+        });
+        if (onPage) {
+          onPage({ page: pageData.pageIndex + 1, pageCount: pageData.transport.numPages });
+        }
+      } catch (error) {
+        // pdf-parse swallows page errors, so keep the first one to rethrow
+        renderError = renderError || error;
+      }
+      return '';
+    };
+
+    try {
+      await pdf(pdfBuffer, { pagerender });
+    } catch (error) {
+      throw new Error(`Failed to read PDF layout: ${error.message}`);
+    }
+
+    if (renderError) {
+      throw new Error(`Failed to read PDF layout: ${renderError.message}`);
+    }
+
+    return pages.sort((a, b) => a.page - b.page);
+  }
+
+  /**
+   * Group items into rows by baseline, top to bottom, items left to right
+   */
+  groupRows(items) {
+    const rows = [];
+
+    [...items]
+      .sort((a, b) => a.y - b.y || a.x - b.x)
+      .forEach(item => {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(item.y - row.y) <= ROW_TOLERANCE) {
+          row.items.push(item);
+          row.height = Math.max(row.height, item.height);
+        } else {
+          rows.push({ y: item.y, height: item.height, items: [item] });
+        }
+      });
+
+    rows.forEach(row => row.items.sort((a, b) => a.x - b.x));
+    return rows;
+  }
+
+  /**
+   * Recognize a column header row
+   *
+   * Returns the columns sorted by position, [{ field, start }], or null.
+   */
+  matchHeader(items) {
+    const columns = [];
+
+    items.forEach(item => {
+      const label = item.str.trim();
+      const match = HEADER_FIELDS.find(({ pattern }) => pattern.test(label));
+      if (match && !columns.some(column => column.field === match.field)) {
+        columns.push({ field: match.field, start: item.x });
+      }
+    });
+
+    const fields = columns.map(column => column.field);
+    if (!REQUIRED_FIELDS.every(field => fields.includes(field))) {
+      return null;
+    }
+
+    return columns.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Split a row's items into cells, keyed by field
+   *
+   * An item belongs to the column its extent overlaps most, so numbers
+   * right-aligned under a header still land in that header's column.
+   */
+  assignCells(items, columns) {
+    const byField = {};
+
+    items.forEach(item => {
+      let best = null;
+      let bestOverlap = -Infinity;
+
+      columns.forEach((column, index) => {
+        const end = index + 1 < columns.length ? columns[index + 1].start : Infinity;
+        const overlap = Math.min(item.x + item.width, end) - Math.max(item.x, column.start);
+        if (overlap > bestOverlap) {
+          best = column;
+          bestOverlap = overlap;
+        }
+      });
+
+      byField[best.field] = [...(byField[best.field] || []), item];
+    });
+
+    return Object.fromEntries(
+      Object.entries(byField).map(([field, fieldItems]) => [field, this.joinItems(fieldItems)])
+    );
+  }
+
+  /**
+   * Join items left to right, adding a space where they do not touch
+   */
+  joinItems(items) {
+    return items.reduce((text, item, index) => {
+      if (index === 0) {
+        return item.str;
+      }
+      const previous = items[index - 1];
+      const gap = item.x - (previous.x + previous.width);
+      return `${text}${gap > 1 ? ' ' : ''}${item.str}`;
+    }, '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new LayoutParser();
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../data/column-mappings.json');
+
+class MappingStore {
+
+  constructor() {
+    this.storePath = process.env.COLUMN_MAPPINGS_PATH || DEFAULT_STORE_PATH;
+  }
+
+  /**
+   * Identify a spreadsheet layout by its set of headers, ignoring order,
+   * case and spacing
+   */
+  getSignature(headers) {
+    return headers
+      .map(header => String(header).trim().toLowerCase().replace(/\s+/g, ' '))
+      .filter(Boolean)
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Load saved mappings ({ signature: { field: header } })
+   */
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return {};
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      return saved.mappings || {};
+    } catch (error) {
+      console.warn(`Ignoring unreadable column mappings at ${this.storePath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Get the mapping last used for a spreadsheet with these headers, or null
+   */
+  getMapping(headers) {
+    return this.load()[this.getSignature(headers)] || null;
+  }
+
+  /**
+   * Remember the mapping used for a spreadsheet with these headers
+   */
+  saveMapping(headers, mapping) {
+    const mappings = this.load();
+    mappings[this.getSignature(headers)] = mapping;
+    this.write(mappings);
+  }
+
+  /**
+   * Write mappings atomically so a crash never leaves a half-written file
+   */
+  write(mappings) {
+    const payload = {
+      updatedAt: new Date().toISOString(),
+      mappings
+    };
+
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(payload, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+module.exports = new MappingStore();
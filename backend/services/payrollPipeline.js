@@ -0,0 +1,376 @@
+/**
+ * The /process pipeline: extract -> parse -> check -> rules -> history
+ *
+ * Shared by the blocking /process and /process-batch endpoints and
+ * background jobs; a batch parses each file, merges them and runs the
+ * remaining stages once. Progress
+ * is reported through onProgress({ stage, message, ... }) and an
+ * AbortSignal stops the run between stages (and between PDF pages).
+ */
+
+const crypto = require('crypto');
+const pdfParser = require('./pdfParser');
+const spreadsheetParser = require('./spreadsheetParser');
+const batchMerger = require('./batchMerger');
+const mappingStore = require('./mappingStore');
+const entryChecker = require('./entryChecker');
+const ruleEngine = require('./ruleEngine');
+const historyStore = require('./historyStore');
+
+/**
+ * Error carrying the HTTP status and title a route should answer with
+ */
+function processingError(status, error, details) {
+  return Object.assign(new Error(details), { status, error });
+}
+
+class PayrollPipeline {
+
+  /**
+   * Process one uploaded PDF, CSV or XLSX file
+   *
+   * file: multer file; options: { format, extractionMode, columnMapping,
+   * rules, explain } where rules lists the rule ids to run (null for all)
+   * and explain adds the rule trace (see ruleEngine.applyRules) as data.trace.
+   * Returns the /process response body. Errors the client can fix have
+   * status and error set (see processingError); a cancelled run throws
+   * with cancelled set.
+   */
+  async processUpload(file, { format, extractionMode = 'text', columnMapping, rules = null, explain = false } = {}, { onProgress = () => {}, signal } = {}) {
+    const parsed = await this.parseUpload(file, { format, extractionMode, columnMapping }, onProgress, signal);
+
+    return this.processEntries(parsed, {
+      filename: file.originalname,
+      fileHash: this.hashFile(file),
+      rules,
+      explain
+    }, { onProgress, signal });
+  }
+
+  /**
+   * Process several PDF reports (e.g. one per branch) as one run
+   *
+   * Each file is parsed on its own and the entries are merged with
+   * batchMerger, so weekly overtime and duplicate checks span the files.
+   * Takes the processUpload options and hooks; the response also has
+   * metadata.batch, and changes, review items and conflicts carry the
+   * sourceFile of their entry.
+   */
+  async processBatch(files, { extractionMode = 'text', rules = null, explain = false } = {}, { onProgress = () => {}, signal } = {}) {
+    // Steps 1-2: Parse each report on its own, then merge them
+    const parsedFiles = [];
+    for (const file of files) {
+      const fileProgress = progress => onProgress({
+        ...progress,
+        message: `${file.originalname}: ${progress.message}`,
+        file: file.originalname
+      });
+
+      let parsed;
+      try {
+        parsed = await this.parseUpload(file, { format: 'pdf', extractionMode }, fileProgress, signal);
+      } catch (parseError) {
+        if (parseError.status) {
+          parseError.message = `${file.originalname}: ${parseError.message}`;
+        }
+        throw parseError;
+      }
+      parsedFiles.push({ filename: file.originalname, fileHash: this.hashFile(file), ...parsed });
+    }
+
+    const merged = batchMerger.merge(parsedFiles);
+    console.log('Merged employee entries:', merged.entries.length, 'Duplicates across files:', merged.duplicates.length);
+
+    const fallbacks = parsedFiles.filter(file => file.extraction.fallbackReason);
+    const extraction = {
+      requestedMode: extractionMode,
+      mode: fallbacks.length === parsedFiles.length ? 'text' : extractionMode,
+      fallbackReason: fallbacks.length > 0
+        ? fallbacks.map(file => `${file.filename}: ${file.extraction.fallbackReason}`).join('; ')
+        : null
+    };
+
+    const result = await this.processEntries({
+      entries: merged.entries,
+      reconciliation: merged.reconciliation,
+      diagnostics: merged.diagnostics,
+      extraction
+    }, {
+      filename: parsedFiles.map(file => file.filename).join(', '),
+      fileHash: crypto.createHash('sha256').update(parsedFiles.map(file => file.fileHash).join('|')).digest('hex'),
+      rules,
+      explain
+    }, { onProgress, signal });
+
+    result.metadata.batch = {
+      files: parsedFiles.map(file => ({
+        filename: file.filename,
+        fileHash: file.fileHash,
+        entryCount: file.entries.length,
+        extraction: file.extraction
+      })),
+      payPeriods: merged.payPeriods,
+      duplicates: merged.duplicates
+    };
+    return result;
+  }
+
+  /**
+   * Steps 1-2: Extract the entries from a PDF report or a spreadsheet
+   *
+   * Returns { entries, reconciliation, diagnostics, extraction }.
+   */
+  async parseUpload(file, { format, extractionMode = 'text', columnMapping }, onProgress, signal) {
+    let parsed;
+    try {
+      parsed = format === 'pdf'
+        ? await this.parsePdf(file, extractionMode, onProgress, signal)
+        : await this.parseSpreadsheet(file, format, columnMapping, onProgress);
+    } catch (parseError) {
+      if (parseError.status || parseError.cancelled) {
+        throw parseError;
+      }
+      throw processingError(422, 'Failed to parse payroll data', parseError.message);
+    }
+    this.checkCancelled(signal);
+    return parsed;
+  }
+
+  /**
+   * Steps 3-4: Check and correct parsed entries and record the run
+   *
+   * run: { filename, fileHash, rules, explain }. Returns the /process
+   * response body.
+   */
+  async processEntries(parsed, { filename, fileHash, rules = null, explain = false }, { onProgress = () => {}, signal } = {}) {
+    const { entries: employeeData, reconciliation, diagnostics, extraction } = parsed;
+    const employeeCount = new Set(employeeData.map(entry => entry.employeeId || entry.employeeName)).size;
+    console.log('Parsed employee entries:', employeeData.length, 'Parser diagnostics:', diagnostics.length);
+    onProgress({
+      stage: 'parse',
+      message: `Parsed ${employeeData.length} entries for ${employeeCount} employee${employeeCount !== 1 ? 's' : ''}`,
+      employees: employeeCount,
+      entries: employeeData.length,
+      diagnostics: diagnostics.length
+    });
+
+    // Duplicates and impossible daily totals need a reviewer - rules cannot fix them
+    const findings = entryChecker.check(employeeData);
+    console.log('Entry findings:', findings.length);
+
+    // Step 3: Apply the selected business rules and track changes
+    let ruleSelection;
+    try {
+      ruleSelection = ruleEngine.selectRules(rules);
+    } catch (selectionError) {
+      throw processingError(400, 'Invalid rule selection', selectionError.message);
+    }
+    const ruleCount = ruleSelection.applied.length;
+    onProgress({
+      stage: 'rules',
+      message: `Applying ${ruleCount} rules`,
+      rules: ruleCount
+    });
+    let correctedData, changes, needsReview, conflicts, ruleSetVersions, trace;
+    try {
+      ({ correctedData, changes, needsReview, conflicts, ruleSetVersions, trace } = await ruleEngine.applyRules(employeeData, {
+        disabledRules: ruleSelection.skipped.map(rule => rule.id),
+        explain
+      }));
+      console.log('Rules applied successfully, changes made:', changes.length);
+      console.log('Entries needing manual review:', needsReview.length);
+      console.log('Rule conflicts:', conflicts.length);
+    } catch (ruleError) {
+      throw processingError(500, 'Failed to apply business rules', ruleError.message);
+    }
+    // Batch entries name the file they came from, and so does everything about them
+    const withSourceFile = item => {
+      const { sourceFile } = employeeData[item.entryIndex];
+      return sourceFile ? { ...item, sourceFile } : item;
+    };
+    changes = changes.map(withSourceFile);
+    needsReview = needsReview.map(withSourceFile);
+    conflicts = conflicts.map(withSourceFile);
+    // Older entries may have been corrected with an earlier rule set
+    ruleSelection = { ...ruleSelection, ruleSetVersions };
+    this.checkCancelled(signal);
+    onProgress({
+      stage: 'rules',
+      message: `Rules applied: ${changes.length} change${changes.length !== 1 ? 's' : ''}, ${needsReview.length} for manual review`,
+      rules: ruleCount,
+      changes: changes.length,
+      needsReview: needsReview.length
+    });
+
+    // Step 4: Record the run so it can be reopened from the history page
+    const processedAt = new Date().toISOString();
+    const runId = this.recordRun({
+      fileHash,
+      filename,
+      processedAt,
+      originalEntries: employeeData,
+      correctedEntries: correctedData,
+      changes,
+      needsReview,
+      conflicts,
+      reconciliation,
+      diagnostics,
+      findings,
+      ruleSelection
+    });
+
+    return {
+      success: true,
+      originalCount: employeeData.length,
+      correctedCount: correctedData.length,
+      changesCount: changes.length,
+      needsReviewCount: needsReview.length,
+      conflictsCount: conflicts.length,
+      reconciliation,
+      diagnostics,
+      findings,
+      data: {
+        original: employeeData,
+        corrected: correctedData,
+        changes: changes,
+        needsReview: needsReview,
+        conflicts,
+        // The trace is only returned, never stored in the history
+        ...(trace ? { trace } : {})
+      },
+      metadata: {
+        filename,
+        processedAt,
+        fileHash,
+        runId,
+        extraction,
+        ruleSelection
+      }
+    };
+  }
+
+  /**
+   * Stop a cancelled run between stages
+   */
+  checkCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw Object.assign(new Error('Processing was cancelled'), { cancelled: true });
+    }
+  }
+
+  /**
+   * SHA-256 of an uploaded file, to recognize it in the history
+   */
+  hashFile(file) {
+    return crypto.createHash('sha256').update(file.buffer).digest('hex');
+  }
+
+  /**
+   * Read a PDF report, reporting each extracted page
+   */
+  async parsePdf(file, extractionMode, onProgress, signal) {
+    onProgress({ stage: 'extract', message: 'Reading the PDF' });
+
+    const parsed = await pdfParser.parsePdf(file.buffer, {
+      extractionMode,
+      signal,
+      onPage: ({ page, pageCount }) => onProgress({
+        stage: 'extract',
+        message: pageCount ? `Read page ${page} of ${pageCount}` : `Read page ${page}`,
+        page,
+        pageCount
+      })
+    });
+
+    console.log('Extraction mode used:', parsed.extraction.mode);
+    console.log('Totals reconciliation:', parsed.reconciliation.status);
+    return parsed;
+  }
+
+  /**
+   * Read a CSV or XLSX export with the given column mapping, or the saved
+   * or suggested one, and remember the mapping that was used
+   */
+  async parseSpreadsheet(file, format, requestedMapping, onProgress) {
+    onProgress({ stage: 'extract', message: `Reading the ${format.toUpperCase()} file` });
+    const table = await spreadsheetParser.readTable(file.buffer, format);
+
+    let columnMapping;
+    try {
+      columnMapping = this.parseColumnMapping(requestedMapping) ||
+        spreadsheetParser.suggestMapping(table.headers).mapping;
+    } catch (mappingError) {
+      throw processingError(400, 'Invalid column mapping', `columnMapping is not valid JSON: ${mappingError.message}`);
+    }
+
+    const mappingErrors = spreadsheetParser.validateMapping(columnMapping, table.headers);
+    if (mappingErrors.length > 0) {
+      throw processingError(400, 'Invalid column mapping', mappingErrors.join('; '));
+    }
+
+    const { entries, diagnostics } = spreadsheetParser.parseEntries(table, columnMapping);
+
+    try {
+      mappingStore.saveMapping(table.headers, columnMapping);
+    } catch (storeError) {
+      // A forgotten mapping only costs the user a re-map next time
+      console.error('Failed to save column mapping:', storeError);
+    }
+
+    return {
+      entries,
+      diagnostics,
+      // Spreadsheets carry no printed totals to reconcile against
+      reconciliation: null,
+      extraction: { requestedMode: format, mode: format, fallbackReason: null }
+    };
+  }
+
+  /**
+   * Parse the column mapping sent with a spreadsheet upload, or null if none was sent
+   */
+  parseColumnMapping(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * Parse the rule ids sent with an upload - a JSON array or a comma-separated
+   * list - or null when none were sent (run every rule)
+   */
+  parseRuleIds(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value;
+    }
+    const text = String(value).trim();
+    return text.startsWith('[')
+      ? JSON.parse(text)
+      : text.split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  /**
+   * Save a processing run to the history, returning its id (null if it could not be saved)
+   */
+  recordRun(run) {
+    const firstEntry = run.originalEntries[0] || {};
+    try {
+      return historyStore.recordRun({
+        payPeriodId: firstEntry.payPeriodId,
+        reportDate: firstEntry.reportDate,
+        rulesVersion: ruleEngine.version,
+        ...run
+      });
+    } catch (historyError) {
+      // History is a convenience - never fail the upload because of it
+      console.error('Failed to record processing history:', historyError);
+      return null;
+    }
+  }
+}
+
+module.exports = new PayrollPipeline();
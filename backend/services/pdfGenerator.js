@@ -1,12 +1,19 @@
 const { jsPDF } = require('jspdf');
 const moment = require('moment');
 
+// Change summary headings for entryChecker finding types
+const FINDING_LABELS = {
+  duplicate: 'Duplicate entry',
+  near_duplicate: 'Possible duplicate',
+  daily_total: 'Over 24 hours in a day'
+};
+
 class PDFGenerator {
   
   /**
    * Generate corrected payroll report PDF
    */
-  async generateCorrectedReport(correctedData, originalFilename) {
+  async generateCorrectedReport(correctedData, originalFilename, ruleSelection = null) {
     try {
       const doc = new jsPDF('p', 'pt', 'letter');
       
@@ -16,7 +23,7 @@ class PDFGenerator {
       // Generate report content
       this.addHeader(doc, originalFilename);
       this.addEmployeeData(doc, correctedData);
-      this.addFooter(doc);
+      this.addFooter(doc, ruleSelection);
       
       // Return PDF buffer
       return Buffer.from(doc.output('arraybuffer'));
@@ -262,15 +269,21 @@ class PDFGenerator {
   }
 
   /**
-   * Add footer
+   * Add footer, stating the rule set the corrections came from
    */
-  addFooter(doc) {
+  addFooter(doc, ruleSelection = null) {
     const pageHeight = doc.internal.pageSize.getHeight();
     const pageWidth = doc.internal.pageSize.getWidth();
     
     doc.setFontSize(8);
     doc.setFont('helvetica', 'italic');
     
+    // Long lists of skipped rules wrap upwards, above the fixed footer lines
+    const ruleLines = doc.splitTextToSize(this.describeRuleSelection(ruleSelection), pageWidth - 100);
+    ruleLines.forEach((line, index) => {
+      doc.text(line, pageWidth / 2, pageHeight - 45 - (ruleLines.length - 1 - index) * 10, { align: 'center' });
+    });
+    
     const footerText = 'This report was automatically generated and corrected using Benedict Payroll Automation';
     doc.text(footerText, pageWidth / 2, pageHeight - 30, { align: 'center' });
     
@@ -278,12 +291,40 @@ class PDFGenerator {
     doc.text(`Generated: ${timestamp}`, pageWidth / 2, pageHeight - 15, { align: 'center' });
   }
 
+  /**
+   * One-line description of the rules a run applied (ruleEngine.selectRules),
+   * naming every rule-set version used when entries spanned several
+   */
+  describeRuleSelection(ruleSelection) {
+    if (!ruleSelection) {
+      return 'Rule set: not recorded for this run';
+    }
+
+    const { rulesVersion, applied, skipped } = ruleSelection;
+    const versions = ruleSelection.ruleSetVersions && ruleSelection.ruleSetVersions.length > 0
+      ? ruleSelection.ruleSetVersions
+      : [rulesVersion];
+    const ruleSet = versions.length > 1
+      ? `Rule sets ${versions.join(', ')} (by entry date)`
+      : `Rule set ${versions[0]}`;
+    if (skipped.length === 0) {
+      return `${ruleSet}: all ${applied.length} rules applied`;
+    }
+    return `${ruleSet}: ${applied.length} of ${applied.length + skipped.length} rules applied; ` +
+      `skipped ${skipped.map(rule => rule.name).join(', ')}`;
+  }
+
   /**
    * Generate change summary PDF
+   *
+   * The audit record of a run: totals by rule and by employee (see
+   * ruleEngine.getSummary), every change, and a review/approval block.
    */
-  async generateChangeSummary(changes, originalFilename) {
+  async generateChangeSummary(changes, originalFilename, summary, findings = [], ruleSelection = null) {
     try {
       const doc = new jsPDF('p', 'pt', 'letter');
+      const pageHeight = doc.internal.pageSize.getHeight();
+      const margin = 50;
       
       doc.setFont('helvetica');
       
@@ -298,39 +339,163 @@ class PDFGenerator {
       doc.text(`Source: ${originalFilename}`, pageWidth / 2, 70, { align: 'center' });
       doc.text(`Generated: ${moment().format('YYYY-MM-DD HH:mm:ss')}`, pageWidth / 2, 85, { align: 'center' });
       
+      doc.setFontSize(9);
+      const ruleLines = doc.splitTextToSize(this.describeRuleSelection(ruleSelection), pageWidth - 2 * margin);
+      doc.text(ruleLines, pageWidth / 2, 100, { align: 'center' });
+      
+      // Start a new page when the next block would not fit
+      let yPosition = 125 + (ruleLines.length - 1) * 11;
+      const ensureSpace = (height) => {
+        if (yPosition + height > pageHeight - 60) {
+          doc.addPage();
+          yPosition = 50;
+        }
+      };
+      
       // Summary stats
-      let yPosition = 120;
       doc.setFontSize(14);
       doc.setFont('helvetica', 'bold');
-      doc.text(`Total Changes Made: ${changes.length}`, 50, yPosition);
+      doc.text(`Total Changes Made: ${changes.length}`, margin, yPosition);
+      yPosition += 25;
+      
+      yPosition = this.addCountTable(doc, 'Changes by Rule', summary.changesByRule, yPosition, ensureSpace);
+      yPosition = this.addCountTable(doc, 'Changes by Employee', summary.changesByEmployee, yPosition, ensureSpace);
+      
+      // List each change
+      if (changes.length > 0) {
+        ensureSpace(40);
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Change Detail', margin, yPosition);
+        yPosition += 18;
+      }
       
-      yPosition += 30;
       doc.setFontSize(10);
       doc.setFont('helvetica', 'normal');
       
-      // List each change
       changes.forEach(change => {
-        const changeText = `${change.employeeName} (${change.date}): ${change.field} changed from "${change.originalValue}" to "${change.correctedValue}" - ${change.rule}`;
+        let changeText = `${change.employeeName} (${change.date}): ${change.field} changed from "${change.originalValue}" to "${change.correctedValue}" - ${change.rule}`;
+        if (change.rule === 'Manual' && change.description) {
+          // Keep the reviewer's note with manual edits
+          changeText += ` (${change.description})`;
+        }
         const splitText = doc.splitTextToSize(changeText, 500);
         
         splitText.forEach(line => {
-          if (yPosition > 700) {
-            doc.addPage();
-            yPosition = 50;
-          }
-          doc.text(line, 50, yPosition);
+          ensureSpace(12);
+          doc.text(line, margin, yPosition);
           yPosition += 12;
         });
         
         yPosition += 5;
       });
       
+      yPosition = this.addFindings(doc, findings, yPosition + 10, ensureSpace);
+      
+      this.addSignatureBlock(doc, yPosition + 20, ensureSpace);
+      
       return Buffer.from(doc.output('arraybuffer'));
       
     } catch (error) {
       throw new Error(`Failed to generate change summary: ${error.message}`);
     }
   }
+
+  /**
+   * List entry findings (duplicates, impossible daily totals) that no rule
+   * corrected, so the approver signs off knowing about them
+   */
+  addFindings(doc, findings, yPosition, ensureSpace) {
+    if (findings.length === 0) {
+      return yPosition;
+    }
+    
+    const margin = 50;
+    
+    ensureSpace(40);
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Findings Not Corrected Automatically: ${findings.length}`, margin, yPosition);
+    yPosition += 18;
+    
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    
+    findings.forEach(finding => {
+      const label = FINDING_LABELS[finding.type] || finding.type;
+      const splitText = doc.splitTextToSize(`${label} - ${finding.employeeName} (${finding.date}): ${finding.reason}`, 500);
+      
+      splitText.forEach(line => {
+        ensureSpace(12);
+        doc.text(line, margin, yPosition);
+        yPosition += 12;
+      });
+      
+      yPosition += 5;
+    });
+    
+    return yPosition;
+  }
+
+  /**
+   * Add a titled two-column table of counts, largest first
+   */
+  addCountTable(doc, title, counts, yPosition, ensureSpace) {
+    const rows = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (rows.length === 0) {
+      return yPosition;
+    }
+    
+    const margin = 50;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    
+    ensureSpace(40);
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text(title, margin, yPosition);
+    yPosition += 16;
+    
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    
+    rows.forEach(([label, count]) => {
+      ensureSpace(12);
+      doc.text(label, margin + 20, yPosition);
+      doc.text(String(count), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 13;
+    });
+    
+    return yPosition + 15;
+  }
+
+  /**
+   * Add review and approval signature lines
+   */
+  addSignatureBlock(doc, yPosition, ensureSpace) {
+    const margin = 50;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    
+    ensureSpace(150);
+    
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Review and Approval', margin, yPosition);
+    yPosition += 15;
+    
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.text('I have reviewed the corrections listed above and approve them for payroll.', margin, yPosition);
+    yPosition += 40;
+    
+    ['Reviewed by', 'Approved by'].forEach(role => {
+      doc.setLineWidth(0.5);
+      doc.line(margin, yPosition, margin + 250, yPosition);
+      doc.line(pageWidth - margin - 150, yPosition, pageWidth - margin, yPosition);
+      doc.text(`${role} (name and signature)`, margin, yPosition + 12);
+      doc.text('Date', pageWidth - margin - 150, yPosition + 12);
+      yPosition += 50;
+    });
+  }
 }
 
 module.exports = new PDFGenerator();
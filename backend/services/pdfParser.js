@@ -1,13 +1,60 @@
 const pdf = require('pdf-parse');
+const layoutParser = require('./layoutParser');
+
+// Pay types that can appear on an entry's dash line or a totals line
+const KNOWN_PAY_TYPES = ['Regular', 'Overtime', 'Double Time', 'Call', 'Unapplied', 'OTClearing'];
+
+// Values used when an entry's dash line leaves a field out; the entry's
+// inferredFields lists the fields that were filled in this way
+const FIELD_DEFAULTS = {
+  payType: 'Regular',
+  laborRate: 'Tech',
+  costCode: 'SERVICE',
+  costCategory: 'DirLab'
+};
+
+// How text is read from the PDF: 'text' follows pdf-parse's line order,
+// 'layout' rebuilds table rows from item positions (see layoutParser)
+const EXTRACTION_MODES = ['text', 'layout'];
+
+// Employee header, e.g. "Smith, John - 12345"
+const EMPLOYEE_PATTERN = /^([A-Za-z',.\s-]+?)\s+-\s+(\d+)/;
+const DATE_PATTERN = /^(\d{1,2}\/\d{1,2}\/\d{4})$/;
+const HOURS_PATTERN = /^(\d+(?:\.\d+)?)\s*$/;
+
+// A continuation row (wrapped cell) sits within this many row heights of
+// the row above it
+const CONTINUATION_GAP = 2;
+
+const FIELD_LABELS = {
+  payType: 'pay type',
+  laborRate: 'labor rate',
+  costCode: 'cost code',
+  costCategory: 'cost category'
+};
 
 class PDFParser {
   
   /**
    * Extract text content from PDF buffer
+   *
+   * onPage({ page, pageCount }) is called as each page is read; once
+   * signal is aborted the remaining pages are skipped.
    */
-  async extractText(pdfBuffer) {
+  async extractText(pdfBuffer, { onPage, signal } = {}) {
+    const pagerender = async (pageData) => {
+      if (signal && signal.aborted) {
+        return '';
+      }
+      const text = await this.renderPageText(pageData);
+      if (onPage) {
+        onPage({ page: pageData.pageIndex + 1, pageCount: pageData.transport.numPages });
+      }
+      return text;
+    };
+
     try {
-      const data = await pdf(pdfBuffer);
+      const data = await pdf(pdfBuffer, { pagerender });
       console.log(`PDF text extracted successfully, length: ${data.text.length}`);
       return data.text;
     } catch (error) {
@@ -15,14 +62,94 @@ class PDFParser {
     }
   }
 
+  /**
+   * Render a page's text the way pdf-parse's default renderer does: items
+   * on the same baseline are joined, each new baseline starts a new line
+   */
+  async renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    textContent.items.forEach(item => {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    });
+    return text;
+  }
+
+  /**
+   * Read a payroll PDF with the requested extraction mode
+   *
+   * Layout mode falls back to the line parser when the report has no
+   * recognizable table header or no entries are found in its layout.
+   * Returns parseReport's result plus extraction: { requestedMode, mode,
+   * fallbackReason }. onPage and signal are passed to the text extraction
+   * (see extractText).
+   */
+  async parsePdf(pdfBuffer, { extractionMode = 'text', onPage, signal } = {}) {
+    if (!EXTRACTION_MODES.includes(extractionMode)) {
+      throw new Error(`Unknown extraction mode: ${extractionMode}`);
+    }
+
+    let fallbackReason = null;
+
+    if (extractionMode === 'layout') {
+      try {
+        const table = await layoutParser.extractTable(pdfBuffer, { onPage, signal });
+        if (!table.columns) {
+          fallbackReason = 'No table header with Date and Hours columns was found';
+        } else {
+          const result = this.parseLayout(table);
+          if (result.entries.length > 0) {
+            return {
+              ...result,
+              extraction: { requestedMode: extractionMode, mode: 'layout', fallbackReason }
+            };
+          }
+          fallbackReason = 'No entries were found in the table layout';
+        }
+      } catch (error) {
+        fallbackReason = error.message;
+      }
+      console.warn(`Layout extraction unavailable, using the line parser: ${fallbackReason}`);
+    }
+
+    const text = await this.extractText(pdfBuffer, { onPage, signal });
+    const result = await this.parseReport(text);
+
+    return {
+      ...result,
+      extraction: { requestedMode: extractionMode, mode: 'text', fallbackReason }
+    };
+  }
+
   /**
    * Parse employee payroll data from extracted text
+   *
+   * Returns { entries, diagnostics }, see parseReport.
    */
   async parseEmployeeData(text) {
+    const { entries, diagnostics } = await this.parseReport(text);
+    return { entries, diagnostics };
+  }
+
+  /**
+   * Parse a report into its entries, the totals printed on it, and a
+   * reconciliation of the two
+   *
+   * Returns { entries, printedTotals, reconciliation, diagnostics }. A
+   * mismatch between printed and parsed hours means the parser dropped
+   * entries; diagnostics lists every entry block that was skipped or only
+   * partly read, with its source line number and raw text.
+   */
+  async parseReport(text) {
     try {
-      console.log('Starting to parse employee data from PDF text...');
-      
       const allEntries = [];
+      const diagnostics = [];
       const lines = text.split('\n');
       
       let currentEmployee = null;
@@ -30,9 +157,11 @@ class PDFParser {
       let payPeriodId = null;
       let reportDate = null;
       let employeeCount = 0;
-      let totalEntriesCount = 0;
       
-      console.log(`Total lines to process: ${lines.length}`);
+      // Totals printed on the report; "<hours> <Pay Type>" lines precede
+      // the Employee Totals / Report Totals line they belong to
+      const printedTotals = { employees: [], report: null };
+      let pendingPayTypeTotals = {};
       
       for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
@@ -41,17 +170,11 @@ class PDFParser {
         // Skip empty lines
         if (!trimmedLine) continue;
         
-        // Debug logging for analyzing format
-        if (i < 50 && trimmedLine.length > 0) {
-          console.log(`Line ${i}: [${trimmedLine.substring(0, 100)}]`);
-        }
-        
         // Extract pay period ID
         if (trimmedLine.includes('Pay Period Id:')) {
           const match = trimmedLine.match(/Pay Period Id:\s*([^\s]+)/);
           if (match) {
             payPeriodId = match[1];
-            console.log(`Found Pay Period ID: ${payPeriodId}`);
           }
         }
         
@@ -60,19 +183,16 @@ class PDFParser {
           const dateMatch = trimmedLine.match(/\w{3}\s+\w{3}\s+\d{1,2},\s+\d{4}/);
           if (dateMatch) {
             reportDate = dateMatch[0];
-            console.log(`Found Report Date: ${reportDate}`);
           }
         }
         
         // Check for employee header - more flexible pattern
         // Matches: "FirstName LastName - 12345" or "LastName, FirstName - 12345"
         // Updated to handle spacing and any trailing text after ID
-        const employeeMatch = trimmedLine.match(/^([A-Za-z',.\s-]+?)\s+-\s+(\d+)/);
+        const employeeMatch = trimmedLine.match(EMPLOYEE_PATTERN);
         if (employeeMatch && !trimmedLine.includes('Date') && !trimmedLine.includes('Hours')) {
-          console.log(`DEBUG: Matched employee line: "${trimmedLine}"`);
           // Save previous employee's entries if exists
           if (currentEmployee && employeeEntries.length > 0) {
-            console.log(`  Saving ${employeeEntries.length} entries for ${currentEmployee.name}`);
             employeeEntries.forEach(entry => {
               allEntries.push({
                 ...entry,
@@ -82,7 +202,6 @@ class PDFParser {
                 reportDate: reportDate
               });
             });
-            totalEntriesCount += employeeEntries.length;
           }
           
           // Start new employee
@@ -92,85 +211,114 @@ class PDFParser {
           };
           employeeEntries = [];
           employeeCount++;
-          console.log(`Found employee #${employeeCount}: ${currentEmployee.name} (ID: ${currentEmployee.id})`);
           continue;
         }
         
-        // Parse time entries for current employee
+        // Parse time entries
         // Handle multi-line format where job code, date, hours, and details are on separate lines
-        if (currentEmployee) {
-          // Check if this line starts with a job code (parentheses format)
-          const jobCodeMatch = trimmedLine.match(/^\(([A-Z][^)]*)\)(.*)$/) || trimmedLine.match(/^([A-Z]+)\)(.*)$/);
+        // Check if this line starts with a job code (parentheses format)
+        const jobCodeMatch = trimmedLine.match(/^\(([A-Z][^)]*)\)(.*)$/) || trimmedLine.match(/^([A-Z]+)\)(.*)$/);
+        
+        if (jobCodeMatch) {
+          // This is the start of a time entry
+          // Next lines should be: date, hours, details
+          const jobCode = jobCodeMatch[1];
+          const jobDescription = (jobCodeMatch[2] || '').trim();
+          
+          const nextLine1 = (lines[i + 1] || '').trim(); // Should be date
+          const nextLine2 = (lines[i + 2] || '').trim(); // Should be hours
+          const nextLine3 = (lines[i + 3] || '').trim(); // Should be details with dashes
           
-          if (jobCodeMatch) {
-            // This is the start of a time entry
-            // Next lines should be: date, hours, details
-            const jobCode = jobCodeMatch[1];
-            const jobDescription = (jobCodeMatch[2] || '').trim();
+          const dateMatch = nextLine1.match(DATE_PATTERN);
+          const hoursMatch = nextLine2.match(HOURS_PATTERN);
+          
+          const addDiagnostic = (type, code, reason) => {
+            diagnostics.push({
+              line: i + 1,
+              type,
+              code,
+              reason,
+              employeeName: currentEmployee ? currentEmployee.name : null,
+              employeeId: currentEmployee ? currentEmployee.id : null,
+              rawText: lines.slice(i, i + 4).map(blockLine => blockLine.trim()).join('\n')
+            });
+          };
+          
+          if (!currentEmployee) {
+            // Job code lines also appear in page headers - only a block
+            // with a date is an entry lost outside an employee section
+            if (dateMatch) {
+              addDiagnostic('skipped', 'no_employee', 'Entry found outside an employee section');
+            }
+          } else if (i + 3 >= lines.length) {
+            addDiagnostic('skipped', 'truncated_block', 'Entry block is cut off at the end of the report');
+          } else if (!dateMatch) {
+            addDiagnostic('skipped', 'bad_date', `Expected a MM/DD/YYYY date after the job code, found "${nextLine1}"`);
+          } else if (!hoursMatch) {
+            addDiagnostic('skipped', 'bad_hours', `Expected hours after the date, found "${nextLine2}"`);
+          } else if (!nextLine3.includes(' - ')) {
+            addDiagnostic('skipped', 'missing_dash_line', `Expected a "Pay Type - Labor Rate - Cost Code - ..." line after the hours, found "${nextLine3}"`);
+          } else {
+            const date = dateMatch[1];
+            const hours = parseFloat(hoursMatch[1]);
             
-            // Look ahead for date, hours, and details
-            if (i + 3 < lines.length) {
-              const nextLine1 = lines[i + 1].trim(); // Should be date
-              const nextLine2 = lines[i + 2].trim(); // Should be hours
-              const nextLine3 = lines[i + 3].trim(); // Should be details with dashes
-              
-              const dateMatch = nextLine1.match(/^(\d{1,2}\/\d{1,2}\/\d{4})$/);
-              const hoursMatch = nextLine2.match(/^(\d+(?:\.\d+)?)\s*$/);
-              
-              if (dateMatch && hoursMatch && nextLine3.includes(' - ')) {
-                const date = dateMatch[1];
-                const hours = parseFloat(hoursMatch[1]);
-                
-                // Parse the dash-separated fields
-                const dashParts = nextLine3.split(' - ').map(p => p.trim());
-                const payType = dashParts[0] || 'Regular';
-                const laborRate = dashParts[1] || 'Tech';
-                const costCode = dashParts[2] || 'SERVICE';
-                const costCategory = dashParts[3] || 'DirLab';
-                const description = dashParts[4] || '';
-                
-                const entry = {
-                  jobCode,
-                  jobDescription,
-                  date,
-                  hours,
-                  payType,
-                  laborRate,
-                  costCode,
-                  costCategory,
-                  description,
-                  originalLine: `${trimmedLine} ${nextLine1} ${nextLine2} ${nextLine3}`
-                };
-                
-                employeeEntries.push(entry);
-                console.log(`  Added entry for ${currentEmployee.name}: ${date} - ${hours} hours`);
-                
-                // Skip the lines we just processed
-                i += 3;
-                
-                // Sometimes there's a "Source" and "Labor" line after, skip those too
-                if (i + 1 < lines.length && (lines[i + 1].trim() === 'Source' || lines[i + 1].trim().startsWith('Labor'))) {
-                  i++;
-                }
-                if (i + 1 < lines.length && lines[i + 1].trim().match(/^\d+$/)) {
-                  i++; // Skip numeric line
-                }
-              }
+            // Parse the dash-separated fields, falling back to defaults for missing ones
+            const { fields, inferredFields } = this.resolveEntryFields(this.splitDetails(nextLine3), addDiagnostic);
+            const { payType, laborRate, costCode, costCategory, description } = fields;
+            
+            const entry = {
+              jobCode,
+              jobDescription,
+              date,
+              hours,
+              payType,
+              laborRate,
+              costCode,
+              costCategory,
+              description,
+              inferredFields,
+              originalLine: `${trimmedLine} ${nextLine1} ${nextLine2} ${nextLine3}`
+            };
+            
+            employeeEntries.push(entry);
+            
+            // Skip the lines we just processed
+            i += 3;
+            
+            // Sometimes there's a "Source" and "Labor" line after, skip those too
+            if (i + 1 < lines.length && (lines[i + 1].trim() === 'Source' || lines[i + 1].trim().startsWith('Labor'))) {
+              i++;
+            }
+            if (i + 1 < lines.length && lines[i + 1].trim().match(/^\d+$/)) {
+              i++; // Skip numeric line
             }
+            continue;
           }
         }
         
+        // Collect pay type subtotals for the next totals line
+        const payTypeTotal = this.parsePayTypeTotal(trimmedLine);
+        if (payTypeTotal) {
+          pendingPayTypeTotals[payTypeTotal.payType] = payTypeTotal.hours;
+          continue;
+        }
+        
         // Check for Employee Totals (end of employee section)
         if (trimmedLine.includes('Employee Totals')) {
           // Extract total hours if present
-          const totalMatch = trimmedLine.match(/Employee Totals\s+(\d+\.?\d*)/);
-          if (totalMatch && currentEmployee) {
-            console.log(`  Employee ${currentEmployee.name} total hours: ${totalMatch[1]}`);
-          }
+          const total = this.parseTotalHours(trimmedLine, 'Employee Totals', lines[i + 1]);
+          if (total.consumedNextLine) i++;
+          
+          printedTotals.employees.push({
+            employeeName: currentEmployee ? currentEmployee.name : null,
+            employeeId: currentEmployee ? currentEmployee.id : null,
+            total: total.hours,
+            byPayType: pendingPayTypeTotals
+          });
+          pendingPayTypeTotals = {};
           
           // Save current employee's entries
           if (currentEmployee && employeeEntries.length > 0) {
-            console.log(`  Saving ${employeeEntries.length} entries for ${currentEmployee.name}`);
             employeeEntries.forEach(entry => {
               allEntries.push({
                 ...entry,
@@ -180,7 +328,6 @@ class PDFParser {
                 reportDate: reportDate
               });
             });
-            totalEntriesCount += employeeEntries.length;
           }
           
           // Reset for next employee
@@ -190,14 +337,28 @@ class PDFParser {
         
         // Check for Report Totals (end of all employees)
         if (trimmedLine.includes('Report Totals')) {
-          console.log('Reached Report Totals - end of employee data');
+          const total = this.parseTotalHours(trimmedLine, 'Report Totals', lines[i + 1]);
+          if (total.consumedNextLine) i++;
+          
+          // Some layouts print the pay type subtotals after the Report Totals line
+          for (let j = i + 1; j < lines.length; j++) {
+            const trailing = lines[j].trim();
+            if (!trailing) continue;
+            const trailingTotal = this.parsePayTypeTotal(trailing);
+            if (!trailingTotal) break;
+            pendingPayTypeTotals[trailingTotal.payType] = trailingTotal.hours;
+          }
+          
+          printedTotals.report = {
+            total: total.hours,
+            byPayType: pendingPayTypeTotals
+          };
           break;
         }
       }
       
       // Don't forget the last employee if no Employee Totals line
       if (currentEmployee && employeeEntries.length > 0) {
-        console.log(`  Saving ${employeeEntries.length} entries for ${currentEmployee.name} (last employee)`);
         employeeEntries.forEach(entry => {
           allEntries.push({
             ...entry,
@@ -207,28 +368,364 @@ class PDFParser {
             reportDate: reportDate
           });
         });
-        totalEntriesCount += employeeEntries.length;
       }
       
-      console.log(`\n=== PARSING SUMMARY ===`);
-      console.log(`Total employees parsed: ${employeeCount}`);
-      console.log(`Total time entries parsed: ${allEntries.length}`);
-      console.log(`Average entries per employee: ${employeeCount > 0 ? (allEntries.length / employeeCount).toFixed(1) : 0}`);
-      console.log(`======================\n`);
+      const skippedCount = diagnostics.filter(diagnostic => diagnostic.type === 'skipped').length;
+      console.log(`Parsed ${allEntries.length} entries for ${employeeCount} employees, ${skippedCount} entry blocks skipped, ${diagnostics.length - skippedCount} partly read`);
       
       if (allEntries.length === 0) {
         console.warn('WARNING: No entries were parsed from the PDF!');
-        console.log('First 500 chars of text:', text.substring(0, 500));
       }
       
-      return allEntries;
+      const reconciliation = this.reconcileTotals(allEntries, printedTotals);
+      if (reconciliation.status === 'mismatch') {
+        console.warn(`WARNING: Parsed hours do not match ${reconciliation.mismatchCount} printed total(s)`);
+      }
+      
+      return {
+        entries: allEntries,
+        printedTotals,
+        reconciliation,
+        diagnostics
+      };
       
     } catch (error) {
-      console.error('Error in parseEmployeeData:', error);
+      console.error('Error in parseReport:', error);
       throw new Error(`Failed to parse employee data: ${error.message}`);
     }
   }
 
+  /**
+   * Map rows from layoutParser.extractTable to entries
+   *
+   * Rows under a column header with a date or hours cell start an entry;
+   * rows right below one with neither are wrapped cells and are appended to
+   * it. Returns the same shape as parseReport; diagnostics carry the page
+   * and the row number (line) across the document.
+   */
+  parseLayout({ rows }) {
+    const entries = [];
+    const diagnostics = [];
+    const printedTotals = { employees: [], report: null };
+    let pendingPayTypeTotals = {};
+    let currentEmployee = null;
+    let payPeriodId = null;
+    let reportDate = null;
+    let lastEntry = null;
+    let afterReportTotals = false;
+
+    rows.forEach(row => {
+      const { text, cells } = row;
+
+      const addDiagnostic = (type, code, reason) => {
+        diagnostics.push({
+          line: row.line,
+          page: row.page,
+          type,
+          code,
+          reason,
+          employeeName: currentEmployee ? currentEmployee.name : null,
+          employeeId: currentEmployee ? currentEmployee.id : null,
+          rawText: cells ? Object.values(cells).join(' | ') : text
+        });
+      };
+
+      const periodMatch = text.match(/Pay Period Id:\s*([^\s]+)/);
+      if (periodMatch) {
+        payPeriodId = periodMatch[1];
+      }
+      const dateMatch = text.match(/\w{3}\s+\w{3}\s+\d{1,2},\s+\d{4}/);
+      if (!reportDate && dateMatch) {
+        reportDate = dateMatch[0];
+      }
+
+      // Some layouts print the pay type subtotals after the Report Totals row
+      if (afterReportTotals) {
+        const trailingTotal = this.parsePayTypeTotal(text);
+        if (trailingTotal) {
+          printedTotals.report.byPayType[trailingTotal.payType] = trailingTotal.hours;
+          return;
+        }
+        afterReportTotals = false;
+      }
+
+      // A page break repeats the employee header, so the same employee continues
+      const employeeMatch = text.match(EMPLOYEE_PATTERN);
+      if (employeeMatch && !text.includes('Date') && !text.includes('Hours')) {
+        currentEmployee = { name: employeeMatch[1].trim(), id: employeeMatch[2].trim() };
+        lastEntry = null;
+        return;
+      }
+
+      // Page titles and column headers
+      if (!cells) {
+        lastEntry = null;
+        return;
+      }
+
+      const payTypeTotal = this.parsePayTypeTotal(text);
+      if (payTypeTotal) {
+        pendingPayTypeTotals[payTypeTotal.payType] = payTypeTotal.hours;
+        lastEntry = null;
+        return;
+      }
+
+      if (text.includes('Employee Totals') || text.includes('Report Totals')) {
+        const label = text.includes('Employee Totals') ? 'Employee Totals' : 'Report Totals';
+        const total = this.parseTotalHours(text, label);
+
+        if (label === 'Employee Totals') {
+          printedTotals.employees.push({
+            employeeName: currentEmployee ? currentEmployee.name : null,
+            employeeId: currentEmployee ? currentEmployee.id : null,
+            total: total.hours,
+            byPayType: pendingPayTypeTotals
+          });
+          currentEmployee = null;
+        } else {
+          printedTotals.report = { total: total.hours, byPayType: pendingPayTypeTotals };
+          afterReportTotals = true;
+        }
+        pendingPayTypeTotals = {};
+        lastEntry = null;
+        return;
+      }
+
+      if (cells.date || cells.hours) {
+        lastEntry = null;
+        const entryDate = (cells.date || '').match(DATE_PATTERN);
+        const entryHours = (cells.hours || '').match(HOURS_PATTERN);
+
+        if (!currentEmployee) {
+          if (entryDate) {
+            addDiagnostic('skipped', 'no_employee', 'Entry found outside an employee section');
+          }
+          return;
+        }
+        if (!entryDate) {
+          addDiagnostic('skipped', 'bad_date', `Expected a MM/DD/YYYY date in the Date column, found "${cells.date || ''}"`);
+          return;
+        }
+        if (!entryHours) {
+          addDiagnostic('skipped', 'bad_hours', `Expected hours in the Hours column, found "${cells.hours || ''}"`);
+          return;
+        }
+
+        const jobMatch = (cells.job || '').match(/^\(([^)]*)\)\s*(.*)$/);
+        const { fields, inferredFields } = this.resolveEntryFields(
+          cells.details !== undefined ? this.splitDetails(cells.details) : cells,
+          addDiagnostic
+        );
+
+        const entry = {
+          jobCode: jobMatch ? jobMatch[1] : '',
+          jobDescription: jobMatch ? jobMatch[2] : (cells.job || ''),
+          date: entryDate[1],
+          hours: parseFloat(entryHours[1]),
+          ...fields,
+          inferredFields,
+          originalLine: text,
+          employeeName: currentEmployee.name,
+          employeeId: currentEmployee.id,
+          payPeriodId,
+          reportDate
+        };
+        entries.push(entry);
+        lastEntry = { entry, row };
+        return;
+      }
+
+      // Wrapped cells of the entry above
+      if (lastEntry && row.page === lastEntry.row.page &&
+          row.y - lastEntry.row.y <= CONTINUATION_GAP * Math.max(row.height, lastEntry.row.height)) {
+        const { entry } = lastEntry;
+        Object.entries(cells).forEach(([field, value]) => {
+          const target = field === 'job' ? 'jobDescription' : field === 'details' ? 'description' : field;
+          entry[target] = [entry[target], value].filter(Boolean).join(' ');
+        });
+        entry.originalLine = `${entry.originalLine} ${text}`;
+        lastEntry = { entry, row };
+        return;
+      }
+
+      lastEntry = null;
+    });
+
+    const skippedCount = diagnostics.filter(diagnostic => diagnostic.type === 'skipped').length;
+    console.log(`Parsed ${entries.length} entries from the table layout, ${skippedCount} rows skipped, ${diagnostics.length - skippedCount} partly read`);
+
+    return {
+      entries,
+      printedTotals,
+      reconciliation: this.reconcileTotals(entries, printedTotals),
+      diagnostics
+    };
+  }
+
+  /**
+   * Split a "Pay Type - Labor Rate - Cost Code - Cost Category - Description"
+   * details line into fields
+   */
+  splitDetails(details) {
+    const parts = details.split(' - ').map(part => part.trim());
+    return {
+      payType: parts[0],
+      laborRate: parts[1],
+      costCode: parts[2],
+      costCategory: parts[3],
+      description: parts[4]
+    };
+  }
+
+  /**
+   * Fill fields missing from an entry with the parser defaults
+   *
+   * Returns { fields, inferredFields } and reports unknown pay types and
+   * defaulted fields through addDiagnostic(type, code, reason).
+   */
+  resolveEntryFields(raw, addDiagnostic) {
+    const fields = {
+      payType: (raw.payType || '').trim(),
+      laborRate: (raw.laborRate || '').trim(),
+      costCode: (raw.costCode || '').trim(),
+      costCategory: (raw.costCategory || '').trim(),
+      description: (raw.description || '').trim()
+    };
+    const inferredFields = Object.keys(FIELD_DEFAULTS).filter(field => !fields[field]);
+    inferredFields.forEach(field => {
+      fields[field] = FIELD_DEFAULTS[field];
+    });
+
+    if (!KNOWN_PAY_TYPES.includes(fields.payType)) {
+      addDiagnostic('partial', 'unknown_pay_type', `Unknown pay type "${fields.payType}" - rules may not apply to this entry`);
+    }
+    if (inferredFields.length > 0) {
+      addDiagnostic('partial', 'default_fields', `Missing ${inferredFields.map(field => FIELD_LABELS[field]).join(', ')} - used default${inferredFields.length !== 1 ? 's' : ''} ${inferredFields.map(field => FIELD_DEFAULTS[field]).join(', ')}`);
+    }
+
+    return { fields, inferredFields };
+  }
+
+  /**
+   * Parse a pay type subtotal line such as "8.00 Regular" or "2.50 Double Time"
+   *
+   * Returns { payType, hours } with the pay type lower-cased, or null.
+   */
+  parsePayTypeTotal(line) {
+    const match = line.match(new RegExp(`^(\\d+(?:\\.\\d+)?)\\s+(${KNOWN_PAY_TYPES.join('|')})$`, 'i'));
+    if (!match) {
+      return null;
+    }
+
+    return {
+      payType: match[2].toLowerCase(),
+      hours: parseFloat(match[1])
+    };
+  }
+
+  /**
+   * Read the hours printed on a totals line, or on the line after it when
+   * the label stands alone
+   */
+  parseTotalHours(line, label, nextLine) {
+    const match = line.match(new RegExp(`${label}\\s*(\\d+(?:\\.\\d+)?)`));
+    if (match) {
+      return { hours: parseFloat(match[1]), consumedNextLine: false };
+    }
+
+    const nextMatch = (nextLine || '').trim().match(/^(\d+(?:\.\d+)?)$/);
+    if (line.trim() === label && nextMatch) {
+      return { hours: parseFloat(nextMatch[1]), consumedNextLine: true };
+    }
+
+    return { hours: null, consumedNextLine: false };
+  }
+
+  /**
+   * Sum entry hours in total and by lower-cased pay type
+   */
+  sumHours(entries) {
+    const sums = { total: 0, byPayType: {} };
+
+    entries.forEach(entry => {
+      const hours = parseFloat(entry.hours) || 0;
+      const payType = (entry.payType || '').toLowerCase();
+      sums.total += hours;
+      sums.byPayType[payType] = (sums.byPayType[payType] || 0) + hours;
+    });
+
+    return sums;
+  }
+
+  /**
+   * Compare printed totals with the sum of parsed entry hours
+   *
+   * Returns { status, mismatchCount, employees, report } where status is
+   * 'matched', 'mismatch', or 'unavailable' when the report printed no
+   * hours to compare against. Each employee and the report get the same
+   * status, counting only the printed hours that were compared - a totals
+   * line with no hours on it is 'unavailable', not 'matched'.
+   */
+  reconcileTotals(entries, printedTotals) {
+    const round = value => Math.round(value * 100) / 100;
+
+    const compare = (printed, parsedEntries) => {
+      const parsed = this.sumHours(parsedEntries);
+      const differences = [];
+      let comparedCount = 0;
+
+      const check = (payType, printedHours, parsedHours) => {
+        if (printedHours === null || printedHours === undefined) return;
+        comparedCount++;
+        if (Math.abs(printedHours - parsedHours) > 0.005) {
+          differences.push({
+            payType,
+            printed: round(printedHours),
+            parsed: round(parsedHours),
+            difference: round(printedHours - parsedHours)
+          });
+        }
+      };
+
+      check('total', printed.total, parsed.total);
+      Object.entries(printed.byPayType).forEach(([payType, hours]) => {
+        check(payType, hours, parsed.byPayType[payType] || 0);
+      });
+
+      return {
+        printedTotal: printed.total,
+        parsedTotal: round(parsed.total),
+        byPayType: printed.byPayType,
+        status: comparedCount === 0 ? 'unavailable' : differences.length > 0 ? 'mismatch' : 'matched',
+        matched: comparedCount > 0 && differences.length === 0,
+        comparedCount,
+        differences
+      };
+    };
+
+    const employees = printedTotals.employees.map(printed => ({
+      employeeName: printed.employeeName,
+      employeeId: printed.employeeId,
+      ...compare(printed, entries.filter(entry =>
+        printed.employeeId !== null &&
+        entry.employeeId === printed.employeeId &&
+        entry.employeeName === printed.employeeName
+      ))
+    }));
+
+    const report = printedTotals.report ? compare(printedTotals.report, entries) : null;
+
+    const checked = [...employees, ...(report ? [report] : [])].filter(totals => totals.status !== 'unavailable');
+    const mismatchCount = checked.filter(totals => totals.status === 'mismatch').length;
+
+    return {
+      status: checked.length === 0 ? 'unavailable' : mismatchCount > 0 ? 'mismatch' : 'matched',
+      mismatchCount,
+      employees,
+      report
+    };
+  }
+
   /**
    * Parse individual time entry line
    */
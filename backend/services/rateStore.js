@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const Validator = require('../utils/validation');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../data/rate-tables.json');
+
+// Tables payroll staff may edit, keyed by their name in the rule file. Only
+// tables a rule reads belong here - Call rates are composed by the rate model
+const EDITABLE_TABLES = {
+  SERVICE_INSTALL_LABOR_RATES: {
+    label: 'Service / Install Labor Rates',
+    description: 'Labor rates allowed on SERVICE and INSTALL cost codes (Rule 2)',
+    kind: 'laborRate'
+  },
+  PM_LABOR_RATES: {
+    label: 'PM / PMF / FTPM Labor Rates',
+    description: 'Labor rates allowed on PM, PMF and FTPM cost codes (Rule 3)',
+    kind: 'laborRate'
+  },
+  OFFICE_COST_CODES: {
+    label: 'Office Cost Codes',
+    description: 'Cost codes that always get Regular pay type (Rule 7)',
+    kind: 'costCode'
+  }
+};
+
+class RateStore {
+
+  constructor() {
+    this.storePath = process.env.RATE_TABLES_PATH || DEFAULT_STORE_PATH;
+  }
+
+  /**
+   * Check whether a table can be edited through the rates API
+   */
+  isEditable(tableId) {
+    return Object.prototype.hasOwnProperty.call(EDITABLE_TABLES, tableId);
+  }
+
+  /**
+   * Get display metadata for an editable table
+   */
+  getTableInfo(tableId) {
+    return EDITABLE_TABLES[tableId] || null;
+  }
+
+  /**
+   * List editable table ids in display order
+   */
+  getEditableTableIds() {
+    return Object.keys(EDITABLE_TABLES);
+  }
+
+  /**
+   * Validate and normalize a list of values for an editable table
+   *
+   * Returns { values, errors }: values trimmed, cost codes upper-cased.
+   */
+  normalizeValues(tableId, values) {
+    const { kind } = this.getTableInfo(tableId);
+    const errors = [];
+    const normalized = [];
+
+    values.forEach(rawValue => {
+      const value = typeof rawValue === 'string' ? rawValue.trim().replace(/\s+/g, ' ') : rawValue;
+
+      if (kind === 'costCode') {
+        if (typeof value !== 'string' || !Validator.isValidCostCode(value)) {
+          errors.push(`Invalid cost code: ${rawValue}`);
+          return;
+        }
+        // Rule 7 compares upper-cased cost codes
+        normalized.push(value.toUpperCase());
+      } else {
+        if (!Validator.isValidLaborRate(value)) {
+          errors.push(`Invalid labor rate: ${rawValue}`);
+          return;
+        }
+        normalized.push(value);
+      }
+    });
+
+    const duplicates = normalized.filter((value, index) => normalized.indexOf(value) !== index);
+    if (duplicates.length > 0) {
+      errors.push(`Duplicate values: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    return { values: normalized, errors };
+  }
+
+  /**
+   * Load locally saved table overrides ({ tableId: values[] })
+   */
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return {};
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      return saved.tables || {};
+    } catch (error) {
+      console.warn(`Ignoring unreadable rate table overrides at ${this.storePath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the values for one table
+   */
+  saveTable(tableId, values) {
+    const tables = this.load();
+    tables[tableId] = values;
+    this.write(tables);
+  }
+
+  /**
+   * Drop the saved override for one table so the rule file default applies
+   */
+  removeTable(tableId) {
+    const tables = this.load();
+    delete tables[tableId];
+    this.write(tables);
+  }
+
+  /**
+   * Write overrides atomically so a crash never leaves a half-written file
+   */
+  write(tables) {
+    const payload = {
+      updatedAt: new Date().toISOString(),
+      tables
+    };
+
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(payload, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+module.exports = new RateStore();
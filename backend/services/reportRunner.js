@@ -0,0 +1,195 @@
+/**
+ * Headless report processing for the command-line tool (bin/payroll-cli.js)
+ *
+ * Runs a PDF through the same parse -> rules steps as /process, without
+ * the history or the web UI, and writes the results next to each other in
+ * an output directory: the corrected PDF, the changes as CSV and JSON, and
+ * a plain-text reconciliation summary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pdfParser = require('./pdfParser');
+const ruleEngine = require('./ruleEngine');
+const pdfGenerator = require('./pdfGenerator');
+const entryChecker = require('./entryChecker');
+
+// Columns of the changes CSV, in order
+const CHANGE_CSV_COLUMNS = [
+  ['employeeName', 'Employee'],
+  ['employeeId', 'Employee ID'],
+  ['date', 'Date'],
+  ['field', 'Field'],
+  ['originalValue', 'Original Value'],
+  ['correctedValue', 'Corrected Value'],
+  ['rule', 'Rule'],
+  ['description', 'Description']
+];
+
+class ReportRunner {
+
+  /**
+   * Expand the given paths into PDF files; a directory stands for the
+   * PDFs directly inside it, in name order
+   */
+  collectInputs(inputPaths) {
+    return inputPaths.flatMap(inputPath => {
+      if (!fs.existsSync(inputPath)) {
+        throw new Error(`No such file or directory: ${inputPath}`);
+      }
+      if (!fs.statSync(inputPath).isDirectory()) {
+        return [inputPath];
+      }
+      return fs.readdirSync(inputPath)
+        .filter(name => name.toLowerCase().endsWith('.pdf'))
+        .sort()
+        .map(name => path.join(inputPath, name));
+    });
+  }
+
+  /**
+   * Process one PDF report
+   *
+   * options: { outDir, extractionMode, disabledRules, dryRun }. A dry run
+   * only checks the parsed entries with ruleEngine.validateEntry and writes
+   * nothing; otherwise the rules are applied, the corrected entries are
+   * checked again and the outputs are written to outDir. Returns a summary
+   * whose violations are the issues that remain.
+   */
+  async processFile(pdfPath, { outDir, extractionMode = 'text', disabledRules = [], dryRun = false } = {}) {
+    const filename = path.basename(pdfPath);
+    const parsed = await pdfParser.parsePdf(fs.readFileSync(pdfPath), { extractionMode });
+    const { entries, reconciliation, diagnostics } = parsed;
+
+    const summary = {
+      file: pdfPath,
+      entries: entries.length,
+      extraction: parsed.extraction,
+      reconciliation,
+      diagnostics: diagnostics.length,
+      findings: entryChecker.check(entries),
+      changes: [],
+      needsReview: [],
+      conflicts: [],
+      ruleSetVersions: [],
+      violations: [],
+      outputs: []
+    };
+
+    if (dryRun) {
+      summary.violations = this.findViolations(entries, disabledRules);
+      return summary;
+    }
+
+    const { correctedData, changes, needsReview, conflicts, ruleSetVersions } = await ruleEngine.applyRules(entries, { disabledRules });
+    summary.changes = changes;
+    summary.needsReview = needsReview;
+    summary.conflicts = conflicts;
+    summary.ruleSetVersions = ruleSetVersions;
+    summary.violations = this.findViolations(correctedData, disabledRules);
+    summary.outputs = await this.writeOutputs(outDir, filename, correctedData, summary, disabledRules);
+    return summary;
+  }
+
+  /**
+   * Rule violations in a list of entries, one item per issue
+   */
+  findViolations(entries, disabledRules = []) {
+    return entries.flatMap((entry, entryIndex) =>
+      ruleEngine.validateEntry(entry, { disabledRules }).map(issue => ({
+        entryIndex,
+        employeeName: entry.employeeName,
+        employeeId: entry.employeeId,
+        date: entry.date,
+        issue
+      }))
+    );
+  }
+
+  /**
+   * Write a processed report's outputs to outDir, returning their paths
+   */
+  async writeOutputs(outDir, filename, correctedData, summary, disabledRules) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const ruleSelection = {
+      ...ruleEngine.selectRules(ruleEngine.listRules().map(rule => rule.id).filter(id => !disabledRules.includes(id))),
+      ruleSetVersions: summary.ruleSetVersions
+    };
+    const baseName = filename.replace(/\.pdf$/i, '');
+    const outputPath = suffix => path.join(outDir, `${baseName}_${suffix}`);
+
+    const outputs = {
+      [outputPath('corrected.pdf')]: await pdfGenerator.generateCorrectedReport(correctedData, baseName, ruleSelection),
+      [outputPath('changes.csv')]: this.formatChangesCsv(summary.changes),
+      [outputPath('changes.json')]: JSON.stringify({
+        file: filename,
+        processedAt: new Date().toISOString(),
+        ruleSelection,
+        changes: summary.changes,
+        needsReview: summary.needsReview,
+        conflicts: summary.conflicts,
+        findings: summary.findings,
+        violations: summary.violations
+      }, null, 2),
+      [outputPath('reconciliation.txt')]: this.formatReconciliation(filename, summary)
+    };
+
+    Object.entries(outputs).forEach(([filePath, contents]) => fs.writeFileSync(filePath, contents));
+    return Object.keys(outputs);
+  }
+
+  /**
+   * Changes as CSV with a header row
+   */
+  formatChangesCsv(changes) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      CHANGE_CSV_COLUMNS.map(([, header]) => header),
+      ...changes.map(change => CHANGE_CSV_COLUMNS.map(([field]) => change[field]))
+    ].map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Plain-text summary of the totals check and what is left to review
+   */
+  formatReconciliation(filename, summary) {
+    const { reconciliation } = summary;
+    const lines = [
+      `Report: ${filename}`,
+      `Extraction: ${summary.extraction.mode}${summary.extraction.fallbackReason ? ` (${summary.extraction.fallbackReason})` : ''}`,
+      `Entries parsed: ${summary.entries}`,
+      `Parser warnings: ${summary.diagnostics}`,
+      ...(summary.ruleSetVersions.length > 0 ? [`Rule set${summary.ruleSetVersions.length !== 1 ? 's' : ''}: ${summary.ruleSetVersions.join(', ')}`] : []),
+      `Totals check: ${reconciliation.status}${reconciliation.mismatchCount ? ` (${reconciliation.mismatchCount} mismatch${reconciliation.mismatchCount !== 1 ? 'es' : ''})` : ''}`
+    ];
+
+    const describeDifferences = differences => differences
+      .map(difference => `${difference.payType} printed ${difference.printed}, parsed ${difference.parsed}`)
+      .join('; ');
+    reconciliation.employees
+      .filter(employee => employee.status === 'mismatch')
+      .forEach(employee => lines.push(`  ${employee.employeeName} (${employee.employeeId}): ${describeDifferences(employee.differences)}`));
+    if (reconciliation.report && reconciliation.report.status === 'mismatch') {
+      lines.push(`  Report totals: ${describeDifferences(reconciliation.report.differences)}`);
+    }
+
+    lines.push(
+      `Changes made: ${summary.changes.length}`,
+      `Entries for manual review: ${summary.needsReview.length}`,
+      `Rule conflicts: ${summary.conflicts.length}`,
+      `Entry findings: ${summary.findings.length}`,
+      `Violations remaining: ${summary.violations.length}`
+    );
+    summary.violations.forEach(violation => {
+      lines.push(`  ${violation.employeeName} (${violation.employeeId}) ${violation.date}: ${violation.issue}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new ReportRunner();
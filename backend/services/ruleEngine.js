@@ -1,73 +1,231 @@
+const fs = require('fs');
+const path = require('path');
 const moment = require('moment');
+const rateStore = require('./rateStore');
+const LaborRateModel = require('./laborRateModel');
+const holidayCalendar = require('./holidayCalendar');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../config/rules.json');
+
+// Effective-from/to dates in the rule file
+const CONFIG_DATE = /^\d{4}-\d{2}-\d{2}$/;
 
 class RuleEngine {
   
   constructor() {
-    // Define allowed labor rates for different cost codes
-    this.SERVICE_INSTALL_LABOR_RATES = [
-      // Regular rates
-      'Tech', 'TechNB', 'MNTech', 'MN TECH', 'SCH_MNTECH', 'SCH_TECH', 
-      'SCHTECHNB', 'WN MN TECH', 'WN TECH', 'WN TECHNB',
-      
-      // Overtime rates (valid for Call/Overtime pay types)
-      'TechOT', 'TECHOT', 'MNTECHOT', 'MN TECHOT', 'SCH_TECHOT', 
-      'SCH_MNTECHOT', 'WN TECHOT', 'WN MN TECHOT', 'WN MNTECHOT',
-      
-      // Helper rates
-      'HELPER', 'MN HELPER', 'SCH_HELPER', 'WN HELPER',
-      'HELPEROT', 'MN HELPEROT', 'SCH_HELPEROT', 'WN HELPEROT',
-      'HELPOT', 'MN HELPOT', 'SCH_HELPOT', 'WN HELPOT',
-      
-      // Shop rates (appear in data)
-      'SHOP', 'SCH_SHOP', 'WN SHOP'
-    ];
-    
-    this.PM_LABOR_RATES = [
-      'MN PMTECH', 'PMTECH', 'TechNB', 'Sch MN PM Tech', 
-      'SCH_MN PMTECH', 'SCH_PMTECH', 'WN MN PM TECH', 'WN PM TECH',
-      'WN PMTECH', 'PM TECH LABOR'
+    this.loadRules(process.env.RULES_CONFIG_PATH || DEFAULT_RULES_PATH);
+  }
+
+  /**
+   * Load the declarative rule set and labor-rate tables from a JSON file
+   *
+   * Rules and table versions may carry effectiveFrom/effectiveTo dates
+   * (YYYY-MM-DD, both inclusive); each entry is corrected with the rules
+   * and table values in effect on its date (see getEffectiveDates). A table
+   * is either a list of values or a list of { effectiveFrom, effectiveTo,
+   * values } versions. versionHistory names the earlier rule sets as
+   * { version, effectiveTo }; dates after the last of them use version.
+   */
+  loadRules(configPath) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load rule configuration from ${configPath}: ${error.message}`);
+    }
+
+    if (!config.version || !Array.isArray(config.rules)) {
+      throw new Error(`Invalid rule configuration in ${configPath}: "version" and "rules" are required`);
+    }
+    const badPriority = config.rules.find(rule => 'priority' in rule && !Number.isFinite(rule.priority));
+    if (badPriority) {
+      throw new Error(`Invalid rule configuration in ${configPath}: priority of ${badPriority.id} must be a number`);
+    }
+
+    const tableVersions = {};
+    Object.entries(config.tables || {}).forEach(([name, table]) => {
+      tableVersions[name] = Array.isArray(table) && table.every(value => typeof value === 'string') ? [{ values: table }] : table;
+    });
+    const versionHistory = [...(config.versionHistory || [])].sort((a, b) => a.effectiveTo.localeCompare(b.effectiveTo));
+    const dated = [
+      ...config.rules.map(rule => [rule.id, rule]),
+      ...Object.entries(tableVersions).flatMap(([name, versions]) => (Array.isArray(versions) ? versions : []).map(version => [name, version])),
+      ...versionHistory.map(item => [item.version, item])
     ];
+    const badDate = dated.find(([, item]) => ['effectiveFrom', 'effectiveTo'].some(key => key in item && !CONFIG_DATE.test(item[key])));
+    if (badDate) {
+      throw new Error(`Invalid rule configuration in ${configPath}: dates of ${badDate[0]} must be YYYY-MM-DD`);
+    }
+    const badTable = Object.entries(tableVersions).find(([, versions]) => !Array.isArray(versions) || versions.some(version => !Array.isArray(version.values)));
+    if (badTable) {
+      throw new Error(`Invalid rule configuration in ${configPath}: every version of table ${badTable[0]} needs a "values" list`);
+    }
+    if (config.effectiveDateBasis && !['workDate', 'payPeriod'].includes(config.effectiveDateBasis)) {
+      throw new Error(`Invalid rule configuration in ${configPath}: effectiveDateBasis must be workDate or payPeriod`);
+    }
 
-    // NEW: Office cost codes for Rule 7
-    this.OFFICE_COST_CODES = ['1COAD', '1SCHOF', '1WNOF'];
+    this.configPath = configPath;
+    this.version = config.version;
+    this.versionHistory = versionHistory;
+    this.effectiveDateBasis = config.effectiveDateBasis || 'workDate';
+    this.tableVersions = tableVersions;
+    // The table versions in effect today are the ones the rates screen edits
+    const today = moment().format('YYYY-MM-DD');
+    this.currentTableVersions = {};
+    this.defaultTables = {};
+    Object.entries(tableVersions).forEach(([name, versions]) => {
+      const current = versions.find(version => this.isEffective(version, today)) || versions[versions.length - 1];
+      this.currentTableVersions[name] = current;
+      this.defaultTables[name] = current.values;
+    });
+    this.activeTables = null;
+    this.rules = config.rules;
+    this.rateModel = new LaborRateModel(config.rateModel);
 
-    // NEW: Call work labor rates for enhanced Rule 5
-    this.CALL_LABOR_RATES = {
-      // Overtime variants
-      OT: ['TechOT', 'SCH_MNTECHOT', 'WN MN TECHOT'],
-      // No Bill variants  
-      NB: ['TECHNB', 'SCH_TECHNB', 'WN TECHNB']
-    };
+    // Locally edited rate tables (see rateStore) take precedence over the file
+    this.tables = { ...this.defaultTables, ...rateStore.load() };
+    this.syncLegacyTables();
+  }
+
+  /**
+   * Replace the values of a rate table; used by the next applyRules run
+   */
+  setTable(name, values) {
+    this.tables[name] = [...values];
+    this.syncLegacyTables();
+  }
+
+  /**
+   * Keep the rate tables available under their historical names
+   */
+  syncLegacyTables() {
+    this.SERVICE_INSTALL_LABOR_RATES = this.tables.SERVICE_INSTALL_LABOR_RATES || [];
+    this.PM_LABOR_RATES = this.tables.PM_LABOR_RATES || [];
+    this.OFFICE_COST_CODES = this.tables.OFFICE_COST_CODES || [];
   }
 
   /**
    * Apply all business rules to employee data
+   *
+   * Every change and needsReview item carries the entryIndex of the input
+   * entry it refers to, and every change a sequential id, so a reviewer's
+   * accepted subset can be re-applied to the original entries. Rules whose
+   * id is in options.disabledRules are skipped.
+   *
+   * Rules run in file order. When a rule would change a field an earlier
+   * rule already changed on the same entry, or an earlier rule's change
+   * stops a rule from matching an entry it matched as read, the rule with
+   * the higher priority wins and the clash is returned in conflicts with
+   * both proposals (see applyRule). Equal priorities fall back to file
+   * order - the later rule overwrites, the earlier one pre-empts.
+   *
+   * Each entry gets the rules and tables in effect on its effective date,
+   * and every change records the rulesVersion of that rule set;
+   * ruleSetVersions lists the rule sets the run used, oldest first.
+   *
+   * With options.explain the result also has a trace: for each input entry,
+   * every rule in order with its condition results, what each correction
+   * did and the before/after values of the fields the rule reads or writes.
+   *
+   * options.tables ({ tableId: values }) replaces the current values of
+   * those rate tables for this run only, to try out a table change before
+   * it is saved. sourceIndexes gives the input entry of each corrected
+   * entry, since weekly overtime can split one entry into two.
    */
-  async applyRules(employeeData) {
+  async applyRules(employeeData, { disabledRules = [], explain = false, tables = null } = {}) {
     try {
-      const correctedData = [];
+      let correctedData = [];
       const changes = [];
+      const needsReview = [];
+      const conflicts = [];
+      const activeRules = this.getActiveRules(disabledRules);
+      const entryRules = activeRules.filter(rule => !rule.type);
+      const effectiveDates = this.getEffectiveDates(employeeData);
+      const entryVersions = effectiveDates.map(date => this.getRuleSetVersion(date));
+      const trace = explain ? employeeData.map((entry, entryIndex) => ({
+        entryIndex,
+        employeeName: entry.employeeName,
+        employeeId: entry.employeeId,
+        date: entry.date,
+        rulesVersion: entryVersions[entryIndex],
+        rules: []
+      })) : null;
       
-      for (const entry of employeeData) {
+      employeeData.forEach((entry, entryIndex) => {
         const correctedEntry = { ...entry };
         const entryChanges = [];
+        const entryNeedsReview = [];
+        const entryTrace = trace ? trace[entryIndex].rules : null;
+        const effectiveDate = effectiveDates[entryIndex];
+        // Which rule last changed each field, for conflict detection
+        const claims = { fields: {}, conflicts: [] };
         
-        // Apply each rule and track changes
-        this.applyRule1_TechUnapplied(correctedEntry, entryChanges);
-        this.applyRule2_ServiceInstallRates(correctedEntry, entryChanges);
-        this.applyRule3_PMRates(correctedEntry, entryChanges);
-        this.applyRule4_SundayPremium(correctedEntry, entryChanges);
-        this.applyRule5_CallWork(correctedEntry, entryChanges);
-        this.applyRule6_NoBillDetection(correctedEntry, entryChanges);  // NEW
-        this.applyRule7_OfficeOverride(correctedEntry, entryChanges);   // NEW
+        // Apply each rule in effect, in file order, and track changes
+        this.withTablesFor(effectiveDate, () => {
+          this.rules.filter(rule => !rule.type && this.isEffective(rule, effectiveDate)).forEach(rule => {
+            if (entryRules.includes(rule)) {
+              this.applyRule(rule, correctedEntry, entryChanges, entryNeedsReview, entryTrace, claims);
+            } else if (entryTrace) {
+              entryTrace.push(this.createDisabledStep(rule));
+            }
+          });
+        }, tables);
         
         correctedData.push(correctedEntry);
-        changes.push(...entryChanges);
-      }
+        changes.push(...entryChanges.map(change => ({ ...change, entryIndex })));
+        needsReview.push(...entryNeedsReview.map(item => ({ ...item, entryIndex })));
+        conflicts.push(...claims.conflicts.map(conflict => ({ ...conflict, entryIndex })));
+      });
+
+      // Cross-entry rules see the data after every per-entry correction
+      let sourceIndexes = employeeData.map((entry, index) => index);
+      this.rules
+        .filter(rule => rule.type === 'weeklyOvertime')
+        .forEach(rule => {
+          const ruleTrace = trace ? trace.filter(entryTrace => this.isEffective(rule, effectiveDates[entryTrace.entryIndex])) : null;
+          if (!activeRules.includes(rule)) {
+            if (ruleTrace) {
+              ruleTrace.forEach(entryTrace => entryTrace.rules.push(this.createDisabledStep(rule)));
+            }
+            return;
+          }
+
+          // The rule changes entries in place - keep what it started from, by input entry
+          const entriesBefore = [];
+          if (ruleTrace) {
+            correctedData.forEach((entry, index) => {
+              entriesBefore[sourceIndexes[index]] = entriesBefore[sourceIndexes[index]] || { ...entry };
+            });
+          }
+          const changeCount = changes.length;
+          const reviewCount = needsReview.length;
+
+          ({ entries: correctedData, sourceIndexes } = this.applyWeeklyOvertime(
+            rule, correctedData, changes, needsReview, sourceIndexes, effectiveDates
+          ));
+
+          if (ruleTrace) {
+            this.traceWeeklyOvertime(rule, ruleTrace, entriesBefore, changes.slice(changeCount), needsReview.slice(reviewCount));
+          }
+        });
+
+      changes.forEach((change, id) => {
+        change.id = id;
+        change.rulesVersion = entryVersions[change.entryIndex];
+      });
+
+      const versionOrder = [...this.versionHistory.map(item => item.version), this.version];
+      const ruleSetVersions = [...new Set(entryVersions)]
+        .sort((a, b) => versionOrder.indexOf(a) - versionOrder.indexOf(b));
       
       return {
         correctedData,
-        changes
+        changes,
+        needsReview,
+        conflicts,
+        ruleSetVersions,
+        sourceIndexes,
+        ...(trace ? { trace } : {})
       };
       
     } catch (error) {
@@ -76,309 +234,911 @@ class RuleEngine {
   }
 
   /**
-   * Rule 1: If Cost Category = TechUnapplied, Then Pay Type ID = Unapplied
+   * The configured rules as { id, name }, in the order they run
+   *
+   * A rule with several dated definitions is listed once, under the name
+   * of the definition in effect today.
    */
-  applyRule1_TechUnapplied(entry, changes) {
-    if (entry.costCategory === 'TechUnapplyd' && entry.payType !== 'Unapplied') {
-      changes.push({
-        employeeName: entry.employeeName,
-        employeeId: entry.employeeId,
-        date: entry.date,
-        field: 'payType',
-        originalValue: entry.payType,
-        correctedValue: 'Unapplied',
-        rule: 'Rule 1: TechUnapplied → Unapplied Pay Type',
-        description: 'Cost Category is TechUnapplyd, so Pay Type must be Unapplied'
-      });
-      
-      entry.payType = 'Unapplied';
-    }
+  listRules() {
+    const today = moment().format('YYYY-MM-DD');
+    const ids = [...new Set(this.rules.map(rule => rule.id))];
+    return ids.map(id => {
+      const definitions = this.rules.filter(rule => rule.id === id);
+      const current = definitions.find(rule => this.isEffective(rule, today)) || definitions[definitions.length - 1];
+      return { id, name: current.name };
+    });
   }
 
   /**
-   * Rule 2: Service/Install cost codes require specific labor rates
+   * Check whether a rule or table version is in effect on a YYYY-MM-DD date
    */
-  applyRule2_ServiceInstallRates(entry, changes) {
-    const costCode = entry.costCode?.toUpperCase();
-    
-    if ((costCode === 'SERVICE' || costCode === 'INSTALL') && 
-        !this.SERVICE_INSTALL_LABOR_RATES.includes(entry.laborRate)) {
-      
-      // Default to 'Tech' if not in allowed list
-      const correctedRate = 'Tech';
-      
-      changes.push({
-        employeeName: entry.employeeName,
-        employeeId: entry.employeeId,
-        date: entry.date,
-        field: 'laborRate',
-        originalValue: entry.laborRate,
-        correctedValue: correctedRate,
-        rule: 'Rule 2: Service/Install Labor Rate Validation',
-        description: `Cost Code is ${costCode}, Labor Rate must be one of: ${this.SERVICE_INSTALL_LABOR_RATES.join(', ')}`
-      });
-      
-      entry.laborRate = correctedRate;
-    }
+  isEffective(item, date) {
+    return (!item.effectiveFrom || date >= item.effectiveFrom) &&
+      (!item.effectiveTo || date <= item.effectiveTo);
   }
 
   /**
-   * Rule 3: PM/PMF/FTPM cost codes require specific labor rates
+   * The date that picks each entry's rule set, as YYYY-MM-DD
+   *
+   * With effectiveDateBasis workDate that is the entry's own date; with
+   * payPeriod it is the last work date in the entry's pay period, so a
+   * whole period is corrected with one rule set. Entries without a valid
+   * date use today's rules.
    */
-  applyRule3_PMRates(entry, changes) {
-    const costCode = entry.costCode?.toUpperCase();
-    
-    if (['PM', 'PMF', 'FTPM'].includes(costCode) && 
-        !this.PM_LABOR_RATES.includes(entry.laborRate)) {
-      
-      // Default to 'PMTECH' if not in allowed list
-      const correctedRate = 'PMTECH';
-      
-      changes.push({
-        employeeName: entry.employeeName,
-        employeeId: entry.employeeId,
-        date: entry.date,
-        field: 'laborRate',
-        originalValue: entry.laborRate,
-        correctedValue: correctedRate,
-        rule: 'Rule 3: PM Labor Rate Validation',
-        description: `Cost Code is ${costCode}, Labor Rate must be one of: ${this.PM_LABOR_RATES.join(', ')}`
-      });
-      
-      entry.laborRate = correctedRate;
+  getEffectiveDates(entries) {
+    const today = moment().format('YYYY-MM-DD');
+    const workDates = entries.map(entry => {
+      const date = moment(entry.date, 'MM/DD/YYYY', true);
+      return date.isValid() ? date.format('YYYY-MM-DD') : null;
+    });
+
+    if (this.effectiveDateBasis !== 'payPeriod') {
+      return workDates.map(date => date || today);
     }
+
+    const periodEnds = {};
+    entries.forEach((entry, index) => {
+      if (entry.payPeriodId && workDates[index] && !(periodEnds[entry.payPeriodId] >= workDates[index])) {
+        periodEnds[entry.payPeriodId] = workDates[index];
+      }
+    });
+    return entries.map((entry, index) => periodEnds[entry.payPeriodId] || workDates[index] || today);
   }
 
   /**
-   * Rule 4: Sunday work gets Double Time pay and PREM labor rate
+   * Version of the rule set in effect on a YYYY-MM-DD date
    */
-  applyRule4_SundayPremium(entry, changes) {
+  getRuleSetVersion(date) {
+    const earlier = this.versionHistory.find(item => date <= item.effectiveTo);
+    return earlier ? earlier.version : this.version;
+  }
+
+  /**
+   * The rate tables in effect on a YYYY-MM-DD date; the current versions
+   * include local edits, and overrides ({ tableId: values }) in place of
+   * the current values
+   */
+  getTablesFor(date, overrides = null) {
+    const currentTables = { ...this.tables, ...overrides };
+    const tables = {};
+    Object.entries(this.tableVersions).forEach(([name, versions]) => {
+      const version = versions.find(item => this.isEffective(item, date));
+      tables[name] = !version || version === this.currentTableVersions[name] ? currentTables[name] : version.values;
+    });
+    return tables;
+  }
+
+  /**
+   * Run fn with getTable reading the tables in effect on date, with
+   * overrides as in getTablesFor
+   */
+  withTablesFor(date, fn, overrides = null) {
+    const previous = this.activeTables;
+    this.activeTables = this.getTablesFor(date, overrides);
     try {
-      const date = moment(entry.date, 'MM/DD/YYYY');
-      
-      if (date.isValid() && date.day() === 0) { // Sunday = 0
-        
-        // Change pay type to Double Time
-        if (entry.payType !== 'Double Time') {
-          changes.push({
-            employeeName: entry.employeeName,
-            employeeId: entry.employeeId,
-            date: entry.date,
-            field: 'payType',
-            originalValue: entry.payType,
-            correctedValue: 'Double Time',
-            rule: 'Rule 4: Sunday Premium Pay',
-            description: 'Work on Sunday requires Double Time pay type'
-          });
-          
-          entry.payType = 'Double Time';
-        }
-        
-        // Change labor rate to PREM (preserve geographic prefix)
-        if (!entry.laborRate || !entry.laborRate.toUpperCase().includes('PREM')) {
-          let correctedRate = 'PREM';
-          
-          // Preserve geographic prefixes
-          const currentRate = entry.laborRate ? entry.laborRate.toUpperCase() : '';
-          if (currentRate.startsWith('WN ')) {
-            correctedRate = 'WN PREM';
-          } else if (currentRate.startsWith('SCH_') || currentRate.startsWith('SCH ')) {
-            correctedRate = 'SCH PREM';
-          } else if (currentRate.startsWith('MN ') || currentRate.startsWith('MNTECH')) {
-            correctedRate = 'MN PREM';
-          }
-          
-          changes.push({
-            employeeName: entry.employeeName,
-            employeeId: entry.employeeId,
-            date: entry.date,
-            field: 'laborRate',
-            originalValue: entry.laborRate,
-            correctedValue: correctedRate,
-            rule: 'Rule 4: Sunday Premium Rate',
-            description: 'Work on Sunday requires PREM labor rate'
-          });
-          
-          entry.laborRate = correctedRate;
-        }
+      return fn();
+    } finally {
+      this.activeTables = previous;
+    }
+  }
+
+  /**
+   * Check whether a rule id has a definition in effect on a date
+   */
+  isRuleInEffect(id, date) {
+    return this.rules.some(rule => rule.id === id && this.isEffective(rule, date));
+  }
+
+  /**
+   * Resolve the rules chosen for a run
+   *
+   * ruleIds lists the rules to run; null runs all of them. Returns
+   * { rulesVersion, allRules, applied, skipped } with { id, name } items
+   * in rule order - skipped ids are what applyRules takes as disabledRules.
+   */
+  selectRules(ruleIds = null) {
+    if (ruleIds !== null) {
+      const unknown = ruleIds.filter(id => !this.rules.some(rule => rule.id === id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown rule id${unknown.length !== 1 ? 's' : ''}: ${unknown.join(', ')}`);
+      }
+      if (ruleIds.length === 0) {
+        throw new Error('At least one rule must be selected');
       }
-      
-    } catch (error) {
-      console.warn('Failed to parse date for Sunday rule:', entry.date, error.message);
     }
+
+    const rules = this.listRules();
+    const applied = ruleIds === null ? rules : rules.filter(rule => ruleIds.includes(rule.id));
+    return {
+      rulesVersion: this.version,
+      allRules: applied.length === rules.length,
+      applied,
+      skipped: rules.filter(rule => !applied.includes(rule))
+    };
   }
 
   /**
-   * Rule 5: Call pay type requires TechOT labor rate (preserve geographic prefix)
+   * The rules to run, without the disabled ones
+   *
+   * Throws for an id that names no rule so a typo cannot silently leave a
+   * rule running.
    */
-  applyRule5_CallWork(entry, changes) {
-    if (entry.payType === 'Call') {
-      const currentRate = entry.laborRate ? entry.laborRate.toUpperCase() : '';
-      
-      // Skip if already has OT suffix
-      if (currentRate.includes('OT')) {
+  getActiveRules(disabledRules = []) {
+    const unknown = disabledRules.filter(id => !this.rules.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown rule id${unknown.length !== 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+    return this.rules.filter(rule => !disabledRules.includes(rule.id));
+  }
+
+  /**
+   * Apply a single declarative rule to an entry, mutating it in place
+   *
+   * Corrections the engine cannot resolve (e.g. an unknown labor rate) are
+   * added to needsReview instead of guessing a value. So are corrections
+   * that read or write a field the parser had to infer (entry.inferredFields)
+   * - a default value must not trigger or feed a correction.
+   *
+   * When a trace array is given, a step explaining the rule is added to it.
+   *
+   * claims ({ fields, conflicts }) records which rule last changed each
+   * field of the entry. A correction to a field claimed by another rule
+   * only goes through when this rule's priority is at least the claim's;
+   * a rule whose condition fails only because of claimed fields still runs
+   * when it outranks every rule that changed them, working from the values
+   * those rules replaced. Either way the clash is added to claims.conflicts.
+   */
+  applyRule(rule, entry, changes, needsReview = [], trace = null, claims = null) {
+    const step = trace ? this.createTraceStep(rule, entry) : null;
+    if (step) {
+      trace.push(step);
+    }
+
+    // The values the corrections are worked out from
+    let source = entry;
+
+    if (rule.when && !this.evaluateCondition(rule.when, entry)) {
+      const preemption = claims ? this.findPreemption(rule, entry, claims) : null;
+      if (preemption) {
+        claims.conflicts.push(...preemption.conflicts);
+      }
+      if (!preemption || !preemption.applies) {
+        if (step) {
+          step.matched = false;
+          step.outcome = preemption
+            ? `Condition no longer met after ${preemption.conflicts.map(conflict => conflict.proposals[0].rule).join(', ')} - rule skipped`
+            : 'Condition not met - rule skipped';
+          this.finishTraceStep(step, entry);
+        }
         return;
       }
-      
-      let correctedRate = 'TechOT';
-      
-      // Preserve geographic prefixes
-      if (currentRate.startsWith('WN MN ')) {
-        correctedRate = 'WN MN TECHOT';
-      } else if (currentRate.startsWith('WN ')) {
-        correctedRate = 'WN TECHOT';
-      } else if (currentRate.startsWith('SCH_MN')) {
-        correctedRate = 'SCH_MNTECHOT';
-      } else if (currentRate.startsWith('SCH_') || currentRate.startsWith('SCH ')) {
-        correctedRate = 'SCH_TECHOT';
-      } else if (currentRate.startsWith('MN ') || currentRate === 'MNTECH') {
-        correctedRate = 'MN TECHOT';
-      } else if (currentRate === 'TECH') {
-        correctedRate = 'TechOT';
-      } else if (currentRate.includes('HELPER')) {
-        // Handle helper rates
-        if (currentRate.startsWith('WN ')) {
-          correctedRate = 'WN HELPEROT';
-        } else if (currentRate.startsWith('SCH')) {
-          correctedRate = 'SCH_HELPEROT';
-        } else if (currentRate.startsWith('MN ')) {
-          correctedRate = 'MN HELPEROT';
-        } else {
-          correctedRate = 'HELPEROT';
+      source = this.revertClaims(entry, claims, this.getPriority(rule));
+    }
+
+    const inferredFields = entry.inferredFields || [];
+
+    (rule.corrections || []).forEach(correction => {
+      const correctionStep = step ? {
+        field: correction.field,
+        rule: correction.rule || rule.name,
+        unless: correction.unless ? this.explainCondition(correction.unless, source) : null,
+        before: entry[correction.field]
+      } : null;
+      const record = (outcome, fields = {}) => {
+        if (correctionStep) {
+          step.corrections.push({ ...correctionStep, outcome, after: entry[correction.field], ...fields });
+        }
+      };
+
+      if (correction.unless && this.evaluateCondition(correction.unless, source)) {
+        record('skipped', { reason: 'Exception condition met' });
+        return;
+      }
+
+      const originalValue = entry[correction.field];
+      const inferred = inferredFields.filter(field => this.getCorrectionFields(rule, correction).includes(field));
+      const resolved = inferred.length > 0
+        ? { reason: `Not on the report: ${inferred.map(field => this.describeField(field)).join(', ')} (parser default used) - rule not applied` }
+        : this.resolveCorrectedValue(correction, source);
+
+      // Another rule already changed this field - the higher priority keeps it
+      const claim = claims && claims.fields[correction.field];
+      if (claim && claim.ruleId !== rule.id && (resolved.reason || resolved.value !== originalValue)) {
+        const keepClaim = claim.priority > this.getPriority(rule);
+        claims.conflicts.push(this.createConflict('overwrite', entry, correction.field, claim, {
+          rule,
+          changes: [{ field: correction.field, value: resolved.reason ? null : resolved.value, reason: resolved.reason }]
+        }, keepClaim));
+        if (keepClaim) {
+          record('overridden', { reason: `${claim.rule} has the higher priority` });
+          return;
         }
       }
-      
-      // Only apply change if rate needs correction
-      if (entry.laborRate !== correctedRate) {
-        changes.push({
+
+      if (resolved.reason) {
+        record('review', { reason: resolved.reason });
+        needsReview.push({
           employeeName: entry.employeeName,
           employeeId: entry.employeeId,
           date: entry.date,
-          field: 'laborRate',
-          originalValue: entry.laborRate,
-          correctedValue: correctedRate,
-          rule: 'Rule 5: Call Work Labor Rate',
-          description: 'Call pay type requires overtime labor rate'
+          field: correction.field,
+          value: originalValue,
+          rule: correction.rule || rule.name,
+          reason: resolved.reason
         });
-        
-        entry.laborRate = correctedRate;
+        return;
+      }
+
+      const correctedValue = resolved.value;
+
+      // Only record corrections that actually change the value
+      if (correctedValue === originalValue) {
+        record('unchanged', { reason: 'Value already correct' });
+        return;
+      }
+
+      changes.push({
+        employeeName: entry.employeeName,
+        employeeId: entry.employeeId,
+        date: entry.date,
+        field: correction.field,
+        originalValue,
+        correctedValue,
+        rule: correction.rule || rule.name,
+        description: this.renderTemplate(correction.description || '', entry)
+      });
+
+      entry[correction.field] = correctedValue;
+      record('changed');
+
+      if (claims) {
+        claims.fields[correction.field] = {
+          ruleId: rule.id,
+          rule: rule.name,
+          priority: this.getPriority(rule),
+          value: correctedValue,
+          original: claim ? claim.original : originalValue
+        };
       }
+    });
+
+    if (step) {
+      step.outcome = step.corrections.some(correction => correction.outcome === 'changed')
+        ? 'Rule applied'
+        : 'Condition met - nothing to change';
+      this.finishTraceStep(step, entry);
     }
   }
 
   /**
-   * Rule 6: NEW - No Bill Detection
-   * Scan description field for "No Bill" text and add NB suffix while preserving branch prefixes
-   * Examples: WN TECH → WN TECHNB, SCH_TECH → SCHTECHNB, Tech → TechNB
+   * A rule's priority; rules without one have priority 0
    */
-  applyRule6_NoBillDetection(entry, changes) {
-    // Check if description contains "No Bill" (case insensitive)
-    if (entry.description && entry.description.toLowerCase().includes('no bill')) {
-      const currentRate = entry.laborRate;
-      let correctedRate = currentRate;
-      
-      // Skip if already has NB suffix
-      if (!currentRate || currentRate.toUpperCase().endsWith('NB')) {
+  getPriority(rule) {
+    return rule.priority || 0;
+  }
+
+  /**
+   * Check whether a rule that does not match an entry would have matched
+   * it before other rules changed the fields its condition reads
+   *
+   * Returns null when it would not have, otherwise { applies, conflicts }
+   * with a condition conflict per claimed field; applies is true when the
+   * rule outranks every rule that changed those fields.
+   */
+  findPreemption(rule, entry, claims) {
+    const claimedFields = this.getConditionFields(rule.when).filter(field => claims.fields[field]);
+    if (claimedFields.length === 0) {
+      return null;
+    }
+
+    // The entry as read, before any rule changed it
+    const asRead = this.revertClaims(entry, claims);
+    if (!this.evaluateCondition(rule.when, asRead)) {
+      return null;
+    }
+
+    // What the rule would have done to the entry as read
+    const proposedChanges = [];
+    const proposedReview = [];
+    this.applyRule(rule, asRead, proposedChanges, proposedReview);
+    const proposal = {
+      rule,
+      changes: [
+        ...proposedChanges.map(change => ({ field: change.field, value: change.correctedValue })),
+        ...proposedReview.map(item => ({ field: item.field, value: null, reason: item.reason }))
+      ]
+    };
+
+    const applies = claimedFields.every(field => this.getPriority(rule) > claims.fields[field].priority);
+    return {
+      applies,
+      conflicts: claimedFields.map(field => this.createConflict('condition', entry, field, claims.fields[field], proposal, !applies))
+    };
+  }
+
+  /**
+   * Copy of an entry with the fields claimed by rules below the given
+   * priority (by default every claimed field) back at their values as read
+   */
+  revertClaims(entry, claims, belowPriority = Infinity) {
+    const reverted = { ...entry };
+    Object.entries(claims.fields)
+      .filter(([, claim]) => claim.priority < belowPriority)
+      .forEach(([field, claim]) => {
+        reverted[field] = claim.original;
+      });
+    return reverted;
+  }
+
+  /**
+   * Describe two rules clashing over an entry
+   *
+   * type is overwrite (both change field) or condition (claim's change to
+   * field stops the other rule from matching). claim is the earlier rule's
+   * claim on field; proposal is { rule, changes } for the later rule, and
+   * claimWins tells which of them was kept.
+   */
+  createConflict(type, entry, field, claim, proposal, claimWins) {
+    const laterPriority = this.getPriority(proposal.rule);
+    const resolvedBy = claim.priority === laterPriority ? 'order' : 'priority';
+    const winner = claimWins ? claim.rule : proposal.rule.name;
+    const clash = type === 'overwrite'
+      ? `${claim.rule} set ${field} to "${claim.value}" and ${proposal.rule.name} would set it to ${proposal.changes[0].reason ? 'a value it could not resolve' : `"${proposal.changes[0].value}"`}`
+      : `${claim.rule} changed ${field} to "${claim.value}", so ${proposal.rule.name} no longer matches`;
+
+    return {
+      employeeName: entry.employeeName,
+      employeeId: entry.employeeId,
+      date: entry.date,
+      type,
+      field,
+      proposals: [
+        { ruleId: claim.ruleId, rule: claim.rule, priority: claim.priority, changes: [{ field, value: claim.value }] },
+        { ruleId: proposal.rule.id, rule: proposal.rule.name, priority: laterPriority, changes: proposal.changes }
+      ],
+      winner: claimWins ? claim.ruleId : proposal.rule.id,
+      resolvedBy,
+      description: resolvedBy === 'priority'
+        ? `${clash} - ${winner} has the higher priority`
+        : `${clash} - no priority between them, so ${winner} wins by rule order`
+    };
+  }
+
+  /**
+   * Start explaining a rule for an entry: its condition results and the
+   * values of the fields it reads or writes before it ran
+   */
+  createTraceStep(rule, entry) {
+    const fields = [...new Set((rule.corrections || []).flatMap(correction => this.getCorrectionFields(rule, correction)))];
+    return {
+      ruleId: rule.id,
+      rule: rule.name,
+      matched: true,
+      outcome: null,
+      condition: rule.when ? this.explainCondition(rule.when, entry) : null,
+      corrections: [],
+      fields: fields.map(field => ({ field, before: entry[field], after: entry[field] }))
+    };
+  }
+
+  /**
+   * Record the field values after a rule ran
+   */
+  finishTraceStep(step, entry) {
+    step.fields.forEach(value => {
+      value.after = entry[value.field];
+    });
+  }
+
+  /**
+   * Trace step for a rule left out of the run
+   */
+  createDisabledStep(rule) {
+    return {
+      ruleId: rule.id,
+      rule: rule.name,
+      matched: false,
+      disabled: true,
+      outcome: 'Rule disabled for this run',
+      condition: null,
+      corrections: [],
+      fields: []
+    };
+  }
+
+  /**
+   * Add a weekly overtime step to each entry's trace
+   *
+   * entriesBefore are the entries the rule started from (one per input
+   * entry); changes and needsReview are the items the rule added.
+   */
+  traceWeeklyOvertime(rule, trace, entriesBefore, changes, needsReview) {
+    const threshold = rule.threshold || 40;
+    const countedPayTypes = rule.countedPayTypes || ['Regular'];
+    const reclassifyPayTypes = rule.reclassifyPayTypes || ['Regular'];
+
+    trace.forEach(entryTrace => {
+      const entry = entriesBefore[entryTrace.entryIndex];
+      const change = changes.find(item => item.entryIndex === entryTrace.entryIndex);
+      const review = needsReview.find(item => item.entryIndex === entryTrace.entryIndex);
+
+      let outcome;
+      if (change) {
+        outcome = change.description;
+      } else if (review) {
+        outcome = review.reason;
+      } else if (!countedPayTypes.includes(entry.payType)) {
+        outcome = `${entry.payType} hours do not count toward weekly overtime`;
+      } else if (!reclassifyPayTypes.includes(entry.payType)) {
+        outcome = `Counted toward the ${threshold}-hour week, but ${entry.payType} hours are never converted`;
+      } else {
+        outcome = `Counted toward the ${threshold}-hour week - still within the threshold at this entry`;
+      }
+
+      entryTrace.rules.push({
+        ruleId: rule.id,
+        rule: rule.name,
+        matched: Boolean(change),
+        outcome,
+        condition: null,
+        corrections: [],
+        fields: change
+          ? [{ field: change.field, before: change.originalValue, after: change.correctedValue }]
+          : [{ field: 'payType', before: entry.payType, after: entry.payType }]
+      });
+    });
+  }
+
+  /**
+   * Fields a correction depends on: those its rule's condition, its unless
+   * and its cases test, plus the field it writes
+   */
+  getCorrectionFields(rule, correction) {
+    return [...new Set([
+      correction.field,
+      ...this.getConditionFields(rule.when),
+      ...this.getConditionFields(correction.unless),
+      ...(correction.cases || []).flatMap(c => this.getConditionFields(c.when))
+    ])];
+  }
+
+  /**
+   * Fields a condition tests, including inside all/any/not
+   */
+  getConditionFields(condition) {
+    if (!condition) {
+      return [];
+    }
+    return [
+      ...(condition.field ? [condition.field] : []),
+      ...(condition.all || []).flatMap(c => this.getConditionFields(c)),
+      ...(condition.any || []).flatMap(c => this.getConditionFields(c)),
+      ...this.getConditionFields(condition.not)
+    ];
+  }
+
+  /**
+   * Human-readable field name, e.g. costCode -> "cost code"
+   */
+  describeField(field) {
+    return field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  }
+
+  /**
+   * Weekly overtime: Regular hours beyond the threshold in an employee's
+   * work week become Overtime
+   *
+   * Hours are counted in date order. Pay types in countedPayTypes (Regular
+   * and Unapplied by default) count toward the threshold, but only
+   * reclassifyPayTypes (Regular) are converted - Unapplied time stays
+   * Unapplied so it does not undo Rule 1. Sunday Double Time, Call and
+   * existing Overtime hours are already paid at a premium and are neither
+   * counted nor converted. An entry that crosses the threshold is split into
+   * a Regular part and an Overtime part. An entry whose pay type the parser
+   * inferred is left out of the count and flagged for review.
+   *
+   * sourceIndexes maps each entry to the input entry it came from. Returns
+   * { entries, sourceIndexes } with split entries inserted in place. With
+   * effectiveDates (by input entry) only entries on dates the rule is in
+   * effect are counted.
+   */
+  applyWeeklyOvertime(rule, entries, changes, needsReview = [], sourceIndexes = entries.map((entry, index) => index), effectiveDates = null) {
+    const threshold = rule.threshold || 40;
+    const weekStartsOn = rule.weekStartsOn || 0;
+    const countedPayTypes = rule.countedPayTypes || ['Regular'];
+    const reclassifyPayTypes = rule.reclassifyPayTypes || ['Regular'];
+    const overtimePayType = rule.overtimePayType || 'Overtime';
+    const ruleName = rule.rule || rule.name;
+    const round = value => Math.round(value * 100) / 100;
+
+    // Group entry indexes by employee and work week
+    const weeks = {};
+    entries.forEach((entry, index) => {
+      if (!countedPayTypes.includes(entry.payType)) {
         return;
       }
-      
-      // Handle branch-specific rates
-      if (currentRate.toUpperCase().startsWith('WN ')) {
-        // WN TECH → WN TECHNB, WN MN TECH → WN MN TECHNB
-        if (currentRate.toUpperCase() === 'WN TECH') {
-          correctedRate = 'WN TECHNB';
-        } else if (currentRate.toUpperCase() === 'WN MN TECH') {
-          correctedRate = 'WN MN TECHNB';
-        } else if (currentRate.toUpperCase() === 'WN PM TECH') {
-          correctedRate = 'WN PM TECHNB';
-        }
-      } else if (currentRate.toUpperCase().startsWith('SCH')) {
-        // SCH_TECH → SCHTECHNB, SCH_MNTECH → SCH_MNTECHNB
-        if (currentRate.toUpperCase() === 'SCH_TECH') {
-          correctedRate = 'SCHTECHNB';
-        } else if (currentRate.toUpperCase() === 'SCH_MNTECH') {
-          correctedRate = 'SCH_MNTECHNB';
-        } else if (currentRate.toUpperCase() === 'SCH_PMTECH') {
-          correctedRate = 'SCH_PMTECHNB';
-        }
-      } else if (currentRate.toUpperCase() === 'TECH') {
-        // Tech → TechNB
-        correctedRate = 'TechNB';
-      } else if (currentRate.toUpperCase() === 'MNTECH') {
-        // MNTech → MNTechNB
-        correctedRate = 'MNTechNB';
-      } else if (currentRate.toUpperCase() === 'PMTECH') {
-        // PMTECH → PMTECHNB
-        correctedRate = 'PMTECHNB';
-      } else if (currentRate.toUpperCase() === 'MN PMTECH') {
-        // MN PMTECH → MN PMTECHNB
-        correctedRate = 'MN PMTECHNB';
+      if (effectiveDates && !this.isEffective(rule, effectiveDates[sourceIndexes[index]])) {
+        return;
       }
-      
-      // Apply change if rate was modified
-      if (correctedRate !== currentRate) {
-        changes.push({
+
+      if ((entry.inferredFields || []).includes('payType')) {
+        needsReview.push({
           employeeName: entry.employeeName,
           employeeId: entry.employeeId,
           date: entry.date,
-          field: 'laborRate',
-          originalValue: currentRate,
-          correctedValue: correctedRate,
-          rule: 'Rule 6: No Bill Detection',
-          description: 'Description contains "No Bill" - adding NB suffix to labor rate'
+          field: 'payType',
+          value: entry.payType,
+          rule: ruleName,
+          reason: 'Not on the report: pay type (parser default used) - entry was excluded from the weekly overtime calculation',
+          entryIndex: sourceIndexes[index]
         });
-        
-        entry.laborRate = correctedRate;
+        return;
+      }
+
+      const date = moment(entry.date, 'MM/DD/YYYY');
+      if (!date.isValid()) {
+        needsReview.push({
+          employeeName: entry.employeeName,
+          employeeId: entry.employeeId,
+          date: entry.date,
+          field: 'date',
+          value: entry.date,
+          rule: ruleName,
+          reason: 'Invalid date - entry was excluded from the weekly overtime calculation',
+          entryIndex: sourceIndexes[index]
+        });
+        return;
+      }
+
+      const weekStart = date.clone().subtract((date.day() - weekStartsOn + 7) % 7, 'days');
+      const key = `${entry.employeeId || entry.employeeName}|${weekStart.format('YYYY-MM-DD')}`;
+      if (!weeks[key]) {
+        weeks[key] = { weekStart, indexes: [] };
+      }
+      weeks[key].indexes.push({ index, date });
+    });
+
+    // Entries to insert after a split entry, keyed by its index
+    const splits = {};
+
+    Object.values(weeks).forEach(({ weekStart, indexes }) => {
+      const weekLabel = weekStart.format('MM/DD/YYYY');
+      let counted = 0;
+
+      // Stable sort keeps report order for entries on the same day
+      indexes
+        .sort((a, b) => a.date.diff(b.date) || a.index - b.index)
+        .forEach(({ index }) => {
+          const entry = entries[index];
+          const hours = parseFloat(entry.hours) || 0;
+          const before = counted;
+          counted = round(counted + hours);
+
+          if (!reclassifyPayTypes.includes(entry.payType) || counted <= threshold) {
+            return;
+          }
+
+          const originalEntry = { ...entry };
+          const description = `Week of ${weekLabel}: ${counted.toFixed(2)} counted hours exceed the ${threshold}-hour threshold`;
+
+          if (before >= threshold) {
+            // Entire entry falls beyond the threshold
+            changes.push({
+              employeeName: entry.employeeName,
+              employeeId: entry.employeeId,
+              date: entry.date,
+              field: 'payType',
+              originalValue: entry.payType,
+              correctedValue: overtimePayType,
+              rule: ruleName,
+              description,
+              entryIndex: sourceIndexes[index]
+            });
+            entry.payType = overtimePayType;
+            return;
+          }
+
+          // Entry crosses the threshold - split it
+          const regularHours = round(threshold - before);
+          const overtimeHours = round(hours - regularHours);
+          entry.hours = regularHours;
+          const overtimeEntry = { ...entry, hours: overtimeHours, payType: overtimePayType };
+          splits[index] = [overtimeEntry];
+
+          changes.push({
+            employeeName: entry.employeeName,
+            employeeId: entry.employeeId,
+            date: entry.date,
+            field: 'hours',
+            originalValue: `${hours.toFixed(2)} ${originalEntry.payType}`,
+            correctedValue: `${regularHours.toFixed(2)} ${entry.payType} + ${overtimeHours.toFixed(2)} ${overtimePayType}`,
+            rule: ruleName,
+            description: `${description}; entry split into Regular and Overtime`,
+            originalEntry,
+            splitEntries: [{ ...entry }, { ...overtimeEntry }],
+            entryIndex: sourceIndexes[index]
+          });
+        });
+    });
+
+    return {
+      entries: entries.flatMap((entry, index) => [entry, ...(splits[index] || [])]),
+      sourceIndexes: sourceIndexes.flatMap((source, index) => [source, ...(splits[index] || []).map(() => source)])
+    };
+  }
+
+  /**
+   * Resolve the value a correction writes: a fixed value, a labor rate
+   * composed from the rate model, or the first matching case, falling back
+   * to the default (or the current value)
+   *
+   * Returns { value } or { reason } when the value cannot be determined.
+   */
+  resolveCorrectedValue(correction, entry) {
+    if (Object.prototype.hasOwnProperty.call(correction, 'value')) {
+      return { value: correction.value };
+    }
+
+    if (correction.compose) {
+      const { modifier, tradeMap } = correction.compose;
+      return this.rateModel.applyModifier(entry[correction.field], modifier, tradeMap);
+    }
+
+    const match = (correction.cases || []).find(c => this.evaluateCondition(c.when, entry));
+    if (match) {
+      return { value: match.value };
+    }
+
+    return {
+      value: Object.prototype.hasOwnProperty.call(correction, 'default')
+        ? correction.default
+        : entry[correction.field]
+    };
+  }
+
+  /**
+   * Evaluate a rule condition against an entry
+   *
+   * Conditions are either combinators ({ all }, { any }, { not }) or a field
+   * test: { field, transform?, <operator>: operand }.
+   */
+  evaluateCondition(condition, entry) {
+    if (!condition) {
+      return true;
+    }
+
+    if (Array.isArray(condition.all)) {
+      return condition.all.every(c => this.evaluateCondition(c, entry));
+    }
+
+    if (Array.isArray(condition.any)) {
+      return condition.any.some(c => this.evaluateCondition(c, entry));
+    }
+
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, entry);
+    }
+
+    const rawValue = entry[condition.field];
+    const value = this.transformValue(rawValue, condition.transform);
+    const toList = operand => (Array.isArray(operand) ? operand : [operand]);
+
+    if ('present' in condition) {
+      return Boolean(rawValue) === condition.present;
+    }
+    if ('equals' in condition) {
+      return value === condition.equals;
+    }
+    if ('notEquals' in condition) {
+      return value !== condition.notEquals;
+    }
+    if ('in' in condition) {
+      return condition.in.includes(value);
+    }
+    if ('notIn' in condition) {
+      return !condition.notIn.includes(value);
+    }
+    if ('inTable' in condition) {
+      return this.getTable(condition.inTable).includes(value);
+    }
+    if ('notInTable' in condition) {
+      return !this.getTable(condition.notInTable).includes(value);
+    }
+    if ('contains' in condition) {
+      return typeof value === 'string' && value.includes(condition.contains);
+    }
+    if ('startsWith' in condition) {
+      return typeof value === 'string' && toList(condition.startsWith).some(prefix => value.startsWith(prefix));
+    }
+    if ('endsWith' in condition) {
+      return typeof value === 'string' && toList(condition.endsWith).some(suffix => value.endsWith(suffix));
+    }
+    if ('dayOfWeek' in condition) {
+      try {
+        const date = moment(rawValue, 'MM/DD/YYYY');
+        return date.isValid() && toList(condition.dayOfWeek).includes(date.day());
+      } catch (error) {
+        console.warn('Failed to parse date for rule condition:', rawValue, error.message);
+        return false;
       }
     }
+
+    if ('holiday' in condition) {
+      return Boolean(holidayCalendar.findHoliday(rawValue)) === condition.holiday;
+    }
+
+    throw new Error(`Unsupported rule condition: ${JSON.stringify(condition)}`);
   }
 
   /**
-   * Rule 7: NEW - Office Override
-   * Office cost codes (1COAD, 1SCHOF, 1WNOF) always get "Regular" pay type
+   * Evaluate a condition for a trace: { test, result } for every test,
+   * with the field's value on field tests and the parts of all/any/not
    */
-  applyRule7_OfficeOverride(entry, changes) {
-    const costCode = entry.costCode?.toUpperCase();
-    
-    // Check if cost code is an office code
-    if (this.OFFICE_COST_CODES.includes(costCode) && entry.payType !== 'Regular') {
-      changes.push({
-        employeeName: entry.employeeName,
-        employeeId: entry.employeeId,
-        date: entry.date,
-        field: 'payType',
-        originalValue: entry.payType,
-        correctedValue: 'Regular',
-        rule: 'Rule 7: Office Override',
-        description: `Office cost code ${costCode} requires Regular pay type`
-      });
-      
-      entry.payType = 'Regular';
+  explainCondition(condition, entry) {
+    if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+      const combinator = Array.isArray(condition.all) ? 'all' : 'any';
+      return {
+        test: `${combinator} of`,
+        result: this.evaluateCondition(condition, entry),
+        conditions: condition[combinator].map(c => this.explainCondition(c, entry))
+      };
     }
+
+    if (condition.not) {
+      return {
+        test: 'not',
+        result: this.evaluateCondition(condition, entry),
+        conditions: [this.explainCondition(condition.not, entry)]
+      };
+    }
+
+    return {
+      test: this.describeCondition(condition),
+      field: condition.field,
+      value: entry[condition.field] ?? null,
+      result: this.evaluateCondition(condition, entry)
+    };
+  }
+
+  /**
+   * Readable form of a field test, e.g. "laborRate (upper) in PM_LABOR_RATES"
+   */
+  describeCondition(condition) {
+    const field = condition.transform ? `${condition.field} (${condition.transform})` : condition.field;
+    const list = operand => (Array.isArray(operand) ? operand : [operand]).map(value => `"${value}"`).join(' or ');
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    if ('present' in condition) return `${field} ${condition.present ? 'is present' : 'is blank'}`;
+    if ('equals' in condition) return `${field} = "${condition.equals}"`;
+    if ('notEquals' in condition) return `${field} is not "${condition.notEquals}"`;
+    if ('in' in condition) return `${field} in [${condition.in.join(', ')}]`;
+    if ('notIn' in condition) return `${field} not in [${condition.notIn.join(', ')}]`;
+    if ('inTable' in condition) return `${field} in ${condition.inTable}`;
+    if ('notInTable' in condition) return `${field} not in ${condition.notInTable}`;
+    if ('contains' in condition) return `${field} contains "${condition.contains}"`;
+    if ('startsWith' in condition) return `${field} starts with ${list(condition.startsWith)}`;
+    if ('endsWith' in condition) return `${field} ends with ${list(condition.endsWith)}`;
+    if ('dayOfWeek' in condition) {
+      const dayList = Array.isArray(condition.dayOfWeek) ? condition.dayOfWeek : [condition.dayOfWeek];
+      return `${field} falls on ${dayList.map(day => days[day]).join(' or ')}`;
+    }
+    if ('holiday' in condition) return `${field} ${condition.holiday ? 'is' : 'is not'} a holiday`;
+    return JSON.stringify(condition);
+  }
+
+  /**
+   * Normalize a field value before comparison
+   */
+  transformValue(value, transform) {
+    switch (transform) {
+      case 'upper':
+        return value ? String(value).toUpperCase() : '';
+      case 'lower':
+        return value ? String(value).toLowerCase() : '';
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Look up a named labor-rate or cost-code table, as in effect for the
+   * entry being corrected (see withTablesFor)
+   */
+  getTable(name) {
+    const table = (this.activeTables || this.tables)[name];
+    if (!Array.isArray(table)) {
+      throw new Error(`Unknown rule table: ${name}`);
+    }
+    return table;
+  }
+
+  /**
+   * Render a change description, e.g. "Cost Code is {{costCode | upper}}",
+   * "{{tables.PM_LABOR_RATES | join}}" or "{{holiday.name}}"
+   */
+  renderTemplate(template, entry) {
+    return template.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, key, filter) => {
+      let value = entry[key];
+      if (key.startsWith('tables.')) {
+        value = this.getTable(key.slice('tables.'.length));
+      } else if (key.startsWith('holiday.')) {
+        const holiday = holidayCalendar.findHoliday(entry.date);
+        value = holiday ? holiday[key.slice('holiday.'.length)] : '';
+      }
+
+      if (filter === 'join') {
+        return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+      }
+      if (filter === 'upper' || filter === 'lower') {
+        return this.transformValue(value, filter);
+      }
+      return String(value ?? '');
+    });
+  }
+
+  /**
+   * Validate a single entry against all rules, or all but options.disabledRules
+   *
+   * Uses the rules and tables in effect on the entry's date, with
+   * options.tables replacing current table values as in applyRules. A
+   * field a rule would set but a higher-priority rule sets differently is
+   * not checked for the lower one, as applyRules resolves the conflict.
+   */
+  validateEntry(entry, { disabledRules = [], tables = null } = {}) {
+    const [effectiveDate] = this.getEffectiveDates([entry]);
+    return this.withTablesFor(effectiveDate, () => {
+      const overridden = this.findOverriddenFields(entry, effectiveDate, disabledRules);
+      return this.checkEntry(entry, (id, field) =>
+        !disabledRules.includes(id) && this.isRuleInEffect(id, effectiveDate) && !overridden.has(`${id}|${field}`)
+      );
+    }, tables);
   }
 
   /**
-   * Validate a single entry against all rules
+   * Run the entry rules over a copy of an entry and list the fields each
+   * rule lost to a conflicting rule, as "ruleId|field"
    */
-  validateEntry(entry) {
+  findOverriddenFields(entry, effectiveDate, disabledRules = []) {
+    const claims = { fields: {}, conflicts: [] };
+    const copy = { ...entry };
+    this.rules
+      .filter(rule => !rule.type && !disabledRules.includes(rule.id) && this.isEffective(rule, effectiveDate))
+      .forEach(rule => this.applyRule(rule, copy, [], [], null, claims));
+
+    return new Set(claims.conflicts.map(conflict => {
+      const loser = conflict.proposals.find(proposal => proposal.ruleId !== conflict.winner);
+      return `${loser.ruleId}|${conflict.field}`;
+    }));
+  }
+
+  /**
+   * The validateEntry checks, each for the rule and field it is about;
+   * applies(id, field) says whether a check runs
+   */
+  checkEntry(entry, applies) {
     const issues = [];
+    const check = (id, field, issue) => {
+      if (applies(id, field)) {
+        issues.push(issue);
+      }
+    };
     
     // Rule 1 validation
     if (entry.costCategory === 'TechUnapplyd' && entry.payType !== 'Unapplied') {
-      issues.push('Cost Category is TechUnapplyd but Pay Type is not Unapplied');
+      check('rule1', 'payType', 'Cost Category is TechUnapplyd but Pay Type is not Unapplied');
     }
     
     // Rule 2 validation
     const costCode = entry.costCode?.toUpperCase();
     if ((costCode === 'SERVICE' || costCode === 'INSTALL') && 
-        !this.SERVICE_INSTALL_LABOR_RATES.includes(entry.laborRate)) {
-      issues.push(`Service/Install work requires approved labor rate, got: ${entry.laborRate}`);
+        !this.getTable('SERVICE_INSTALL_LABOR_RATES').includes(entry.laborRate)) {
+      check('rule2', 'laborRate', `Service/Install work requires approved labor rate, got: ${entry.laborRate}`);
     }
     
     // Rule 3 validation
     if (['PM', 'PMF', 'FTPM'].includes(costCode) && 
-        !this.PM_LABOR_RATES.includes(entry.laborRate)) {
-      issues.push(`PM work requires approved labor rate, got: ${entry.laborRate}`);
+        !this.getTable('PM_LABOR_RATES').includes(entry.laborRate)) {
+      check('rule3', 'laborRate', `PM work requires approved labor rate, got: ${entry.laborRate}`);
     }
     
     // Rule 4 validation
@@ -386,22 +1146,34 @@ class RuleEngine {
       const date = moment(entry.date, 'MM/DD/YYYY');
       if (date.isValid() && date.day() === 0) {
         if (entry.payType !== 'Double Time') {
-          issues.push('Sunday work requires Double Time pay type');
+          check('rule4', 'payType', 'Sunday work requires Double Time pay type');
         }
         const currentRate = entry.laborRate ? entry.laborRate.toUpperCase() : '';
         if (!currentRate.includes('PREM')) {
-          issues.push('Sunday work requires PREM labor rate');
+          check('rule4', 'laborRate', 'Sunday work requires PREM labor rate');
         }
       }
     } catch (error) {
       issues.push(`Invalid date format: ${entry.date}`);
     }
     
+    // Rule 9 validation
+    const holiday = holidayCalendar.findHoliday(entry.date);
+    if (holiday) {
+      if (entry.payType !== 'Double Time') {
+        check('rule9', 'payType', `Holiday work (${holiday.name}) requires Double Time pay type`);
+      }
+      const currentRate = entry.laborRate ? entry.laborRate.toUpperCase() : '';
+      if (!currentRate.includes('PREM')) {
+        check('rule9', 'laborRate', `Holiday work (${holiday.name}) requires PREM labor rate`);
+      }
+    }
+    
     // Rule 5 validation
     if (entry.payType === 'Call') {
       const currentRate = entry.laborRate ? entry.laborRate.toUpperCase() : '';
       if (!currentRate.includes('OT')) {
-        issues.push('Call work requires overtime labor rate');
+        check('rule5', 'laborRate', 'Call work requires overtime labor rate');
       }
     }
     
@@ -409,13 +1181,13 @@ class RuleEngine {
     if (entry.description && entry.description.toLowerCase().includes('no bill')) {
       const currentRate = entry.laborRate;
       if (currentRate && !currentRate.toUpperCase().endsWith('NB')) {
-        issues.push('Description contains "No Bill" but labor rate lacks NB suffix');
+        check('rule6', 'laborRate', 'Description contains "No Bill" but labor rate lacks NB suffix');
       }
     }
     
     // Rule 7 validation - NEW
-    if (this.OFFICE_COST_CODES.includes(costCode) && entry.payType !== 'Regular') {
-      issues.push(`Office cost code ${costCode} requires Regular pay type`);
+    if (this.getTable('OFFICE_COST_CODES').includes(costCode) && entry.payType !== 'Regular') {
+      check('rule7', 'payType', `Office cost code ${costCode} requires Regular pay type`);
     }
     
     return issues;
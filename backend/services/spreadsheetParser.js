@@ -0,0 +1,335 @@
+/**
+ * Time-entry import from CSV and XLSX exports
+ *
+ * The ERP can export the same entries the PDF report prints. A column
+ * mapping ({ field: header }) says which spreadsheet column holds each
+ * EmployeeEntry field; the mapping used for a layout is remembered (see
+ * mappingStore) and suggested the next time the same headers are seen.
+ */
+
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+const pdfParser = require('./pdfParser');
+const mappingStore = require('./mappingStore');
+
+// EmployeeEntry fields a spreadsheet column can map to, with the header
+// names the automatic suggestion recognizes
+const IMPORT_FIELDS = [
+  { field: 'employeeName', label: 'Employee Name', required: true, synonyms: ['employee', 'employee name', 'name', 'worker'] },
+  { field: 'employeeId', label: 'Employee ID', required: false, synonyms: ['employee id', 'employee number', 'emp id', 'emp no', 'employee #', 'id'] },
+  { field: 'date', label: 'Date', required: true, synonyms: ['date', 'work date', 'entry date', 'transaction date'] },
+  { field: 'hours', label: 'Hours', required: true, synonyms: ['hours', 'hrs', 'quantity', 'qty'] },
+  { field: 'payType', label: 'Pay Type', required: false, synonyms: ['pay type', 'paytype', 'earnings code'] },
+  { field: 'laborRate', label: 'Labor Rate', required: false, synonyms: ['labor rate', 'rate', 'labor rate code'] },
+  { field: 'costCode', label: 'Cost Code', required: false, synonyms: ['cost code', 'costcode'] },
+  { field: 'costCategory', label: 'Cost Category', required: false, synonyms: ['cost category', 'cost type', 'category'] },
+  { field: 'jobCode', label: 'Job Code', required: false, synonyms: ['job', 'job code', 'job number', 'job #'] },
+  { field: 'jobDescription', label: 'Job Description', required: false, synonyms: ['job description', 'job name'] },
+  { field: 'description', label: 'Description', required: false, synonyms: ['description', 'notes', 'memo', 'comment'] },
+  { field: 'payPeriodId', label: 'Pay Period ID', required: false, synonyms: ['pay period', 'pay period id', 'period'] }
+];
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD', 'MM-DD-YYYY'];
+
+// Rows shown in the column mapping step
+const SAMPLE_ROW_COUNT = 5;
+
+class SpreadsheetParser {
+
+  /**
+   * Fields a column can map to, for the mapping step
+   */
+  getFields() {
+    return IMPORT_FIELDS.map(({ field, label, required }) => ({ field, label, required }));
+  }
+
+  /**
+   * Read the first sheet of an XLSX file or a CSV file
+   *
+   * Returns { headers, rows } where rows are { line, values } with the
+   * 1-based row number in the file and one string per header.
+   */
+  async readTable(buffer, format) {
+    let records;
+    try {
+      records = format === 'xlsx' ? await this.readXlsx(buffer) : this.parseCsv(buffer.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${format.toUpperCase()} file: ${error.message}`);
+    }
+
+    // The first non-empty row holds the headers
+    const headerIndex = records.findIndex(record => record.values.some(Boolean));
+    if (headerIndex === -1) {
+      throw new Error(`The ${format.toUpperCase()} file has no header row`);
+    }
+
+    const headers = records[headerIndex].values.map(value => value.trim());
+    const rows = records
+      .slice(headerIndex + 1)
+      .filter(record => record.values.some(Boolean))
+      .map(record => ({
+        line: record.line,
+        values: headers.map((header, index) => (record.values[index] || '').trim())
+      }));
+
+    return { headers, rows };
+  }
+
+  /**
+   * Read the first worksheet as [{ line, values }]
+   */
+  async readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return [];
+    }
+
+    const records = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, line) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        values[column - 1] = this.cellText(cell.value);
+      });
+      records.push({ line, values: Array.from(values, value => value || '') });
+    });
+
+    return records;
+  }
+
+  /**
+   * Convert an ExcelJS cell value to text; dates become MM/DD/YYYY
+   */
+  cellText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return moment.utc(value).format('MM/DD/YYYY');
+    }
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('');
+      }
+      if ('result' in value) {
+        return this.cellText(value.result);
+      }
+      if ('text' in value) {
+        return String(value.text);
+      }
+      return '';
+    }
+    return String(value);
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting) as [{ line, values }]
+   *
+   * The delimiter - comma, semicolon or tab - is taken from the first line.
+   */
+  parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const records = [];
+    let values = [];
+    let value = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endValue = () => {
+      values.push(value);
+      value = '';
+    };
+    const endRecord = () => {
+      endValue();
+      records.push({ line: recordLine, values });
+      values = [];
+      recordLine = line;
+    };
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        endValue();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        line++;
+        endRecord();
+      } else {
+        value += char;
+      }
+    }
+
+    if (value || values.length > 0) {
+      endRecord();
+    }
+
+    return records;
+  }
+
+  /**
+   * Suggest a mapping for these headers: the one saved for the same layout,
+   * otherwise headers matched to fields by name
+   *
+   * Returns { mapping, source } where source is 'saved' or 'suggested'.
+   */
+  suggestMapping(headers) {
+    const saved = mappingStore.getMapping(headers);
+    if (saved && this.validateMapping(saved, headers).length === 0) {
+      return { mapping: saved, source: 'saved' };
+    }
+
+    const normalize = header => header.toLowerCase().replace(/[_\s]+/g, ' ').trim();
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ field, synonyms }) => {
+      const header = headers.find(candidate =>
+        synonyms.includes(normalize(candidate)) && !Object.values(mapping).includes(candidate)
+      );
+      if (header) {
+        mapping[field] = header;
+      }
+    });
+
+    return { mapping, source: 'suggested' };
+  }
+
+  /**
+   * Check a mapping against the file's headers, returning a list of errors
+   */
+  validateMapping(mapping, headers) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return ['Column mapping must be an object of { field: header }'];
+    }
+
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (!IMPORT_FIELDS.some(importField => importField.field === field)) {
+        errors.push(`Unknown field: ${field}`);
+      } else if (header && !headers.includes(header)) {
+        errors.push(`Column "${header}" for ${field} is not in the file`);
+      }
+    });
+
+    IMPORT_FIELDS
+      .filter(({ field, required }) => required && !mapping[field])
+      .forEach(({ label }) => errors.push(`${label} must be mapped to a column`));
+
+    return errors;
+  }
+
+  /**
+   * First rows of the file as { header: value } objects, for the mapping step
+   */
+  getSampleRows(table) {
+    return table.rows.slice(0, SAMPLE_ROW_COUNT).map(row =>
+      Object.fromEntries(table.headers.map((header, index) => [header, row.values[index]]))
+    );
+  }
+
+  /**
+   * Map spreadsheet rows to entries
+   *
+   * Rows without an employee, a valid date or valid hours are skipped and
+   * reported in diagnostics; missing pay type, labor rate, cost code and
+   * cost category get the parser defaults and are listed in inferredFields,
+   * exactly as for the PDF.
+   */
+  parseEntries(table, mapping) {
+    const entries = [];
+    const diagnostics = [];
+    const columnIndex = Object.fromEntries(
+      Object.entries(mapping)
+        .filter(([, header]) => header)
+        .map(([field, header]) => [field, table.headers.indexOf(header)])
+    );
+
+    table.rows.forEach(({ line, values }) => {
+      const read = field => (field in columnIndex ? values[columnIndex[field]] : '');
+      const employeeName = read('employeeName');
+      const employeeId = read('employeeId');
+
+      const addDiagnostic = (type, code, reason) => {
+        diagnostics.push({
+          line,
+          type,
+          code,
+          reason,
+          employeeName: employeeName || null,
+          employeeId: employeeId || null,
+          rawText: values.join(' | ')
+        });
+      };
+
+      if (!employeeName) {
+        addDiagnostic('skipped', 'no_employee', 'Row has no employee name');
+        return;
+      }
+
+      const date = this.normalizeDate(read('date'));
+      if (!date) {
+        addDiagnostic('skipped', 'bad_date', `Expected a date in the ${mapping.date} column, found "${read('date')}"`);
+        return;
+      }
+
+      if (!/^\d+(\.\d+)?$/.test(read('hours'))) {
+        addDiagnostic('skipped', 'bad_hours', `Expected hours in the ${mapping.hours} column, found "${read('hours')}"`);
+        return;
+      }
+
+      const { fields, inferredFields } = pdfParser.resolveEntryFields({
+        payType: read('payType'),
+        laborRate: read('laborRate'),
+        costCode: read('costCode'),
+        costCategory: read('costCategory'),
+        description: read('description')
+      }, addDiagnostic);
+
+      entries.push({
+        employeeName,
+        employeeId,
+        jobCode: read('jobCode'),
+        jobDescription: read('jobDescription'),
+        date,
+        hours: parseFloat(read('hours')),
+        ...fields,
+        inferredFields,
+        payPeriodId: read('payPeriodId') || null,
+        reportDate: null,
+        originalLine: values.join(', ')
+      });
+    });
+
+    return { entries, diagnostics };
+  }
+
+  /**
+   * Normalize a date to MM/DD/YYYY, or null when it is not a date
+   */
+  normalizeDate(value) {
+    const date = moment(value, DATE_FORMATS, true);
+    return date.isValid() ? date.format('MM/DD/YYYY') : null;
+  }
+}
+
+module.exports = new SpreadsheetParser();
@@ -0,0 +1,76 @@
+const batchMerger = require('../services/batchMerger');
+
+const { entry } = require('./fixtures/timeEntry');
+
+const employeeEntry = (employeeId, date, hours, fields = {}) => entry({
+  employeeName: `Employee ${employeeId}`,
+  employeeId,
+  date,
+  hours,
+  payPeriodId: 'PP-2025-10',
+  ...fields
+});
+
+const matched = employeeId => ({
+  status: 'matched',
+  mismatchCount: 0,
+  employees: [{ employeeName: `Employee ${employeeId}`, employeeId, matched: true, differences: [] }],
+  report: { printedTotal: 8, matched: true, differences: [] }
+});
+
+describe('batch merge', () => {
+  test('tags entries with their file and orders them by pay period', () => {
+    const { entries, payPeriods } = batchMerger.merge([
+      { filename: 'wn.pdf', entries: [employeeEntry('1', '03/03/2025', 8), employeeEntry('1', '02/24/2025', 8, { payPeriodId: 'PP-2025-09' })] },
+      { filename: 'sch.pdf', entries: [employeeEntry('2', '03/03/2025', 6)] }
+    ]);
+
+    expect(entries.map(({ sourceFile, payPeriodId }) => [sourceFile, payPeriodId])).toEqual([
+      ['wn.pdf', 'PP-2025-09'],
+      ['wn.pdf', 'PP-2025-10'],
+      ['sch.pdf', 'PP-2025-10']
+    ]);
+    expect(payPeriods).toEqual([
+      { payPeriodId: 'PP-2025-09', entryCount: 1, files: ['wn.pdf'] },
+      { payPeriodId: 'PP-2025-10', entryCount: 2, files: ['wn.pdf', 'sch.pdf'] }
+    ]);
+  });
+
+  test('finds the same entry in two files but not repeats within one file', () => {
+    const { duplicates } = batchMerger.merge([
+      { filename: 'main.pdf', entries: [employeeEntry('1', '03/03/2025', 8), employeeEntry('1', '03/04/2025', 2), employeeEntry('1', '03/04/2025', 2)] },
+      { filename: 'wn.pdf', entries: [employeeEntry('1', '03/03/2025', 8), employeeEntry('1', '03/04/2025', 3)] }
+    ]);
+
+    expect(duplicates).toEqual([{
+      employeeName: 'Employee 1',
+      employeeId: '1',
+      date: '03/03/2025',
+      entryIndexes: [0, 3],
+      files: ['main.pdf', 'wn.pdf']
+    }]);
+  });
+
+  test('combines each file\'s totals check', () => {
+    const mismatch = {
+      ...matched('2'),
+      status: 'mismatch',
+      mismatchCount: 1,
+      report: { printedTotal: 10, matched: false, differences: [{ payType: 'total', printed: 10, parsed: 8, difference: 2 }] }
+    };
+
+    const { reconciliation } = batchMerger.merge([
+      { filename: 'main.pdf', entries: [], reconciliation: matched('1') },
+      { filename: 'wn.pdf', entries: [], reconciliation: mismatch },
+      { filename: 'sch.pdf', entries: [], reconciliation: { status: 'unavailable', mismatchCount: 0, employees: [], report: null } }
+    ]);
+
+    expect(reconciliation.status).toBe('mismatch');
+    expect(reconciliation.mismatchCount).toBe(1);
+    expect(reconciliation.employees.map(employee => employee.sourceFile)).toEqual(['main.pdf', 'wn.pdf']);
+    expect(reconciliation.reports.map(report => [report.sourceFile, report.matched])).toEqual([
+      ['main.pdf', true],
+      ['wn.pdf', false]
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const entryChecker = require('../services/entryChecker');
+
+const { entry } = require('./fixtures/timeEntry');
+
+describe('entry checks', () => {
+  test('finds nothing in ordinary entries', () => {
+    expect(entryChecker.check([
+      entry(),
+      entry({ jobCode: 'J101' }),
+      entry({ hours: 2, payType: 'Overtime', laborRate: 'TechOT' }),
+      entry({ employeeId: '102', employeeName: 'Doe, Jane' })
+    ])).toEqual([]);
+  });
+
+  test('flags exact duplicates', () => {
+    const [finding, ...rest] = entryChecker.check([entry(), entry({ jobCode: 'J101' }), entry()]);
+
+    expect(rest).toEqual([]);
+    expect(finding).toMatchObject({ type: 'duplicate', employeeId: '101', date: '03/03/2025', entryIndexes: [0, 2] });
+  });
+
+  test('flags the same job, date and hours at a different rate', () => {
+    const [finding, ...rest] = entryChecker.check([entry(), entry({ laborRate: 'TechNB' })]);
+
+    expect(rest).toEqual([]);
+    expect(finding).toMatchObject({ type: 'near_duplicate', entryIndexes: [0, 1] });
+    expect(finding.reason).toMatch('Regular/Tech, 8h Regular/TechNB');
+  });
+
+  test('flags the same job and date re-keyed with the rate and hours changed', () => {
+    const [finding, ...rest] = entryChecker.check([entry(), entry({ jobCode: 'J101' }), entry({ hours: 6, laborRate: 'TechNB' })]);
+
+    expect(rest).toEqual([]);
+    expect(finding).toMatchObject({ type: 'near_duplicate', entryIndexes: [0, 2] });
+    expect(finding.reason).toMatch('(8h Regular/Tech, 6h Regular/TechNB)');
+  });
+
+  test('flags exact and near-duplicates of the same job together', () => {
+    const findings = entryChecker.check([entry(), entry(), entry({ hours: 7.5 })]);
+
+    expect(findings).toEqual([
+      expect.objectContaining({ type: 'duplicate', entryIndexes: [0, 1] }),
+      expect.objectContaining({ type: 'near_duplicate', entryIndexes: [0, 1, 2] })
+    ]);
+  });
+
+  test('flags more than 24 hours in a day', () => {
+    const findings = entryChecker.check([
+      entry({ hours: 12 }),
+      entry({ jobCode: 'J101', hours: 10 }),
+      entry({ jobCode: 'J102', hours: 3 }),
+      entry({ date: '03/04/2025', hours: 24 })
+    ]);
+
+    expect(findings).toEqual([expect.objectContaining({
+      type: 'daily_total',
+      entryIndexes: [0, 1, 2],
+      totalHours: 25
+    })]);
+  });
+
+  test('names the files of duplicates from a batch', () => {
+    const [finding] = entryChecker.check([entry({ sourceFile: 'main.pdf' }), entry({ sourceFile: 'wn.pdf' })]);
+
+    expect(finding.reason).toMatch('(in main.pdf, wn.pdf)');
+  });
+});
@@ -0,0 +1,56 @@
+const ExcelJS = require('exceljs');
+const excelGenerator = require('../services/excelGenerator');
+const ruleEngine = require('../services/ruleEngine');
+
+const { entry } = require('./fixtures/timeEntry');
+
+// Corrected Entries rows as { header: highlighted } for the given column headers
+const readHighlights = async (buffer, headers) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet('Corrected Entries');
+  const columns = headers.map(header => sheet.getRow(1).values.indexOf(header));
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    rows.push(Object.fromEntries(headers.map((header, index) => [header, Boolean(row.getCell(columns[index]).note)])));
+  });
+  return rows;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('corrected workbook', () => {
+  test('highlights the entry a change was made to, not its look-alikes', async () => {
+    const { correctedData, changes, sourceIndexes } = await ruleEngine.applyRules([
+      entry({ laborRate: 'TechNB' }),
+      entry({ jobCode: 'J101', description: 'No Bill' })
+    ]);
+    expect(changes.map(change => [change.entryIndex, change.correctedValue])).toEqual([[1, 'TechNB']]);
+
+    const buffer = await excelGenerator.generateCorrectedWorkbook(correctedData, changes, 'report', sourceIndexes);
+
+    expect(await readHighlights(buffer, ['Labor Rate'])).toEqual([{ 'Labor Rate': false }, { 'Labor Rate': true }]);
+  });
+
+  test('highlights both parts of a weekly overtime split', async () => {
+    const { correctedData, changes, sourceIndexes } = await ruleEngine.applyRules(
+      ['03/03/2025', '03/04/2025', '03/05/2025', '03/06/2025', '03/07/2025'].map(date => entry({ date, hours: 9 }))
+    );
+    expect(sourceIndexes).toEqual([0, 1, 2, 3, 4, 4]);
+
+    const buffer = await excelGenerator.generateCorrectedWorkbook(correctedData, changes, 'report', sourceIndexes);
+
+    expect(await readHighlights(buffer, ['Hours', 'Pay Type'])).toEqual([
+      ...Array(4).fill({ Hours: false, 'Pay Type': false }),
+      { Hours: true, 'Pay Type': true },
+      { Hours: true, 'Pay Type': true }
+    ]);
+  });
+});
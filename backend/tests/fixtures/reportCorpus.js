@@ -0,0 +1,129 @@
+/**
+ * Synthetic reports for the layout extraction tests (see syntheticReport)
+ *
+ * Each case lists the entries the report prints; a parser reading the
+ * layout correctly returns exactly these entries, and the printed totals
+ * reconcile with them.
+ */
+
+const entry = (jobCode, date, hours, payType, laborRate, costCode, costCategory, fields = {}) => ({
+  jobCode,
+  jobDescription: 'Walk-in cooler repair',
+  date,
+  hours,
+  payType,
+  laborRate,
+  costCode,
+  costCategory,
+  description: 'Replaced compressor relay',
+  ...fields
+});
+
+// Enough entries to run an employee section over a page break
+const weekOfEntries = (jobPrefix, count) => Array.from({ length: count }, (value, index) => entry(
+  `${jobPrefix}${100 + index}`,
+  `03/${String(3 + (index % 5)).padStart(2, '0')}/2025`,
+  index % 3 === 0 ? 2.5 : 1.75,
+  index % 4 === 3 ? 'Overtime' : 'Regular',
+  index % 4 === 3 ? 'TechOT' : 'Tech',
+  'SERVICE',
+  'DirLab',
+  index % 6 === 0 ? {
+    jobDescription: 'Rooftop unit replacement at the distribution center loading dock, phase two',
+    description: 'Recovered refrigerant, replaced the condenser fan motor and checked all pressures after startup'
+  } : {}
+));
+
+module.exports = [
+  {
+    name: 'single page with separate columns',
+    report: {
+      employees: [
+        {
+          name: 'Smith, John',
+          id: '101',
+          entries: [
+            entry('J100', '03/03/2025', 8, 'Regular', 'Tech', 'SERVICE', 'DirLab'),
+            entry('J101', '03/04/2025', 2, 'Overtime', 'TechOT', 'INSTALL', 'DirLab'),
+            entry('J102', '03/09/2025', 3.5, 'Call', 'TechOT', 'SERVICE', 'DirLab')
+          ]
+        },
+        {
+          name: 'Doe, Jane',
+          id: '102',
+          entries: [
+            entry('PM200', '03/05/2025', 6.25, 'Regular', 'PMTECH', 'PM', 'DirLab'),
+            entry('OF300', '03/06/2025', 1, 'Regular', 'Tech', '1COAD', 'TechUnapplyd', { description: '' })
+          ]
+        }
+      ]
+    }
+  },
+  {
+    name: 'wrapped job description and description cells',
+    report: {
+      employees: [
+        {
+          name: 'Garcia, Maria',
+          id: '205',
+          entries: [
+            entry('J400', '03/03/2025', 4, 'Regular', 'Tech', 'SERVICE', 'DirLab', {
+              jobDescription: 'Supermarket display case refrigeration retrofit - north building aisles 4 through 9',
+              description: 'Replaced expansion valves on three cases and adjusted superheat; customer asked for a follow-up visit next week'
+            }),
+            entry('J401', '03/04/2025', 3, 'Regular', 'WN TECH', 'INSTALL', 'DirLab', {
+              description: 'No Bill warranty callback for leaking evaporator coil that was replaced last month under contract'
+            }),
+            entry('J402', '03/05/2025', 1.5, 'Overtime', 'TechOT', 'SERVICE', 'DirLab')
+          ]
+        }
+      ]
+    }
+  },
+  {
+    name: 'page break in the middle of an employee',
+    report: {
+      pageBottom: 250,
+      employees: [
+        { name: 'Nguyen, Thomas', id: '310', entries: weekOfEntries('A', 20) },
+        { name: "O'Brien, Kelly", id: '311', entries: weekOfEntries('B', 9) }
+      ]
+    }
+  },
+  {
+    name: 'combined details column',
+    report: {
+      layout: 'combined',
+      employees: [
+        {
+          name: 'Smith, John',
+          id: '101',
+          entries: [
+            entry('J100', '03/03/2025', 8, 'Regular', 'Tech', 'SERVICE', 'DirLab'),
+            entry('J101', '03/04/2025', 2.5, 'Double Time', 'PREM', 'SERVICE', 'DirLab', {
+              description: 'Emergency Sunday call to restore a failed freezer at the hospital kitchen before the morning delivery'
+            })
+          ]
+        },
+        { name: 'Doe, Jane', id: '102', entries: weekOfEntries('C', 6) }
+      ]
+    }
+  },
+  {
+    name: 'entry with empty cells',
+    report: {
+      employees: [
+        {
+          name: 'Smith, John',
+          id: '101',
+          entries: [
+            entry('J100', '03/03/2025', 8, 'Regular', 'Tech', 'SERVICE', 'DirLab'),
+            entry('J101', '03/04/2025', 2, 'Regular', 'Tech', '', '', { description: '' }),
+            ...weekOfEntries('D', 4)
+          ]
+        }
+      ]
+    },
+    inferred: { 1: ['costCode', 'costCategory'] }
+  }
+];
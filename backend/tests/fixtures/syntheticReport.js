@@ -0,0 +1,160 @@
+/**
+ * Synthetic time-entry report PDFs for parser tests
+ *
+ * Lays a report out as a table the way the payroll system prints it: a
+ * page title, a column header row, employee sections with entry rows, pay
+ * type subtotals and Employee Totals, then Report Totals. Long cells wrap
+ * onto extra lines inside their column, and a section that runs past the
+ * bottom of the page continues on the next page under a repeated header.
+ */
+
+const { jsPDF } = require('jspdf');
+
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10;
+const PAGE_TOP = 40;
+
+// Column layouts: every field in its own column, or the details combined
+// into one "Pay Type - Labor Rate - ..." column
+const LAYOUTS = {
+  separate: [
+    { field: 'job', label: 'Job', x: 30, width: 185 },
+    { field: 'date', label: 'Date', x: 225, width: 50 },
+    { field: 'hours', label: 'Hours', x: 285, width: 30 },
+    { field: 'payType', label: 'Pay Type', x: 325, width: 55 },
+    { field: 'laborRate', label: 'Labor Rate', x: 390, width: 70 },
+    { field: 'costCode', label: 'Cost Code', x: 470, width: 55 },
+    { field: 'costCategory', label: 'Cost Category', x: 535, width: 65 },
+    { field: 'description', label: 'Description', x: 610, width: 150 }
+  ],
+  combined: [
+    { field: 'job', label: 'Job', x: 30, width: 185 },
+    { field: 'date', label: 'Date', x: 225, width: 50 },
+    { field: 'hours', label: 'Hours', x: 285, width: 30 },
+    { field: 'details', label: 'Pay Type - Labor Rate - Cost Code - Cost Category - Description', x: 325, width: 435 }
+  ]
+};
+
+const formatHours = hours => Number(hours).toFixed(2);
+
+/**
+ * Cell text for an entry, keyed by column field
+ */
+const entryCells = entry => ({
+  job: `(${entry.jobCode})${entry.jobDescription}`,
+  date: entry.date,
+  hours: formatHours(entry.hours),
+  payType: entry.payType,
+  laborRate: entry.laborRate,
+  costCode: entry.costCode,
+  costCategory: entry.costCategory,
+  description: entry.description,
+  details: [entry.payType, entry.laborRate, entry.costCode, entry.costCategory, entry.description].join(' - ')
+});
+
+/**
+ * Hours by pay type, in first-seen order
+ */
+const sumByPayType = entries => entries.reduce((sums, entry) => {
+  sums[entry.payType] = (sums[entry.payType] || 0) + entry.hours;
+  return sums;
+}, {});
+
+/**
+ * Build a report PDF
+ *
+ * report: { payPeriodId, reportDate, employees: [{ name, id, entries }],
+ * layout ('separate' | 'combined'), pageBottom, columnHeader }. Set
+ * columnHeader to false for a report without a column header row.
+ * Returns the PDF as a Buffer.
+ */
+function buildReport(report) {
+  const {
+    payPeriodId = 'PP2025-10',
+    reportDate = 'Mon Mar 03, 2025',
+    employees,
+    layout = 'separate',
+    pageBottom = 560,
+    columnHeader = true
+  } = report;
+  const columns = LAYOUTS[layout];
+  const column = field => columns.find(c => c.field === field) || columns.find(c => c.field === 'details');
+
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+  doc.setFont('helvetica');
+  doc.setFontSize(FONT_SIZE);
+
+  let page = 1;
+  let y = PAGE_TOP;
+  let currentEmployee = null;
+
+  const startPage = () => {
+    doc.text('Payroll Time-Entry Report', 30, y);
+    doc.text(`Pay Period Id: ${payPeriodId}`, 300, y);
+    doc.text(reportDate, 600, y);
+    y += LINE_HEIGHT * 2;
+    if (columnHeader) {
+      columns.forEach(c => doc.text(c.label, c.x, y));
+      y += LINE_HEIGHT * 1.5;
+    }
+    doc.text(`Page ${page}`, 380, 590);
+  };
+
+  // Print a row of cells, wrapping each inside its column
+  const printRow = cells => {
+    const lines = Object.entries(cells).map(([field, text]) => {
+      const { x, width } = column(field);
+      return { x, lines: doc.splitTextToSize(String(text), width) };
+    });
+    const height = Math.max(...lines.map(cell => cell.lines.length)) * LINE_HEIGHT;
+
+    if (y + height > pageBottom) {
+      doc.addPage();
+      page++;
+      y = PAGE_TOP;
+      startPage();
+      if (currentEmployee) {
+        doc.text(`${currentEmployee.name} - ${currentEmployee.id} (continued)`, 30, y);
+        y += LINE_HEIGHT * 1.5;
+      }
+    }
+
+    lines.forEach(cell => {
+      cell.lines.forEach((line, index) => doc.text(line, cell.x, y + index * LINE_HEIGHT));
+    });
+    y += height;
+  };
+
+  const printTotals = (label, entries) => {
+    Object.entries(sumByPayType(entries)).forEach(([payType, hours]) => {
+      printRow({ hours: formatHours(hours), payType });
+    });
+    printRow({ job: label, hours: formatHours(entries.reduce((sum, entry) => sum + entry.hours, 0)) });
+    y += LINE_HEIGHT;
+  };
+
+  startPage();
+
+  employees.forEach(employee => {
+    printRow({ job: `${employee.name} - ${employee.id}` });
+    currentEmployee = employee;
+
+    employee.entries.forEach(entry => {
+      const cells = entryCells(entry);
+      printRow(Object.fromEntries(
+        Object.entries(cells).filter(([field, text]) => columns.some(c => c.field === field) && text)
+      ));
+    });
+
+    printTotals('Employee Totals', employee.entries);
+    currentEmployee = null;
+  });
+
+  printTotals('Report Totals', employees.flatMap(employee => employee.entries));
+
+  return Buffer.from(doc.output(), 'binary');
+}
+
+module.exports = {
+  buildReport
+};
@@ -0,0 +1,24 @@
+/**
+ * Time entries for rule, checker and merge tests
+ *
+ * entry(fields) is a Regular SERVICE entry for Smith, John on Monday
+ * 03/03/2025; pass only the fields a test is about.
+ */
+
+const entry = (fields = {}) => ({
+  employeeName: 'Smith, John',
+  employeeId: '101',
+  jobCode: 'J100',
+  date: '03/03/2025',
+  hours: 8,
+  payType: 'Regular',
+  laborRate: 'Tech',
+  costCode: 'SERVICE',
+  costCategory: 'DirLab',
+  description: '',
+  ...fields
+});
+
+module.exports = {
+  entry
+};
@@ -0,0 +1,25 @@
+const goldenRunner = require('./golden/goldenRunner');
+
+// Re-record with npm run test:golden:record after an intentional change
+describe('golden files', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(goldenRunner.listCases())('%s', async name => {
+    const expected = goldenRunner.readExpected(name);
+    const actual = await goldenRunner.runCase(name);
+
+    goldenRunner.EXPECTED_FILES.forEach(file => {
+      expect(expected[file]).not.toBeNull();
+    });
+    expect(actual.parsed).toEqual(expected.parsed);
+    expect(actual.corrected).toEqual(expected.corrected);
+    expect(actual.changes).toEqual(expected.changes);
+  });
+});
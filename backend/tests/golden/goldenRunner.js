@@ -0,0 +1,115 @@
+/**
+ * Golden-file regression cases for the parser and the rules
+ *
+ * Each directory under cases/ is one case: an extracted-text report
+ * (input.txt, read with pdfParser.parseEmployeeData) or a synthetic PDF
+ * spec (report.json, built with fixtures/syntheticReport and read with
+ * pdfParser.parsePdf), an optional options.json ({ extractionMode,
+ * disabledRules }), and the recorded output in expected/:
+ *
+ *   parsed.json     { entries, diagnostics } as parsed
+ *   corrected.json  the entries after ruleEngine.applyRules
+ *   changes.json    { changes, needsReview, conflicts } from applyRules
+ *
+ * Run the cases with npm test; re-record them after an intentional parser
+ * or rule change with npm run test:golden:record (see record.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Locally edited rate tables and holidays must not change the outcome
+process.env.RATE_TABLES_PATH = process.env.RATE_TABLES_PATH || path.join(__dirname, 'no-local-rates.json');
+process.env.HOLIDAYS_PATH = process.env.HOLIDAYS_PATH || path.join(__dirname, 'no-local-holidays.json');
+
+const pdfParser = require('../../services/pdfParser');
+const ruleEngine = require('../../services/ruleEngine');
+const { buildReport } = require('../fixtures/syntheticReport');
+
+const CASES_DIR = path.join(__dirname, 'cases');
+const EXPECTED_FILES = ['parsed', 'corrected', 'changes'];
+
+/**
+ * List the case names, in directory order
+ */
+function listCases() {
+  return fs.readdirSync(CASES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Read a JSON file from a case directory, or null if it does not exist
+ */
+function readJson(caseDir, file) {
+  const filePath = path.join(caseDir, file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Parse a case's input and apply the rules to it
+ *
+ * Returns { parsed, corrected, changes }, shaped like the expected files
+ * (round-tripped through JSON so undefined fields are dropped the same way).
+ */
+async function runCase(name) {
+  const caseDir = path.join(CASES_DIR, name);
+  const { extractionMode = 'layout', disabledRules = [] } = readJson(caseDir, 'options.json') || {};
+
+  let parsed;
+  if (fs.existsSync(path.join(caseDir, 'input.txt'))) {
+    parsed = await pdfParser.parseEmployeeData(fs.readFileSync(path.join(caseDir, 'input.txt'), 'utf8'));
+  } else if (fs.existsSync(path.join(caseDir, 'report.json'))) {
+    parsed = await pdfParser.parsePdf(buildReport(readJson(caseDir, 'report.json')), { extractionMode });
+  } else {
+    throw new Error(`Golden case ${name} has neither input.txt nor report.json`);
+  }
+
+  const { entries, diagnostics } = parsed;
+  const { correctedData, changes, needsReview, conflicts } = await ruleEngine.applyRules(entries, { disabledRules });
+
+  return JSON.parse(JSON.stringify({
+    parsed: { entries, diagnostics },
+    corrected: correctedData,
+    changes: { changes, needsReview, conflicts }
+  }));
+}
+
+/**
+ * Read a case's recorded output ({ parsed, corrected, changes }, null for
+ * files not recorded yet)
+ */
+function readExpected(name) {
+  const expectedDir = path.join(CASES_DIR, name, 'expected');
+  return Object.fromEntries(EXPECTED_FILES.map(file => [file, readJson(expectedDir, `${file}.json`)]));
+}
+
+/**
+ * Run a case and write its output as the expected files
+ *
+ * Returns the names of the files whose content changed.
+ */
+async function recordCase(name) {
+  const actual = await runCase(name);
+  const expectedDir = path.join(CASES_DIR, name, 'expected');
+  fs.mkdirSync(expectedDir, { recursive: true });
+
+  return EXPECTED_FILES.filter(file => {
+    const filePath = path.join(expectedDir, `${file}.json`);
+    const content = `${JSON.stringify(actual[file], null, 2)}\n`;
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+      return false;
+    }
+    fs.writeFileSync(filePath, content);
+    return true;
+  }).map(file => `${file}.json`);
+}
+
+module.exports = {
+  EXPECTED_FILES,
+  listCases,
+  runCase,
+  readExpected,
+  recordCase
+};
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Re-record golden-file cases after an intentional parser or rule change
+ *
+ *   npm run test:golden:record [-- <case>...]
+ *
+ * Records every case under tests/golden/cases, or only the named ones,
+ * and lists the expected files whose content changed so the difference
+ * can be reviewed with git diff before it is committed.
+ */
+
+const goldenRunner = require('./goldenRunner');
+
+async function main(args) {
+  const cases = args.length > 0 ? args : goldenRunner.listCases();
+  const unknown = cases.filter(name => !goldenRunner.listCases().includes(name));
+  if (unknown.length > 0) {
+    process.stderr.write(`Unknown golden case${unknown.length !== 1 ? 's' : ''}: ${unknown.join(', ')}\n`);
+    return 2;
+  }
+
+  // The parser and rule engine log every entry and every totals mismatch
+  console.log = () => {};
+  console.warn = () => {};
+
+  let exitCode = 0;
+  for (const name of cases) {
+    try {
+      const changed = await goldenRunner.recordCase(name);
+      process.stdout.write(changed.length > 0
+        ? `${name}: updated ${changed.join(', ')}\n`
+        : `${name}: unchanged\n`);
+    } catch (error) {
+      process.stderr.write(`${name}: ${error.message}\n`);
+      exitCode = 1;
+    }
+  }
+
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
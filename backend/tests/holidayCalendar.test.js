@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+
+// Read the shipped calendar, never a locally edited one
+process.env.HOLIDAYS_PATH = path.join(os.tmpdir(), 'payroll-holidays-unused.json');
+const holidayCalendar = require('../services/holidayCalendar');
+
+describe('holiday calendar', () => {
+  test.each([
+    ['05/26/2025', 'memorial-day'],
+    ['05/31/2027', 'memorial-day'],
+    ['09/01/2025', 'labor-day'],
+    ['09/07/2026', 'labor-day'],
+    ['11/27/2025', 'thanksgiving'],
+    ['11/28/2025', 'day-after-thanksgiving'],
+    ['11/26/2026', 'thanksgiving']
+  ])('finds %s as %s', (date, id) => {
+    expect(holidayCalendar.findHoliday(date)).toMatchObject({ id, date, actualDate: date });
+  });
+
+  test.each(['05/19/2025', '09/08/2025', '11/20/2025', '11/29/2025'])('does not find %s', date => {
+    expect(holidayCalendar.findHoliday(date)).toBeNull();
+  });
+
+  test('resolves the last weekday of a month from the month end', () => {
+    const definition = { type: 'nthWeekday', month: 3, weekday: 1, week: -1 };
+
+    expect(holidayCalendar.resolveDate(definition, 2025).format('MM/DD/YYYY')).toBe('03/31/2025');
+    expect(holidayCalendar.resolveDate(definition, 2026).format('MM/DD/YYYY')).toBe('03/30/2026');
+  });
+
+  test('skips a fifth weekday the month does not have', () => {
+    const definition = { type: 'nthWeekday', month: 2, weekday: 1, week: 5 };
+
+    expect(holidayCalendar.resolveDate(definition, 2025)).toBeNull();
+  });
+
+  test('observes a Saturday holiday on the Friday before', () => {
+    expect(holidayCalendar.findHoliday('07/03/2026')).toMatchObject({
+      id: 'independence-day',
+      date: '07/03/2026',
+      actualDate: '07/04/2026'
+    });
+    expect(holidayCalendar.findHoliday('07/04/2026')).toBeNull();
+  });
+
+  test('observes a Sunday holiday on the Monday after', () => {
+    expect(holidayCalendar.findHoliday('12/26/2022')).toMatchObject({
+      id: 'christmas-day',
+      date: '12/26/2022',
+      actualDate: '12/25/2022'
+    });
+    expect(holidayCalendar.findHoliday('12/25/2022')).toBeNull();
+  });
+
+  test('finds New Year\'s Day observed in the year before', () => {
+    expect(holidayCalendar.findHoliday('12/31/2021')).toMatchObject({
+      id: 'new-years-day',
+      date: '12/31/2021',
+      actualDate: '01/01/2022'
+    });
+    expect(holidayCalendar.findHoliday('01/01/2022')).toBeNull();
+    expect(holidayCalendar.getHolidaysForYear(2021).map(holiday => holiday.date)).not.toContain('12/31/2021');
+  });
+});
+
+describe('holiday definitions', () => {
+  const fixed = (fields = {}) => ({ name: 'Founders Day', type: 'fixed', month: 6, day: 14, ...fields });
+
+  test('accepts a name with an apostrophe', () => {
+    expect(holidayCalendar.validateDefinition(fixed({ name: 'New Year\'s Eve' }))).toEqual([]);
+  });
+
+  test.each([undefined, '', '   ', 42, ['Founders Day'], { name: 'Founders Day' }])('rejects the name %p', name => {
+    expect(holidayCalendar.validateDefinition(fixed({ name }))).toEqual(['Holiday name is required and must be text']);
+  });
+});
+
+describe('fixed holiday days', () => {
+  const fixed = (month, day) => ({ name: 'Founders Day', type: 'fixed', month, day });
+
+  test.each([[1, 31], [2, 29], [4, 30], [12, 31]])('accepts month %i day %i', (month, day) => {
+    expect(holidayCalendar.validateDefinition(fixed(month, day))).toEqual([]);
+  });
+
+  test.each([[2, 30, 29], [4, 31, 30], [9, 31, 30], [1, 0, 31]])('rejects month %i day %i', (month, day, days) => {
+    expect(holidayCalendar.validateDefinition(fixed(month, day))).toEqual([`Day must be 1-${days} for month ${month}`]);
+  });
+
+  test('rejects a day without a valid month', () => {
+    expect(holidayCalendar.validateDefinition(fixed(13, 32))).toEqual(['Month must be 1-12', 'Day must be 1-31']);
+  });
+});
@@ -0,0 +1,62 @@
+const jobManager = require('../services/jobManager');
+
+// Resolve once the job reports one of the given statuses
+const waitFor = (job, statuses) => new Promise(resolve => {
+  const unsubscribe = jobManager.subscribe(job.id, event => {
+    if (event.type === 'status' && statuses.includes(event.status)) {
+      setImmediate(() => {
+        unsubscribe();
+        resolve(event);
+      });
+    }
+  });
+});
+
+describe('background jobs', () => {
+  test('reports progress and keeps the result', async () => {
+    const job = jobManager.createJob(async ({ onProgress }) => {
+      onProgress({ stage: 'extract', message: 'Read page 1 of 1', page: 1, pageCount: 1 });
+      return { success: true };
+    }, { label: 'report.pdf' });
+
+    await waitFor(job, ['completed']);
+
+    const events = [];
+    jobManager.subscribe(job.id, event => events.push([event.type, event.stage]))();
+    expect(events).toEqual([
+      ['status', 'start'],
+      ['progress', 'extract'],
+      ['status', 'done']
+    ]);
+    expect(jobManager.toJSON(job)).toMatchObject({ label: 'report.pdf', status: 'completed', result: { success: true } });
+  });
+
+  test('keeps the status and title of a failed task', async () => {
+    const job = jobManager.createJob(async () => {
+      throw Object.assign(new Error('No entries found'), { status: 422, error: 'Failed to parse payroll data' });
+    });
+
+    await waitFor(job, ['failed']);
+
+    expect(job.error).toEqual({ status: 422, error: 'Failed to parse payroll data', details: 'No entries found' });
+  });
+
+  test('cancels a running task once', async () => {
+    let aborted = false;
+    const job = jobManager.createJob(({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('Processing was cancelled'));
+      });
+    }));
+    await waitFor(job, ['running']);
+
+    expect(jobManager.cancelJob(job.id)).toBe(true);
+    expect(jobManager.cancelJob(job.id)).toBe(false);
+    await new Promise(setImmediate);
+
+    expect(aborted).toBe(true);
+    expect(job.status).toBe('cancelled');
+    expect(job.error).toBeNull();
+  });
+});
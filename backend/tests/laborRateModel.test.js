@@ -0,0 +1,99 @@
+const LaborRateModel = require('../services/laborRateModel');
+const { rateModel } = require('../config/rules.json');
+
+const model = new LaborRateModel(rateModel);
+
+describe('labor rate model', () => {
+  test.each([
+    ['Tech', 'MAIN', 'Tech', null],
+    ['TechOT', 'MAIN', 'Tech', 'OT'],
+    ['TechNB', 'MAIN', 'Tech', 'NB'],
+    ['PMTECH', 'MAIN', 'PMTech', null],
+    ['PM TECH LABOR', 'MAIN', 'PMTech', null],
+    ['HELPER', 'MAIN', 'Helper', null],
+    ['HELPOT', 'MAIN', 'Helper', 'OT'],
+    ['SHOP', 'MAIN', 'Shop', null],
+    ['PREM', 'MAIN', null, 'PREM'],
+    ['MNTech', 'MN', 'Tech', null],
+    ['MN TECH', 'MN', 'Tech', null],
+    ['MNTECHOT', 'MN', 'Tech', 'OT'],
+    ['MN PMTECH', 'MN', 'PMTech', null],
+    ['SCH_TECH', 'SCH', 'Tech', null],
+    ['SCH TECH', 'SCH', 'Tech', null],
+    ['SCHTECHNB', 'SCH', 'Tech', 'NB'],
+    ['SCH_SHOP', 'SCH', 'Shop', null],
+    ['SCH PREM', 'SCH', null, 'PREM'],
+    ['SCH_MNTECH', 'SCH_MN', 'Tech', null],
+    ['Sch MN PM Tech', 'SCH_MN', 'PMTech', null],
+    ['WN TECHNB', 'WN', 'Tech', 'NB'],
+    ['WN PM TECH', 'WN', 'PMTech', null],
+    ['WN HELPEROT', 'WN', 'Helper', 'OT'],
+    ['WN MN TECHOT', 'WN_MN', 'Tech', 'OT'],
+    ['WN MNTECHOT', 'WN_MN', 'Tech', 'OT']
+  ])('decomposes %s', (laborRate, branch, trade, modifier) => {
+    expect(model.decompose(laborRate)).toEqual({ branch, trade, modifier });
+  });
+
+  test.each(['XYZ', 'WN', 'NB TECH', '', null])('does not decompose unknown rate %p', laborRate => {
+    expect(model.decompose(laborRate)).toBeNull();
+  });
+
+  test.each([
+    ['MAIN', ['Tech', 'TechOT', 'TechNB', 'PREM']],
+    ['MN', ['MN TECH', 'MN TECHOT', 'MNTechNB', 'MN PREM']],
+    ['SCH', ['SCH_TECH', 'SCH_TECHOT', 'SCHTECHNB', 'SCH PREM']],
+    ['SCH_MN', ['SCH_MNTECH', 'SCH_MNTECHOT', 'SCH_MNTECHNB', 'SCH PREM']],
+    ['WN', ['WN TECH', 'WN TECHOT', 'WN TECHNB', 'WN PREM']],
+    ['WN_MN', ['WN MN TECH', 'WN MN TECHOT', 'WN MN TECHNB', 'WN PREM']]
+  ])('composes the Tech rates of branch %s', (branch, rates) => {
+    expect([
+      model.compose({ branch, trade: 'Tech', modifier: null }),
+      model.compose({ branch, trade: 'Tech', modifier: 'OT' }),
+      model.compose({ branch, trade: 'Tech', modifier: 'NB' }),
+      model.compose({ branch, trade: null, modifier: 'PREM' })
+    ]).toEqual(rates);
+  });
+
+  test.each([
+    ['MAIN', 'PMTECH', 'PMTECHNB'],
+    ['MN', 'MN PMTECH', 'MN PMTECHNB'],
+    ['SCH', 'SCH_PMTECH', 'SCH_PMTECHNB'],
+    ['SCH_MN', 'SCH_MN PMTECH', 'SCH_MN PMTECHNB'],
+    ['WN', 'WN PM TECH', 'WN PM TECHNB'],
+    ['WN_MN', 'WN MN PM TECH', 'WN MN PM TECHNB']
+  ])('composes the PM rates of branch %s', (branch, base, noBill) => {
+    expect(model.compose({ branch, trade: 'PMTech', modifier: null })).toBe(base);
+    expect(model.compose({ branch, trade: 'PMTech', modifier: 'NB' })).toBe(noBill);
+    expect(model.compose({ branch, trade: 'PMTech', modifier: 'OT' })).toBeNull();
+  });
+
+  test('composes helper and shop rates only with the modifiers they allow', () => {
+    expect(model.compose({ branch: 'WN', trade: 'Helper', modifier: 'OT' })).toBe('WN HELPEROT');
+    expect(model.compose({ branch: 'SCH', trade: 'Helper', modifier: 'OT' })).toBe('SCH_HELPEROT');
+    expect(model.compose({ branch: 'MN', trade: 'Helper', modifier: null })).toBe('MN HELPER');
+    expect(model.compose({ branch: 'MAIN', trade: 'Helper', modifier: 'NB' })).toBeNull();
+    expect(model.compose({ branch: 'WN', trade: 'Shop', modifier: null })).toBe('WN SHOP');
+    expect(model.compose({ branch: 'MAIN', trade: 'Shop', modifier: 'OT' })).toBeNull();
+  });
+
+  test('does not compose unknown branches, trades or modifiers', () => {
+    expect(model.compose({ branch: 'NORTH', trade: 'Tech', modifier: null })).toBeNull();
+    expect(model.compose({ branch: 'MAIN', trade: 'Pipefitter', modifier: null })).toBeNull();
+    expect(model.compose({ branch: 'MAIN', trade: 'Tech', modifier: 'XX' })).toBeNull();
+  });
+
+  test('keeps the branch when changing the modifier', () => {
+    expect(model.applyModifier('MNTech', 'NB')).toEqual({ value: 'MNTechNB' });
+    expect(model.applyModifier('SCH_TECH', 'NB')).toEqual({ value: 'SCHTECHNB' });
+    expect(model.applyModifier('WN MN TECH', 'OT')).toEqual({ value: 'WN MN TECHOT' });
+    expect(model.applyModifier('TechNB', 'OT')).toEqual({ value: 'TechOT' });
+    expect(model.applyModifier('SCH_MNTECH', 'PREM')).toEqual({ value: 'SCH PREM' });
+  });
+
+  test('reports rates it cannot convert', () => {
+    expect(model.applyModifier('XYZ', 'NB')).toEqual({ reason: 'Unknown labor rate "XYZ" - cannot determine branch and trade' });
+    expect(model.applyModifier('', 'NB')).toEqual({ reason: 'Labor rate is missing' });
+    expect(model.applyModifier('TechOT', 'NB')).toEqual({ reason: 'Labor rate "TechOT" already carries the OT modifier' });
+    expect(model.applyModifier('SHOP', 'OT')).toEqual({ reason: 'No OT labor rate defined for Shop "SHOP" in branch MAIN' });
+  });
+});
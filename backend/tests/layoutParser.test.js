@@ -0,0 +1,72 @@
+const pdfParser = require('../services/pdfParser');
+const layoutParser = require('../services/layoutParser');
+const { buildReport } = require('./fixtures/syntheticReport');
+const corpus = require('./fixtures/reportCorpus');
+
+const ENTRY_FIELDS = [
+  'jobCode', 'jobDescription', 'date', 'hours', 'payType',
+  'laborRate', 'costCode', 'costCategory', 'description'
+];
+const DEFAULTS = { costCode: 'SERVICE', costCategory: 'DirLab' };
+
+const pick = entry => Object.fromEntries(ENTRY_FIELDS.map(field => [field, entry[field]]));
+
+describe('layout extraction', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(corpus.map(testCase => [testCase.name, testCase]))('%s', async (name, { report, inferred = {} }) => {
+    const result = await pdfParser.parsePdf(buildReport(report), { extractionMode: 'layout' });
+
+    const expected = report.employees.flatMap(employee => employee.entries.map(entry => ({
+      ...entry,
+      ...Object.fromEntries(Object.entries(DEFAULTS).filter(([field]) => !entry[field]))
+    })));
+
+    expect(result.extraction).toEqual({ requestedMode: 'layout', mode: 'layout', fallbackReason: null });
+    expect(result.entries.map(pick)).toEqual(expected.map(pick));
+    expect(result.reconciliation.status).toBe('matched');
+
+    result.entries.forEach((entry, index) => {
+      expect(entry.inferredFields).toEqual(inferred[index] || []);
+    });
+    expect(result.diagnostics.filter(diagnostic => diagnostic.type === 'skipped')).toEqual([]);
+  });
+
+  test('assigns entries after a page break to the same employee', async () => {
+    const { report } = corpus.find(testCase => testCase.name === 'page break in the middle of an employee');
+    const pdfBuffer = buildReport(report);
+    const [first] = report.employees;
+
+    // The first employee's entry rows really do span pages
+    const { rows } = await layoutParser.extractTable(pdfBuffer);
+    const jobCodes = first.entries.map(entry => `(${entry.jobCode})`);
+    const pages = new Set(rows
+      .filter(row => row.cells && jobCodes.some(jobCode => (row.cells.job || '').startsWith(jobCode)))
+      .map(row => row.page));
+    expect(pages.size).toBeGreaterThan(1);
+
+    const result = await pdfParser.parsePdf(pdfBuffer, { extractionMode: 'layout' });
+    expect(result.entries.filter(entry => entry.employeeId === first.id)).toHaveLength(first.entries.length);
+    expect(result.reconciliation.employees.every(employee => employee.matched)).toBe(true);
+  });
+
+  test('falls back to the line parser without a column header', async () => {
+    const [{ report }] = corpus;
+    const result = await pdfParser.parsePdf(buildReport({ ...report, columnHeader: false }), { extractionMode: 'layout' });
+
+    expect(result.extraction.mode).toBe('text');
+    expect(result.extraction.fallbackReason).toMatch(/No table header/);
+  });
+
+  test('rejects an unknown extraction mode', async () => {
+    await expect(pdfParser.parsePdf(Buffer.from(''), { extractionMode: 'ocr' }))
+      .rejects.toThrow('Unknown extraction mode: ocr');
+  });
+});
@@ -0,0 +1,81 @@
+const pdfParser = require('../services/pdfParser');
+const historyStore = require('../services/historyStore');
+const payrollPipeline = require('../services/payrollPipeline');
+
+const { entry } = require('./fixtures/timeEntry');
+
+const reconciliation = {
+  status: 'matched',
+  mismatchCount: 0,
+  employees: [],
+  report: { printedTotal: 0, matched: true, differences: [] }
+};
+
+// A parsed report per file name; the upload buffer holds the name
+const reports = {
+  'main.pdf': [entry(), entry({ jobCode: 'J101', description: 'No Bill' })],
+  'wn.pdf': [entry({ employeeId: '102', employeeName: 'Doe, Jane', description: 'No Bill' })]
+};
+
+const upload = originalname => ({ originalname, buffer: Buffer.from(originalname) });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(historyStore, 'recordRun').mockReturnValue(7);
+  jest.spyOn(pdfParser, 'parsePdf').mockImplementation(async buffer => {
+    const entries = reports[buffer.toString()];
+    if (!entries) {
+      throw new Error('No payroll entries found');
+    }
+    return {
+      entries,
+      reconciliation,
+      diagnostics: [],
+      extraction: { requestedMode: 'text', mode: 'text', fallbackReason: null }
+    };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('batch processing', () => {
+  test('runs the merged files through the rules as one run', async () => {
+    const progress = [];
+    const result = await payrollPipeline.processBatch(
+      [upload('main.pdf'), upload('wn.pdf')],
+      { explain: true },
+      { onProgress: ({ message }) => progress.push(message) }
+    );
+
+    expect(result.originalCount).toBe(3);
+    expect(result.data.changes.map(({ entryIndex, sourceFile }) => [entryIndex, sourceFile])).toEqual([
+      [1, 'main.pdf'],
+      [2, 'wn.pdf']
+    ]);
+    expect(result.data.trace).toBeDefined();
+    expect(result.metadata).toMatchObject({
+      filename: 'main.pdf, wn.pdf',
+      runId: 7,
+      batch: {
+        files: [
+          { filename: 'main.pdf', entryCount: 2 },
+          { filename: 'wn.pdf', entryCount: 1 }
+        ]
+      }
+    });
+    expect(historyStore.recordRun).toHaveBeenCalledTimes(1);
+    expect(progress).toContain('main.pdf: Reading the PDF');
+    expect(progress).toContain('Parsed 3 entries for 2 employees');
+  });
+
+  test('names the file that could not be parsed', async () => {
+    await expect(payrollPipeline.processBatch([upload('main.pdf'), upload('blank.pdf')])).rejects.toMatchObject({
+      status: 422,
+      error: 'Failed to parse payroll data',
+      message: 'blank.pdf: No payroll entries found'
+    });
+    expect(historyStore.recordRun).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+const pdfParser = require('../services/pdfParser');
+
+const { entry } = require('./fixtures/timeEntry');
+
+const employeeTotals = (fields = {}) => ({
+  employeeName: 'Smith, John',
+  employeeId: '101',
+  total: null,
+  byPayType: {},
+  ...fields
+});
+
+describe('totals reconciliation', () => {
+  const entries = [entry(), entry({ date: '03/04/2025', hours: 2, payType: 'Overtime' })];
+
+  test('matches printed totals with the parsed hours', () => {
+    const reconciliation = pdfParser.reconcileTotals(entries, {
+      employees: [employeeTotals({ total: 10, byPayType: { regular: 8, overtime: 2 } })],
+      report: { total: 10, byPayType: {} }
+    });
+
+    expect(reconciliation).toMatchObject({ status: 'matched', mismatchCount: 0 });
+    expect(reconciliation.employees[0]).toMatchObject({ status: 'matched', matched: true, comparedCount: 3 });
+    expect(reconciliation.report).toMatchObject({ status: 'matched', matched: true, comparedCount: 1 });
+  });
+
+  test('reports a totals line without hours as unavailable', () => {
+    const reconciliation = pdfParser.reconcileTotals(entries, { employees: [employeeTotals()], report: null });
+
+    expect(reconciliation.status).toBe('unavailable');
+    expect(reconciliation.employees[0]).toMatchObject({ status: 'unavailable', matched: false, comparedCount: 0, differences: [] });
+  });
+
+  test('rolls up only the totals that were compared', () => {
+    const reconciliation = pdfParser.reconcileTotals([...entries, entry({ employeeId: '102', employeeName: 'Doe, Jane' })], {
+      employees: [
+        employeeTotals(),
+        employeeTotals({ employeeId: '102', employeeName: 'Doe, Jane', byPayType: { regular: 6 } })
+      ],
+      report: { total: null, byPayType: {} }
+    });
+
+    expect(reconciliation).toMatchObject({ status: 'mismatch', mismatchCount: 1 });
+    expect(reconciliation.employees.map(employee => employee.status)).toEqual(['unavailable', 'mismatch']);
+    expect(reconciliation.employees[1].differences).toEqual([{ payType: 'regular', printed: 6, parsed: 8, difference: -2 }]);
+    expect(reconciliation.report.status).toBe('unavailable');
+  });
+});
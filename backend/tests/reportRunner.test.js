@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const reportRunner = require('../services/reportRunner');
+const { buildReport } = require('./fixtures/syntheticReport');
+const corpus = require('./fixtures/reportCorpus');
+
+describe('headless report processing', () => {
+  let workDir;
+  let reportPath;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-cli-'));
+    reportPath = path.join(workDir, 'report.pdf');
+    fs.writeFileSync(reportPath, Buffer.from(buildReport(corpus[0].report)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('writes the corrected PDF, changes and reconciliation summary', async () => {
+    const outDir = path.join(workDir, 'out');
+    const summary = await reportRunner.processFile(reportPath, { outDir, extractionMode: 'layout' });
+
+    expect(summary.changes.length).toBeGreaterThan(0);
+    expect(fs.readdirSync(outDir).sort()).toEqual([
+      'report_changes.csv',
+      'report_changes.json',
+      'report_corrected.pdf',
+      'report_reconciliation.txt'
+    ]);
+
+    const csvLines = fs.readFileSync(path.join(outDir, 'report_changes.csv'), 'utf8').trim().split('\n');
+    expect(csvLines).toHaveLength(summary.changes.length + 1);
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'report_changes.json'), 'utf8')).changes).toHaveLength(summary.changes.length);
+    expect(fs.readFileSync(path.join(outDir, 'report_reconciliation.txt'), 'utf8')).toMatch('Totals check: matched');
+  });
+
+  test('skips disabled rules', async () => {
+    const outDir = path.join(workDir, 'without-rule4');
+    const summary = await reportRunner.processFile(reportPath, { outDir, extractionMode: 'layout', disabledRules: ['rule4'] });
+
+    expect(summary.changes.some(change => change.rule.startsWith('Rule 4'))).toBe(false);
+    expect(summary.violations.some(violation => violation.issue.startsWith('Sunday'))).toBe(false);
+  });
+
+  test('only reports violations in a dry run', async () => {
+    const outDir = path.join(workDir, 'dry-run');
+    const summary = await reportRunner.processFile(reportPath, { outDir, extractionMode: 'layout', dryRun: true });
+
+    expect(summary.changes).toEqual([]);
+    expect(summary.violations.length).toBeGreaterThan(0);
+    expect(fs.existsSync(outDir)).toBe(false);
+  });
+
+  test('quotes CSV values with commas and quotes', () => {
+    const csv = reportRunner.formatChangesCsv([{
+      employeeName: 'Smith, John',
+      employeeId: '101',
+      date: '03/09/2025',
+      field: 'laborRate',
+      originalValue: 'TechOT',
+      correctedValue: 'PREM',
+      rule: 'Rule 4',
+      description: 'Says "Sunday"'
+    }]);
+
+    expect(csv.split('\n')[1]).toBe('"Smith, John",101,03/09/2025,laborRate,TechOT,PREM,Rule 4,"Says ""Sunday"""');
+  });
+});
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ruleEngine = require('../services/ruleEngine');
+const timeEntry = require('./fixtures/timeEntry');
+
+// Sunday PM work: most rules have something to say about it
+const entry = (fields = {}) => timeEntry.entry({ date: '03/09/2025', laborRate: 'TECH', costCode: 'PM', ...fields });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rule explain mode', () => {
+  test('only returns a trace when asked', async () => {
+    const result = await ruleEngine.applyRules([entry()]);
+
+    expect(result.trace).toBeUndefined();
+  });
+
+  test('lists every rule for each entry with its condition and field values', async () => {
+    const { trace } = await ruleEngine.applyRules([entry()], { explain: true });
+    const [entryTrace] = trace;
+
+    expect(entryTrace).toMatchObject({ entryIndex: 0, employeeId: '101', date: '03/09/2025' });
+    expect(entryTrace.rules.map(step => step.ruleId)).toEqual(ruleEngine.listRules().map(rule => rule.id));
+
+    const preventiveMaintenance = entryTrace.rules.find(step => step.ruleId === 'rule3');
+    expect(preventiveMaintenance.matched).toBe(true);
+    expect(preventiveMaintenance.condition.result).toBe(true);
+    expect(preventiveMaintenance.fields).toContainEqual({ field: 'laborRate', before: 'TECH', after: 'PMTECH' });
+
+    const techUnapplied = entryTrace.rules.find(step => step.ruleId === 'rule1');
+    expect(techUnapplied.matched).toBe(false);
+    expect(techUnapplied.condition.result).toBe(false);
+    expect(techUnapplied.fields.every(value => value.before === value.after)).toBe(true);
+  });
+
+  test('marks disabled rules in the trace', async () => {
+    const { trace } = await ruleEngine.applyRules([entry()], { explain: true, disabledRules: ['rule3'] });
+    const step = trace[0].rules.find(value => value.ruleId === 'rule3');
+
+    expect(step).toMatchObject({ disabled: true, matched: false, corrections: [] });
+  });
+});
+
+describe('rule conflicts', () => {
+  test('reports two rules changing the same field with both proposals', async () => {
+    const { correctedData, conflicts } = await ruleEngine.applyRules([
+      entry({ date: '03/10/2025', costCode: 'SERVICE', laborRate: 'XYZ', description: 'No Bill' })
+    ]);
+
+    expect(correctedData[0].laborRate).toBe('TechNB');
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      entryIndex: 0,
+      type: 'overwrite',
+      field: 'laborRate',
+      winner: 'rule6',
+      resolvedBy: 'priority'
+    });
+    expect(conflicts[0].proposals.map(proposal => [proposal.ruleId, proposal.changes[0].value])).toEqual([
+      ['rule2', 'Tech'],
+      ['rule6', 'TechNB']
+    ]);
+  });
+
+  test('reports a rule whose condition an earlier rule changed', async () => {
+    const { correctedData, conflicts } = await ruleEngine.applyRules([
+      entry({ costCode: 'SERVICE', payType: 'Call', laborRate: 'Tech' })
+    ]);
+
+    expect(correctedData[0]).toMatchObject({ payType: 'Double Time', laborRate: 'PREM' });
+    const preempted = conflicts.find(conflict => conflict.type === 'condition');
+    expect(preempted).toMatchObject({ field: 'payType', winner: 'rule4', resolvedBy: 'priority' });
+    expect(preempted.proposals[1]).toMatchObject({ ruleId: 'rule5', changes: [{ field: 'laborRate', value: 'TechOT' }] });
+  });
+
+  test.each([
+    ['Sunday office work', { costCode: '1COAD', laborRate: 'Tech' }],
+    ['Sunday call work', { costCode: 'SERVICE', payType: 'Call', laborRate: 'Tech' }],
+    ['No Bill service work', { date: '03/10/2025', costCode: 'SERVICE', laborRate: 'XYZ', description: 'No Bill' }]
+  ])('finds no issues in the corrected %s', async (label, fields) => {
+    const { correctedData, conflicts } = await ruleEngine.applyRules([entry(fields)]);
+
+    expect(conflicts.length).toBeGreaterThan(0);
+    expect(ruleEngine.validateEntry(correctedData[0])).toEqual([]);
+  });
+
+  test('still reports the fields a rule sets without a conflict', () => {
+    expect(ruleEngine.validateEntry(entry({ costCode: '1COAD', payType: 'Regular', laborRate: 'Tech' }))).toEqual([
+      'Sunday work requires PREM labor rate'
+    ]);
+  });
+
+  describe('with other priorities', () => {
+    let rules;
+
+    beforeEach(() => {
+      rules = ruleEngine.rules;
+    });
+
+    afterEach(() => {
+      ruleEngine.rules = rules;
+    });
+
+    const withPriority = (ruleId, priority) => {
+      ruleEngine.rules = rules.map(rule => (rule.id === ruleId ? { ...rule, priority } : rule));
+    };
+
+    test('keeps an earlier change of higher priority', async () => {
+      withPriority('rule7', 0);
+      const { correctedData, changes, conflicts } = await ruleEngine.applyRules([entry({ costCode: '1COAD' })]);
+
+      expect(correctedData[0].payType).toBe('Double Time');
+      expect(changes.some(change => change.rule.startsWith('Rule 7'))).toBe(false);
+      expect(conflicts[0]).toMatchObject({ field: 'payType', winner: 'rule4', resolvedBy: 'priority' });
+    });
+
+    test('runs a pre-empted rule that outranks the earlier one', async () => {
+      withPriority('rule5', 100);
+      const { correctedData, conflicts } = await ruleEngine.applyRules([
+        entry({ costCode: 'INSTALL', payType: 'Call', laborRate: 'Tech' })
+      ]);
+
+      expect(correctedData[0].laborRate).toBe('TechOT');
+      expect(conflicts.map(conflict => [conflict.type, conflict.winner])).toEqual([
+        ['condition', 'rule5'],
+        ['overwrite', 'rule5']
+      ]);
+    });
+
+    test('falls back to rule order on equal priorities', async () => {
+      withPriority('rule7', 30);
+      const { correctedData, conflicts } = await ruleEngine.applyRules([entry({ costCode: '1COAD' })]);
+
+      expect(correctedData[0].payType).toBe('Regular');
+      expect(conflicts[0]).toMatchObject({ winner: 'rule7', resolvedBy: 'order' });
+    });
+  });
+});
+
+describe('effective-dated rule sets', () => {
+  const defaultConfigPath = ruleEngine.configPath;
+  let workDir;
+
+  beforeAll(() => {
+    // PM rates and the office override changed on 07/01/2025
+    const config = JSON.parse(fs.readFileSync(defaultConfigPath, 'utf8'));
+    config.versionHistory = [{ version: '1.0.0', effectiveTo: '2025-06-30' }];
+    config.tables.PM_LABOR_RATES = [
+      { effectiveTo: '2025-06-30', values: ['OLD PM RATE'] },
+      { effectiveFrom: '2025-07-01', values: config.tables.PM_LABOR_RATES }
+    ];
+    config.rules.find(rule => rule.id === 'rule7').effectiveFrom = '2025-07-01';
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-rules-'));
+    const configPath = path.join(workDir, 'rules.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    ruleEngine.loadRules(configPath);
+  });
+
+  afterAll(() => {
+    ruleEngine.loadRules(defaultConfigPath);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    ruleEngine.effectiveDateBasis = 'workDate';
+  });
+
+  test('corrects each entry with the tables and rules in effect on its date', async () => {
+    const { correctedData, changes, ruleSetVersions } = await ruleEngine.applyRules([
+      entry({ date: '06/03/2025', laborRate: 'OLD PM RATE' }),
+      entry({ date: '07/08/2025', laborRate: 'OLD PM RATE' }),
+      entry({ date: '06/03/2025', costCode: '1COAD', payType: 'Overtime' }),
+      entry({ date: '07/08/2025', costCode: '1COAD', payType: 'Overtime' })
+    ]);
+
+    expect(correctedData.map(value => [value.laborRate, value.payType])).toEqual([
+      ['OLD PM RATE', 'Regular'],
+      ['PMTECH', 'Regular'],
+      ['TECH', 'Overtime'],
+      ['TECH', 'Regular']
+    ]);
+    expect(changes.map(change => [change.entryIndex, change.field, change.rulesVersion])).toEqual([
+      [1, 'laborRate', ruleEngine.version],
+      [3, 'payType', ruleEngine.version]
+    ]);
+    expect(ruleSetVersions).toEqual(['1.0.0', ruleEngine.version]);
+  });
+
+  test('can pick the rule set by pay period', async () => {
+    ruleEngine.effectiveDateBasis = 'payPeriod';
+    const { changes, ruleSetVersions } = await ruleEngine.applyRules([
+      entry({ date: '06/30/2025', laborRate: 'OLD PM RATE', payPeriodId: 'PP2025-13' }),
+      entry({ date: '07/01/2025', laborRate: 'PMTECH', payPeriodId: 'PP2025-13' })
+    ]);
+
+    expect(changes.map(change => [change.entryIndex, change.correctedValue])).toEqual([[0, 'PMTECH']]);
+    expect(ruleSetVersions).toEqual([ruleEngine.version]);
+  });
+
+  test('validates an entry against the rules of its date', () => {
+    expect(ruleEngine.validateEntry(entry({ date: '06/03/2025', laborRate: 'OLD PM RATE' }))).toEqual([]);
+    expect(ruleEngine.validateEntry(entry({ date: '07/08/2025', laborRate: 'OLD PM RATE' }))).toEqual([
+      'PM work requires approved labor rate, got: OLD PM RATE'
+    ]);
+  });
+});
+
+describe('proposed rate tables', () => {
+  test('applies proposed table values to one run only', async () => {
+    const tables = { PM_LABOR_RATES: [...ruleEngine.tables.PM_LABOR_RATES, 'PM SENIOR'] };
+    const proposed = await ruleEngine.applyRules([entry({ date: '03/10/2025', laborRate: 'PM SENIOR' })], { tables });
+    const current = await ruleEngine.applyRules([entry({ date: '03/10/2025', laborRate: 'PM SENIOR' })]);
+
+    expect(proposed.changes).toEqual([]);
+    expect(current.changes.map(change => change.correctedValue)).toEqual(['PMTECH']);
+    expect(ruleEngine.tables.PM_LABOR_RATES).not.toContain('PM SENIOR');
+  });
+
+  test('validates an entry against proposed table values', () => {
+    const tables = { OFFICE_COST_CODES: ['1COAD', 'PM'] };
+
+    const issue = 'Office cost code PM requires Regular pay type';
+
+    expect(ruleEngine.validateEntry(entry({ payType: 'Overtime' }), { tables })).toContain(issue);
+    expect(ruleEngine.validateEntry(entry({ payType: 'Overtime' }))).not.toContain(issue);
+  });
+
+  test('leaves the live tables alone while proposed values are in use', () => {
+    const liveTables = ruleEngine.tables;
+    const liveOfficeCodes = [...liveTables.OFFICE_COST_CODES];
+    let tablesDuringCheck;
+    jest.spyOn(ruleEngine, 'checkEntry').mockImplementationOnce(() => {
+      tablesDuringCheck = ruleEngine.tables;
+      return [];
+    });
+
+    ruleEngine.validateEntry(entry(), { tables: { OFFICE_COST_CODES: ['PM'] } });
+
+    expect(tablesDuringCheck).toBe(liveTables);
+    expect(liveTables.OFFICE_COST_CODES).toEqual(liveOfficeCodes);
+    expect(ruleEngine.getTablesFor('2025-03-10', { OFFICE_COST_CODES: ['PM'] }).OFFICE_COST_CODES).toEqual(['PM']);
+  });
+
+  test('maps each corrected entry to its input entry', async () => {
+    const week = ['03/03/2025', '03/04/2025', '03/05/2025', '03/06/2025', '03/07/2025']
+      .map(date => entry({ date, hours: 9, laborRate: 'PMTECH' }));
+    const { correctedData, sourceIndexes } = await ruleEngine.applyRules(week);
+
+    expect(correctedData).toHaveLength(6);
+    expect(sourceIndexes).toEqual([0, 1, 2, 3, 4, 4]);
+  });
+});
+
+describe('weekly overtime', () => {
+  const weeklyOvertime = ruleEngine.rules.find(rule => rule.id === 'rule8');
+
+  // Mon 03/03/2025 - Sat 03/08/2025, one entry a day
+  const week = (...days) => days.map(([hours, fields = {}], index) => timeEntry.entry({
+    date: `03/0${index + 3}/2025`,
+    hours,
+    ...fields
+  }));
+
+  const applyWeeklyOvertime = (entries, rule = weeklyOvertime) => {
+    const changes = [];
+    const needsReview = [];
+    const result = ruleEngine.applyWeeklyOvertime(rule, entries, changes, needsReview);
+    return { ...result, changes, needsReview };
+  };
+
+  test('leaves a week of exactly 40 hours alone', () => {
+    const { entries, changes } = applyWeeklyOvertime(week([8], [8], [8], [8], [8]));
+
+    expect(entries.map(value => value.payType)).toEqual(Array(5).fill('Regular'));
+    expect(changes).toEqual([]);
+  });
+
+  test('splits the entry that crosses 40 hours and converts the ones after it', () => {
+    const { entries, sourceIndexes, changes } = applyWeeklyOvertime(week([9], [9], [9], [9], [8], [4]));
+
+    expect(entries.slice(4).map(value => [value.hours, value.payType])).toEqual([
+      [4, 'Regular'],
+      [4, 'Overtime'],
+      [4, 'Overtime']
+    ]);
+    expect(sourceIndexes).toEqual([0, 1, 2, 3, 4, 4, 5]);
+    expect(changes).toHaveLength(2);
+    expect(changes[0]).toMatchObject({
+      entryIndex: 4,
+      field: 'hours',
+      originalValue: '8.00 Regular',
+      correctedValue: '4.00 Regular + 4.00 Overtime'
+    });
+    expect(changes[1]).toMatchObject({ entryIndex: 5, field: 'payType', originalValue: 'Regular', correctedValue: 'Overtime' });
+  });
+
+  test('starts a new week on weekStartsOn', () => {
+    const entries = [...week([8], [8], [8], [8], [8]), timeEntry.entry({ date: '03/09/2025', hours: 4 })];
+
+    // Sunday 03/09 starts the next week by default...
+    expect(applyWeeklyOvertime(entries.map(value => ({ ...value }))).changes).toEqual([]);
+
+    // ...and closes the week of Monday 03/03 when weeks start on Monday
+    const { changes } = applyWeeklyOvertime(entries, { ...weeklyOvertime, weekStartsOn: 1 });
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ entryIndex: 5, date: '03/09/2025', correctedValue: 'Overtime' });
+  });
+
+  test('does not count Sunday Double Time hours', () => {
+    const entries = [
+      timeEntry.entry({ date: '03/02/2025', hours: 10, payType: 'Double Time' }),
+      ...week([8], [8], [8], [8], [8])
+    ];
+    const { changes } = applyWeeklyOvertime(entries);
+
+    expect(changes).toEqual([]);
+  });
+
+  test('counts Unapplied hours without converting them', () => {
+    const { entries, changes } = applyWeeklyOvertime(week([9], [9], [9], [9], [8, { payType: 'Unapplied' }], [4]));
+
+    expect(entries[4]).toMatchObject({ hours: 8, payType: 'Unapplied' });
+    expect(entries[5]).toMatchObject({ hours: 4, payType: 'Overtime' });
+    expect(changes.map(change => change.entryIndex)).toEqual([5]);
+    expect(changes[0].description).toBe('Week of 03/02/2025: 48.00 counted hours exceed the 40-hour threshold');
+  });
+});
+
+describe('fields the parser inferred', () => {
+  test('does not apply Rule 2 on a defaulted cost code', async () => {
+    const { correctedData, changes, needsReview } = await ruleEngine.applyRules([
+      timeEntry.entry({ laborRate: 'XYZ', inferredFields: ['costCode'] })
+    ]);
+
+    expect(correctedData[0].laborRate).toBe('XYZ');
+    expect(changes).toEqual([]);
+    expect(needsReview).toHaveLength(1);
+    expect(needsReview[0]).toMatchObject({
+      entryIndex: 0,
+      field: 'laborRate',
+      rule: 'Rule 2: Service/Install Labor Rate Validation',
+      reason: 'Not on the report: cost code (parser default used) - rule not applied'
+    });
+  });
+
+  test('applies Rule 2 when the cost code was on the report', async () => {
+    const { correctedData } = await ruleEngine.applyRules([
+      timeEntry.entry({ laborRate: 'XYZ', inferredFields: ['costCategory'] })
+    ]);
+
+    expect(correctedData[0].laborRate).toBe('Tech');
+  });
+
+  test('leaves a defaulted pay type out of weekly overtime', async () => {
+    const entries = ['03/03/2025', '03/04/2025', '03/05/2025', '03/06/2025', '03/07/2025'].map(date => timeEntry.entry({ date, hours: 9 }));
+    entries[2].inferredFields = ['payType'];
+
+    const { correctedData, changes, needsReview } = await ruleEngine.applyRules(entries);
+
+    // 36 counted hours without the defaulted entry
+    expect(correctedData.map(value => value.payType)).toEqual(Array(5).fill('Regular'));
+    expect(changes).toEqual([]);
+    expect(needsReview).toHaveLength(1);
+    expect(needsReview[0]).toMatchObject({
+      entryIndex: 2,
+      field: 'payType',
+      rule: 'Rule 8: Weekly Overtime',
+      reason: 'Not on the report: pay type (parser default used) - entry was excluded from the weekly overtime calculation'
+    });
+  });
+});
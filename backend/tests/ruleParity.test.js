@@ -0,0 +1,39 @@
+const ruleEngine = require('../services/ruleEngine');
+const { cases } = require('./fixtures/baselineRuleChanges.json');
+
+// baselineRuleChanges.json holds the changes the hard-coded rules made for
+// each entry, one rule at a time; laterChange marks the cases a later rule
+// change was meant to alter
+const BASELINE_FIELDS = ['employeeName', 'employeeId', 'date', 'field', 'originalValue', 'correctedValue', 'rule', 'description'];
+
+const baselineShape = change => Object.fromEntries(BASELINE_FIELDS.map(field => [field, change[field]]));
+
+describe('rule file parity with the hard-coded rules', () => {
+  let changesByEntry;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { changes } = await ruleEngine.applyRules(cases.map(testCase => testCase.entry));
+    changesByEntry = cases.map((testCase, entryIndex) => changes
+      .filter(change => change.entryIndex === entryIndex)
+      .map(baselineShape));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(cases.map((testCase, index) => [index, testCase]).filter(([, testCase]) => !testCase.laterChange))(
+    'case %i makes the same changes',
+    (index, { changes }) => {
+      expect(JSON.stringify(changesByEntry[index])).toBe(JSON.stringify(changes));
+    }
+  );
+
+  test.each(cases.map((testCase, index) => [index, testCase]).filter(([, testCase]) => testCase.laterChange))(
+    'case %i differs as intended',
+    (index, { changes }) => {
+      expect(changesByEntry[index]).not.toEqual(changes);
+    }
+  );
+});
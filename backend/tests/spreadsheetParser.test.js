@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const spreadsheetParser = require('../services/spreadsheetParser');
+const mappingStore = require('../services/mappingStore');
+
+const CSV = [
+  '\uFEFFEmployee,Emp ID,Work Date,Hrs,Pay Type,Labor Rate,Cost Code,Cost Category,Job,Notes',
+  'Smith John,101,03/09/2025,8,Regular,Tech,SERVICE,DirLab,J100,"Replaced relay, tested"',
+  'Smith John,101,2025-03-10,2.5,,,INSTALL,DirLab,J101,',
+  'Doe Jane,102,not a date,4,Regular,Tech,PM,DirLab,PM200,',
+  'Doe Jane,102,03/11/2025,-1,Regular,Tech,PM,DirLab,PM201,',
+  '',
+  ',,03/12/2025,1,Regular,Tech,PM,DirLab,PM202,'
+].join('\r\n');
+
+describe('spreadsheet import', () => {
+  let storeDir;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'column-mappings-'));
+    mappingStore.storePath = path.join(storeDir, 'column-mappings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test('reads CSV rows with their line numbers', async () => {
+    const table = await spreadsheetParser.readTable(Buffer.from(CSV), 'csv');
+
+    expect(table.headers[0]).toBe('Employee');
+    expect(table.rows).toHaveLength(5);
+    expect(table.rows[0].values[9]).toBe('Replaced relay, tested');
+    expect(table.rows[4].line).toBe(7);
+  });
+
+  test('maps rows to entries and reports the ones it skips', async () => {
+    const table = await spreadsheetParser.readTable(Buffer.from(CSV), 'csv');
+    const { mapping, source } = spreadsheetParser.suggestMapping(table.headers);
+
+    expect(source).toBe('suggested');
+    expect(mapping).toMatchObject({
+      employeeName: 'Employee',
+      employeeId: 'Emp ID',
+      date: 'Work Date',
+      hours: 'Hrs',
+      jobCode: 'Job',
+      description: 'Notes'
+    });
+
+    const { entries, diagnostics } = spreadsheetParser.parseEntries(table, mapping);
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      employeeName: 'Smith John',
+      employeeId: '101',
+      date: '03/09/2025',
+      hours: 8,
+      payType: 'Regular',
+      costCode: 'SERVICE',
+      inferredFields: []
+    });
+    expect(entries[1].date).toBe('03/10/2025');
+    expect(entries[1].inferredFields).toEqual(['payType', 'laborRate']);
+
+    expect(diagnostics.filter(diagnostic => diagnostic.type === 'skipped').map(({ line, code }) => ({ line, code })))
+      .toEqual([
+        { line: 4, code: 'bad_date' },
+        { line: 5, code: 'bad_hours' },
+        { line: 7, code: 'no_employee' }
+      ]);
+  });
+
+  test('offers a saved mapping for the same headers in any order', async () => {
+    const headers = ['Name', 'Day', 'Time', 'Kind'];
+    const mapping = { employeeName: 'Name', date: 'Day', hours: 'Time', payType: 'Kind' };
+    mappingStore.saveMapping(headers, mapping);
+
+    expect(spreadsheetParser.suggestMapping([...headers].reverse())).toEqual({ mapping, source: 'saved' });
+    expect(spreadsheetParser.suggestMapping([...headers, 'Notes']).source).toBe('suggested');
+  });
+
+  test('rejects a mapping without the required fields', () => {
+    expect(spreadsheetParser.validateMapping({ employeeName: 'Name', hours: 'Missing' }, ['Name', 'Hours']))
+      .toEqual([
+        'Column "Missing" for hours is not in the file',
+        'Date must be mapped to a column'
+      ]);
+  });
+
+  test('reads XLSX dates and numbers', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Time');
+    worksheet.addRow(['Employee Name', 'Date', 'Hours', 'Pay Type']);
+    worksheet.addRow(['Smith John', new Date(Date.UTC(2025, 2, 9)), 7.5, 'Call']);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const table = await spreadsheetParser.readTable(buffer, 'xlsx');
+    const { mapping } = spreadsheetParser.suggestMapping(table.headers);
+    const { entries } = spreadsheetParser.parseEntries(table, mapping);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ date: '03/09/2025', hours: 7.5, payType: 'Call' });
+  });
+});
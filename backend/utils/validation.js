@@ -85,6 +85,15 @@ class Validator {
     return /^[A-Za-z0-9_]+$/.test(costCode);
   }
 
+  /**
+   * Validate labor rate code (e.g. "WN MN PM TECH", "SCH_TECHOT")
+   */
+  static isValidLaborRate(laborRate) {
+    return typeof laborRate === 'string' &&
+      laborRate.length <= 50 &&
+      /^[A-Za-z0-9_]+( [A-Za-z0-9_]+)*$/.test(laborRate);
+  }
+
   /**
    * Sanitize text input
    */
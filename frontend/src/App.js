@@ -3,19 +3,122 @@ import FileUpload from './components/FileUpload';
 import ReviewChanges from './components/ReviewChanges';
 import ChangeSummary from './components/ChangeSummary';
 import DownloadReport from './components/DownloadReport';
+import Settings from './components/Settings';
+import History from './components/History';
+import RuleSandbox from './components/RuleSandbox';
+import ReconciliationPanel from './components/ReconciliationPanel';
+import ParserWarnings from './components/ParserWarnings';
+import ColumnMapping from './components/ColumnMapping';
+import BatchSummary from './components/BatchSummary';
+import EntryFindings from './components/EntryFindings';
+import RuleConflicts from './components/RuleConflicts';
+import JobProgress from './components/JobProgress';
+import RuleSelectionNote from './components/RuleSelectionNote';
 import payrollService from './services/payrollService';
 import './App.css';
 
 function App() {
+  const [view, setView] = useState('workflow');
   const [currentStep, setCurrentStep] = useState('upload');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [parsedData, setParsedData] = useState(null);
   const [changes, setChanges] = useState([]);
+  const [acceptedChanges, setAcceptedChanges] = useState([]);
+  const [needsReview, setNeedsReview] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [findings, setFindings] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [extraction, setExtraction] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [ruleSelection, setRuleSelection] = useState(null);
+  const [trace, setTrace] = useState(null);
   const [correctedData, setCorrectedData] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [rejectedChangeIds, setRejectedChangeIds] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [job, setJob] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
   const [error, setError] = useState(null);
 
-  const handleFileUpload = async (file) => {
+  // Process a PDF report or a mapped spreadsheet as a background job and
+  // open the review step; returns false if the job was cancelled
+  const processFile = async (file, options) => {
+    const { jobId } = await payrollService.createJob(file, options);
+    return followJob(jobId, file.name, () => file);
+  };
+
+  // Same for several PDF reports processed as one review
+  const processBatch = async (files, options) => {
+    const { jobId } = await payrollService.createBatchJob(files, options);
+    return followJob(jobId, files.map(file => file.name).join(', '), result => ({ name: result.metadata.filename }));
+  };
+
+  // Show a job's progress until it finishes, then open its result; getFile
+  // gives the file to show the result under
+  const followJob = async (jobId, label, getFile) => {
+    setJob({ id: jobId, label, status: 'queued', events: [] });
+
+    try {
+      const finishedJob = await payrollService.watchJob(jobId, event => {
+        setJob(current => current && ({
+          ...current,
+          status: event.type === 'status' ? event.status : current.status,
+          events: [...current.events, event]
+        }));
+      });
+
+      if (finishedJob.status === 'failed') {
+        throw new Error(finishedJob.error.details || finishedJob.error.error);
+      }
+      if (finishedJob.status === 'cancelled') {
+        return false;
+      }
+      showResult(finishedJob.result, getFile(finishedJob.result));
+      return true;
+    } finally {
+      setJob(null);
+      setCancelling(false);
+    }
+  };
+
+  const handleCancelJob = async () => {
+    setCancelling(true);
+    try {
+      await payrollService.cancelJob(job.id);
+    } catch (err) {
+      // The job finished before it could be cancelled - its stream reports how it ended
+      setCancelling(false);
+    }
+  };
+
+  const showResult = (result, file) => {
+    // Extract data from nested structure
+    const originalData = result.data?.original || [];
+    const changesData = result.data?.changes || [];
+    const corrected = result.data?.corrected || [];
+    const reviewItems = result.data?.needsReview || [];
+
+    setUploadedFile(file);
+    setParsedData(originalData);
+    setChanges(changesData);
+    setCorrectedData(corrected);
+    setNeedsReview(reviewItems);
+    setReconciliation(result.reconciliation || null);
+    setDiagnostics(result.diagnostics || []);
+    setFindings(result.findings || []);
+    setConflicts(result.data?.conflicts || []);
+    setExtraction(result.metadata?.extraction || null);
+    setRunId(result.metadata?.runId ?? null);
+    setBatch(result.metadata?.batch || null);
+    setRuleSelection(result.metadata?.ruleSelection || null);
+    setTrace(result.data?.trace || null);
+    setRejectedChangeIds([]);
+    setCurrentStep('review');
+  };
+
+  const handleFileUpload = async (file, options) => {
     setLoading(true);
     setError(null);
     
@@ -25,21 +128,15 @@ function App() {
       if (!validation.isValid) {
         throw new Error(validation.errors.join(', '));
       }
-      
-      // Process PDF using payroll service
-      const result = await payrollService.processPDF(file);
-      
-      // Extract data from nested structure
-      const originalData = result.data?.original || [];
-      const changesData = result.data?.changes || [];
-      const corrected = result.data?.corrected || [];
-      
-      setUploadedFile(file);
-      setParsedData(originalData);
-      setChanges(changesData);
-      setCorrectedData(corrected);
-      setCurrentStep('review');
-      
+
+      // Spreadsheets need their columns mapped before they can be processed
+      if (payrollService.getFileFormat(file) !== 'pdf') {
+        const preview = await payrollService.previewImport(file);
+        setImportPreview({ ...preview, file, options });
+        return;
+      }
+
+      await processFile(file, options);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -47,8 +144,112 @@ function App() {
     }
   };
 
-  const handleApproveChanges = () => {
+  const handleBatchUpload = async (files, options) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      files.forEach(file => {
+        const validation = payrollService.validateFile(file);
+        if (!validation.isValid) {
+          throw new Error(`${file.name}: ${validation.errors.join(', ')}`);
+        }
+        if (payrollService.getFileFormat(file) !== 'pdf') {
+          throw new Error(`${file.name}: only PDF reports can be processed together`);
+        }
+      });
+
+      await processBatch(files, options);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirmMapping = async (columnMapping) => {
+    const { file, options } = importPreview;
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (await processFile(file, { ...options, columnMapping })) {
+        setImportPreview(null);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleManualEdit = (entryIndex, entry, updates, note) => {
+    // Manual edits are recorded as changes so they appear in every export
+    setChanges(current => {
+      let nextId = current.reduce((max, change) => Math.max(max, change.id), -1) + 1;
+      const manualChanges = Object.entries(updates).map(([field, value]) => ({
+        employeeName: entry.employeeName,
+        employeeId: entry.employeeId,
+        date: entry.date,
+        field,
+        originalValue: entry[field],
+        correctedValue: value,
+        rule: 'Manual',
+        description: note,
+        entryIndex,
+        ...(entry.sourceFile && { sourceFile: entry.sourceFile }),
+        id: nextId++
+      }));
+      return [...current, ...manualChanges];
+    });
+  };
+
+  const handleApproveChanges = async (accepted, approvedBy) => {
+    // Rebuild from the originals so rejected corrections never reach the report
+    const corrected = payrollService.applyAcceptedChanges(parsedData, accepted);
+    setAcceptedChanges(accepted);
+    setCorrectedData(corrected);
     setCurrentStep('download');
+
+    if (runId !== null) {
+      try {
+        await payrollService.approveRun(runId, {
+          approvedBy,
+          changes,
+          acceptedChanges: accepted,
+          correctedData: corrected
+        });
+      } catch (err) {
+        // The report can still be downloaded; only the history record is missing
+        console.error('Failed to record approval:', err);
+      }
+    }
+  };
+
+  const handleOpenRun = (run, step) => {
+    const accepted = run.acceptedChanges || run.changes;
+    const acceptedIds = new Set(accepted.map(change => change.id));
+
+    setUploadedFile({ name: run.filename });
+    setParsedData(run.originalEntries);
+    setChanges(run.changes);
+    setNeedsReview(run.needsReview);
+    setReconciliation(run.reconciliation);
+    setDiagnostics(run.diagnostics);
+    setFindings(run.findings);
+    setConflicts(run.conflicts);
+    setExtraction(null);
+    setBatch(null);
+    setRuleSelection(run.ruleSelection);
+    // Traces are not kept in the history
+    setTrace(null);
+    setAcceptedChanges(accepted);
+    setCorrectedData(run.correctedEntries);
+    setRunId(run.id);
+    setRejectedChangeIds(run.changes.filter(change => !acceptedIds.has(change.id)).map(change => change.id));
+    setError(null);
+    setCurrentStep(step);
+    setView('workflow');
   };
 
   const handleRejectChanges = () => {
@@ -56,7 +257,19 @@ function App() {
     setUploadedFile(null);
     setParsedData(null);
     setChanges([]);
+    setAcceptedChanges([]);
+    setNeedsReview([]);
+    setReconciliation(null);
+    setDiagnostics([]);
+    setFindings([]);
+    setConflicts([]);
+    setExtraction(null);
+    setBatch(null);
+    setRuleSelection(null);
+    setTrace(null);
     setCorrectedData(null);
+    setRunId(null);
+    setRejectedChangeIds([]);
   };
 
   const handleStartOver = () => {
@@ -64,7 +277,20 @@ function App() {
     setUploadedFile(null);
     setParsedData(null);
     setChanges([]);
+    setAcceptedChanges([]);
+    setNeedsReview([]);
+    setReconciliation(null);
+    setDiagnostics([]);
+    setFindings([]);
+    setConflicts([]);
+    setExtraction(null);
+    setBatch(null);
+    setRuleSelection(null);
+    setTrace(null);
     setCorrectedData(null);
+    setRunId(null);
+    setRejectedChangeIds([]);
+    setImportPreview(null);
     setError(null);
   };
 
@@ -73,6 +299,23 @@ function App() {
       <header className="app-header">
         <h1>Benedict Refrigeration</h1>
         <h2>Payroll Report Automation</h2>
+        <nav className="app-nav">
+          {[
+            { id: 'workflow', label: 'Reports' },
+            { id: 'history', label: 'History' },
+            { id: 'sandbox', label: 'Rule Sandbox' },
+            { id: 'settings', label: 'Settings' }
+          ].map(item => (
+            <button
+              key={item.id}
+              onClick={() => setView(item.id)}
+              className={`btn btn-small ${view === item.id ? 'btn-primary' : 'btn-secondary'}`}
+              disabled={loading}
+            >
+              {item.label}
+            </button>
+          ))}
+        </nav>
         <div className="steps">
           <div className={`step ${currentStep === 'upload' ? 'active' : ''}`}>
             1. Upload Report
@@ -87,7 +330,19 @@ function App() {
       </header>
 
       <main className="app-main">
-        {error && (
+        {view === 'settings' && (
+          <Settings onClose={() => setView('workflow')} />
+        )}
+
+        {view === 'history' && (
+          <History onOpenRun={handleOpenRun} />
+        )}
+
+        {view === 'sandbox' && (
+          <RuleSandbox />
+        )}
+
+        {view === 'workflow' && error && (
           <div className="error-banner">
             <div className="error-content">
               <h3>Error Processing File</h3>
@@ -99,22 +354,48 @@ function App() {
           </div>
         )}
 
-        {loading && (
+        {loading && job && (
+          <JobProgress job={job} onCancel={handleCancelJob} cancelling={cancelling} />
+        )}
+
+        {loading && !job && (
           <div className="loading-overlay">
             <div className="loading-spinner"></div>
-            <p>Processing PDF and applying rules...</p>
+            <p>{importPreview ? 'Importing entries and applying rules...' : 'Processing file and applying rules...'}</p>
           </div>
         )}
 
-        {currentStep === 'upload' && !loading && (
+        {view === 'workflow' && currentStep === 'upload' && !loading && !importPreview && (
           <FileUpload 
             onFileUpload={handleFileUpload}
+            onBatchUpload={handleBatchUpload}
             disabled={loading}
           />
         )}
 
-        {currentStep === 'review' && !loading && (
+        {view === 'workflow' && currentStep === 'upload' && !loading && importPreview && (
+          <ColumnMapping
+            preview={importPreview}
+            fileName={importPreview.file.name}
+            onConfirm={handleConfirmMapping}
+            onCancel={() => setImportPreview(null)}
+          />
+        )}
+
+        {view === 'workflow' && currentStep === 'review' && !loading && (
           <div className="review-container">
+            <BatchSummary batch={batch} />
+
+            <RuleSelectionNote ruleSelection={ruleSelection} />
+
+            <ReconciliationPanel reconciliation={reconciliation} />
+
+            <ParserWarnings diagnostics={diagnostics} extraction={extraction} />
+
+            <EntryFindings findings={findings} originalData={parsedData} />
+
+            <RuleConflicts conflicts={conflicts} />
+
             <ChangeSummary 
               changes={changes}
               originalData={parsedData}
@@ -123,16 +404,24 @@ function App() {
             
             <ReviewChanges 
               changes={changes}
+              needsReview={needsReview}
+              initialRejectedIds={rejectedChangeIds}
+              originalData={parsedData}
+              trace={trace}
+              onManualEdit={handleManualEdit}
               onApprove={handleApproveChanges}
               onReject={handleRejectChanges}
             />
           </div>
         )}
 
-        {currentStep === 'download' && !loading && (
+        {view === 'workflow' && currentStep === 'download' && !loading && (
           <DownloadReport 
             correctedData={correctedData}
-            changes={changes}
+            sourceIndexes={payrollService.getSourceIndexes(parsedData, acceptedChanges)}
+            changes={acceptedChanges}
+            findings={findings}
+            ruleSelection={ruleSelection}
             originalFileName={uploadedFile?.name}
             onStartOver={handleStartOver}
           />
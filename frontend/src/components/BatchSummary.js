@@ -0,0 +1,50 @@
+import React from 'react';
+
+const BatchSummary = ({ batch }) => {
+  if (!batch) {
+    return null;
+  }
+
+  const duplicateCount = batch.duplicates.length;
+
+  return (
+    <div className="batch-summary-panel">
+      <h4>Combined Review of {batch.files.length} Reports</h4>
+      <p>
+        Each report was read on its own and the entries were merged by pay period. Every entry
+        and change below names the file it came from.
+        {duplicateCount > 0 && ` ${duplicateCount} entr${duplicateCount !== 1 ? 'ies appear' : 'y appears'} in more than one file and ${duplicateCount !== 1 ? 'are' : 'is'} listed under Entry Findings.`}
+      </p>
+
+      <table className="changes-table">
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>Entries</th>
+            <th>Read With</th>
+          </tr>
+        </thead>
+        <tbody>
+          {batch.files.map((file, index) => (
+            <tr key={`${file.filename}-${index}`}>
+              <td className="employee-name">{file.filename}</td>
+              <td>{file.entryCount}</td>
+              <td>{file.extraction?.mode === 'layout' ? 'Table layout' : 'Line parser'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {batch.payPeriods.length > 1 && (
+        <p className="batch-summary-periods">
+          These reports cover {batch.payPeriods.length} pay periods:{' '}
+          {batch.payPeriods
+            .map(period => `${period.payPeriodId || 'no pay period'} (${period.entryCount} entries from ${period.files.join(', ')})`)
+            .join('; ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BatchSummary;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+const ColumnMapping = ({ preview, fileName, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(preview.mapping || {});
+
+  const missingRequired = preview.fields.filter(field => field.required && !mapping[field.field]);
+
+  const handleChange = (field, header) => {
+    setMapping(current => {
+      const next = { ...current };
+      if (header) {
+        next[field] = header;
+      } else {
+        delete next[field];
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="column-mapping-container">
+      <div className="review-header">
+        <h3>Map Spreadsheet Columns</h3>
+        <p>
+          {fileName} has {preview.rowCount} row{preview.rowCount !== 1 ? 's' : ''}.
+          Choose the column that holds each field; fields left unmapped are treated like
+          values missing from the report.
+        </p>
+      </div>
+
+      {preview.mappingSource === 'saved' && (
+        <p className="column-mapping-note">
+          These columns were mapped the same way the last time a file with these headers was imported.
+        </p>
+      )}
+
+      <div className="changes-table-container">
+        <table className="changes-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Column</th>
+              <th>Sample Values</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.fields.map(({ field, label, required }) => (
+              <tr key={field}>
+                <td className="employee-name">
+                  {label}
+                  {required && <span className="column-mapping-required" title="Required">*</span>}
+                </td>
+                <td>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => handleChange(field, e.target.value)}
+                    className="filter-select"
+                  >
+                    <option value="">{required ? 'Choose a column' : 'Not in this file'}</option>
+                    {preview.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="column-mapping-samples">
+                  {mapping[field]
+                    ? preview.sampleRows.map(row => row[mapping[field]]).filter(Boolean).join(', ')
+                    : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="review-actions">
+        <button onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+
+        <button
+          onClick={() => onConfirm(mapping)}
+          className="btn btn-primary"
+          disabled={missingRequired.length > 0}
+          title={missingRequired.length > 0
+            ? `Map ${missingRequired.map(field => field.label).join(', ')} first`
+            : undefined}
+        >
+          Import {preview.rowCount} Row{preview.rowCount !== 1 ? 's' : ''}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapping;
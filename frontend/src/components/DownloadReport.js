@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 
-const DownloadReport = ({ correctedData, changes, originalFileName, onStartOver }) => {
+const DownloadReport = ({ correctedData, sourceIndexes, changes, findings = [], ruleSelection = null, originalFileName, onStartOver }) => {
   const [downloading, setDownloading] = useState(false);
   const [downloadError, setDownloadError] = useState(null);
 
@@ -17,6 +17,7 @@ const DownloadReport = ({ correctedData, changes, originalFileName, onStartOver
         body: JSON.stringify({
           correctedData,
           changes,
+          ruleSelection,
           originalFileName
         })
       });
@@ -55,6 +56,7 @@ const DownloadReport = ({ correctedData, changes, originalFileName, onStartOver
         },
         body: JSON.stringify({
           correctedData,
+          sourceIndexes,
           changes,
           originalFileName
         })
@@ -82,10 +84,50 @@ const DownloadReport = ({ correctedData, changes, originalFileName, onStartOver
     }
   };
 
-  const generateFileName = (extension) => {
+  const handleDownloadSummary = async () => {
+    setDownloading(true);
+    setDownloadError(null);
+
+    try {
+      const response = await fetch('/api/payroll/generate-change-summary', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          changes,
+          findings,
+          ruleSelection,
+          originalFileName
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to generate change summary');
+      }
+
+      // Handle PDF download
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = generateFileName('pdf', 'change-summary');
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const generateFileName = (extension, suffix = 'corrected') => {
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     const baseName = originalFileName?.replace('.pdf', '') || 'payroll-report';
-    return `${baseName}-corrected-${timestamp}.${extension}`;
+    return `${baseName}-${suffix}-${timestamp}.${extension}`;
   };
 
   const formatDate = (dateString) => {
@@ -197,6 +239,22 @@ const DownloadReport = ({ correctedData, changes, originalFileName, onStartOver
               </div>
             </div>
           </button>
+
+          <button
+            onClick={handleDownloadSummary}
+            disabled={downloading}
+            className="btn btn-secondary download-btn"
+          >
+            <div className="btn-content">
+              <div className="btn-icon">🧾</div>
+              <div className="btn-text">
+                <div className="btn-title">
+                  {downloading ? 'Generating...' : 'Download Change Summary'}
+                </div>
+                <div className="btn-subtitle">Audit record with approval block</div>
+              </div>
+            </div>
+          </button>
         </div>
       </div>
 
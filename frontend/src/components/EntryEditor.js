@@ -0,0 +1,294 @@
+import React, { useState, useMemo } from 'react';
+import payrollService from '../services/payrollService';
+import RuleTrace from './RuleTrace';
+
+const PAY_TYPES = ['Regular', 'Overtime', 'Double Time', 'Call', 'Unapplied'];
+const EDITABLE_FIELDS = ['hours', 'payType', 'laborRate', 'costCode', 'costCategory'];
+
+const EntryEditor = ({ originalData = [], acceptedChanges = [], trace = null, onSave }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [explainedIndex, setExplainedIndex] = useState(null);
+
+  // Entries as they will appear in the report with the accepted changes
+  const rows = useMemo(
+    () => payrollService.buildReviewEntries(originalData, acceptedChanges),
+    [originalData, acceptedChanges]
+  );
+
+  const inferredCount = useMemo(
+    () => rows.filter(({ entry }) => (entry.inferredFields || []).length > 0).length,
+    [rows]
+  );
+
+  const filteredRows = useMemo(() => {
+    if (!searchTerm) return rows;
+    const term = searchTerm.toLowerCase();
+    return rows.filter(({ entry }) =>
+      (entry.employeeName || '').toLowerCase().includes(term) ||
+      (entry.date || '').includes(term)
+    );
+  }, [rows, searchTerm]);
+
+  const startEditing = ({ entryIndex, entry }) => {
+    setEditingIndex(entryIndex);
+    setDraft(EDITABLE_FIELDS.reduce((values, field) => ({ ...values, [field]: entry[field] ?? '' }), {}));
+    setNote('');
+    setErrors([]);
+  };
+
+  const cancelEditing = () => {
+    setEditingIndex(null);
+    setErrors([]);
+  };
+
+  const handleSave = async ({ entryIndex, entry, split }) => {
+    // Hours and pay type of a split entry come from the weekly overtime split
+    const fields = split ? EDITABLE_FIELDS.filter(field => field !== 'hours' && field !== 'payType') : EDITABLE_FIELDS;
+    const updates = {};
+    fields.forEach(field => {
+      const value = field === 'hours' ? parseFloat(draft.hours) : String(draft[field]).trim();
+      const current = field === 'hours' ? parseFloat(entry.hours) : (entry[field] ?? '');
+      if (value !== current) {
+        updates[field] = value;
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      cancelEditing();
+      return;
+    }
+
+    if (!note.trim()) {
+      setErrors(['Add a note explaining the edit']);
+      return;
+    }
+
+    setSaving(true);
+    setErrors([]);
+
+    try {
+      const result = await payrollService.validateEntry({ ...entry, ...updates });
+      if (!result.valid) {
+        setErrors(result.errors);
+        return;
+      }
+
+      if (result.warnings.length > 0 &&
+          !window.confirm(`This edit breaks a payroll rule:\n\n${result.warnings.join('\n')}\n\nSave it anyway?`)) {
+        return;
+      }
+
+      onSave(entryIndex, entry, updates, note.trim());
+      setEditingIndex(null);
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Show a value, marking it when the parser filled it in with a default
+  const renderValue = (entry, field) => {
+    if (!(entry.inferredFields || []).includes(field)) {
+      return entry[field];
+    }
+
+    return (
+      <span className="inferred-value" title="Not on the report - the parser used a default value">
+        {entry[field]}?
+      </span>
+    );
+  };
+
+  const renderField = (field, row) => {
+    if (row.split && field === 'payType') {
+      return '—';
+    }
+
+    if (row.split && field === 'hours') {
+      return (
+        <span className="value-badge" title="Split by weekly overtime - reject the split to edit">
+          {row.split.correctedValue}
+        </span>
+      );
+    }
+
+    if (field === 'payType') {
+      return (
+        <select
+          value={draft.payType}
+          onChange={(e) => setDraft({ ...draft, payType: e.target.value })}
+          className="filter-select entry-edit-input"
+        >
+          {!PAY_TYPES.includes(draft.payType) && <option value={draft.payType}>{draft.payType}</option>}
+          {PAY_TYPES.map(payType => (
+            <option key={payType} value={payType}>{payType}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={field === 'hours' ? 'number' : 'text'}
+        step={field === 'hours' ? '0.25' : undefined}
+        value={draft[field]}
+        onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+        className="search-input entry-edit-input"
+      />
+    );
+  };
+
+  if (originalData.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="entry-editor">
+      <div className="entry-editor-header">
+        <div>
+          <h4>Edit Entries</h4>
+          <p>Correct any entry by hand when the proposed change is not the right fix.</p>
+          {inferredCount > 0 && (
+            <p className="inferred-note">
+              {inferredCount} entr{inferredCount !== 1 ? 'ies have' : 'y has'} values marked ? that were
+              missing from the report and filled with parser defaults - no rules were applied to them.
+              Edit these entries to enter the real values.
+            </p>
+          )}
+        </div>
+        <button onClick={() => setExpanded(!expanded)} className="btn btn-secondary btn-small">
+          {expanded ? 'Hide Entries' : `Show ${originalData.length} Entries`}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <input
+            type="text"
+            placeholder="Search by employee or date..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="search-input"
+          />
+
+          <div className="changes-table-container">
+            <table className="changes-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Date</th>
+                  <th>Hours</th>
+                  <th>Pay Type</th>
+                  <th>Labor Rate</th>
+                  <th>Cost Code</th>
+                  <th>Cost Category</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredRows.map(row => {
+                  const { entryIndex, entry, split } = row;
+
+                  if (editingIndex !== entryIndex) {
+                    return (
+                      <React.Fragment key={entryIndex}>
+                      <tr>
+                        <td className="employee-cell">
+                          <div className="employee-name">{entry.employeeName}</div>
+                          <div className="employee-id">ID: {entry.employeeId}</div>
+                          {entry.sourceFile && <div className="source-file">{entry.sourceFile}</div>}
+                        </td>
+                        <td className="date-cell">{entry.date}</td>
+                        <td>{split ? split.correctedValue : entry.hours}</td>
+                        <td>{split ? '—' : renderValue(entry, 'payType')}</td>
+                        <td>{renderValue(entry, 'laborRate')}</td>
+                        <td>{renderValue(entry, 'costCode')}</td>
+                        <td>{renderValue(entry, 'costCategory')}</td>
+                        <td>
+                          <button
+                            onClick={() => startEditing(row)}
+                            disabled={editingIndex !== null}
+                            className="btn btn-secondary btn-small"
+                          >
+                            Edit
+                          </button>
+                          {trace && (
+                            <button
+                              onClick={() => setExplainedIndex(explainedIndex === entryIndex ? null : entryIndex)}
+                              className="btn btn-secondary btn-small rule-trace-toggle"
+                              title="Show every rule evaluated for this entry"
+                            >
+                              {explainedIndex === entryIndex ? 'Hide Why' : 'Why?'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {explainedIndex === entryIndex && (
+                        <tr className="rule-trace-row">
+                          <td colSpan={8}>
+                            <RuleTrace entryTrace={trace[entryIndex]} />
+                          </td>
+                        </tr>
+                      )}
+                      </React.Fragment>
+                    );
+                  }
+
+                  return (
+                    <React.Fragment key={entryIndex}>
+                      <tr className="entry-editing">
+                        <td className="employee-cell">
+                          <div className="employee-name">{entry.employeeName}</div>
+                          <div className="employee-id">ID: {entry.employeeId}</div>
+                          {entry.sourceFile && <div className="source-file">{entry.sourceFile}</div>}
+                        </td>
+                        <td className="date-cell">{entry.date}</td>
+                        {EDITABLE_FIELDS.map(field => (
+                          <td key={field}>{renderField(field, row)}</td>
+                        ))}
+                        <td></td>
+                      </tr>
+                      <tr className="entry-editing">
+                        <td colSpan={8}>
+                          <div className="entry-edit-actions">
+                            <input
+                              type="text"
+                              value={note}
+                              onChange={(e) => setNote(e.target.value)}
+                              placeholder="Note - why is this edit needed?"
+                              className="search-input entry-edit-note"
+                            />
+                            <button onClick={cancelEditing} disabled={saving} className="btn btn-secondary btn-small">
+                              Cancel
+                            </button>
+                            <button onClick={() => handleSave(row)} disabled={saving} className="btn btn-primary btn-small">
+                              {saving ? 'Validating...' : 'Save Edit'}
+                            </button>
+                          </div>
+                          {errors.length > 0 && (
+                            <ul className="entry-edit-errors">
+                              {errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EntryEditor;
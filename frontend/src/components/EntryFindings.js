@@ -0,0 +1,66 @@
+import React from 'react';
+
+const FINDING_LABELS = {
+  duplicate: 'Duplicate',
+  near_duplicate: 'Possible duplicate',
+  daily_total: 'Over 24 hours'
+};
+
+const EntryFindings = ({ findings = [], originalData = [] }) => {
+  if (findings.length === 0) {
+    return null;
+  }
+
+  // The entries behind a finding, as "job hours payType/laborRate"
+  const describeEntries = (finding) => finding.entryIndexes
+    .map(index => originalData[index])
+    .filter(Boolean)
+    .map(entry => `${entry.jobCode} ${entry.hours}h ${entry.payType}/${entry.laborRate}${entry.sourceFile ? ` (${entry.sourceFile})` : ''}`);
+
+  return (
+    <div className="entry-findings-panel">
+      <h4>
+        {findings.length} Entry Finding{findings.length !== 1 ? 's' : ''}
+      </h4>
+      <p>
+        No rule can correct these. Check them against the original report and fix the entries by
+        hand before approving - they are also listed in the change summary.
+      </p>
+      <table className="changes-table">
+        <thead>
+          <tr>
+            <th>Employee</th>
+            <th>Date</th>
+            <th>Finding</th>
+            <th>Reason</th>
+            <th>Entries</th>
+          </tr>
+        </thead>
+        <tbody>
+          {findings.map(finding => (
+            <tr key={`${finding.type}-${finding.entryIndexes.join('-')}`}>
+              <td className="employee-cell">
+                <div className="employee-name">{finding.employeeName}</div>
+                <div className="employee-id">ID: {finding.employeeId}</div>
+              </td>
+              <td className="date-cell">{finding.date}</td>
+              <td>
+                <span className={`entry-finding-type ${finding.type}`}>
+                  {FINDING_LABELS[finding.type] || finding.type}
+                </span>
+              </td>
+              <td className="rule-description">{finding.reason}</td>
+              <td>
+                {describeEntries(finding).map((description, index) => (
+                  <div key={index} className="employee-id">{description}</div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default EntryFindings;
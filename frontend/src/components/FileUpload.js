@@ -1,24 +1,65 @@
-import React, { useCallback, useRef } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
+import payrollService from '../services/payrollService';
 
-const FileUpload = ({ onFileUpload, disabled }) => {
+// Most reports that can be reviewed together in one batch
+const MAX_BATCH_FILES = 10;
+
+const FileUpload = ({ onFileUpload, onBatchUpload, disabled }) => {
   const fileInputRef = useRef(null);
-  
+  const [extractionMode, setExtractionMode] = useState('text');
+  const [availableRules, setAvailableRules] = useState([]);
+  const [selectedRules, setSelectedRules] = useState([]);
+  const [explain, setExplain] = useState(false);
+
+  useEffect(() => {
+    payrollService.getRules()
+      .then(({ rules }) => {
+        setAvailableRules(rules);
+        setSelectedRules(rules.map(rule => rule.id));
+      })
+      .catch(() => {
+        // Without the list every rule runs, as before rule selection existed
+        setAvailableRules([]);
+      });
+  }, []);
+
+  const toggleRule = (ruleId) => {
+    setSelectedRules(current => current.includes(ruleId)
+      ? current.filter(id => id !== ruleId)
+      : [...current, ruleId]);
+  };
+
   const onDrop = useCallback((acceptedFiles) => {
-    const file = acceptedFiles[0];
-    if (file && file.type === 'application/pdf') {
-      onFileUpload(file);
+    if (availableRules.length > 0 && selectedRules.length === 0) {
+      alert('Select at least one rule to apply');
+      return;
+    }
+
+    // Only send a selection when some rules are left out
+    const options = {
+      extractionMode,
+      rules: selectedRules.length < availableRules.length ? selectedRules : undefined,
+      explain
+    };
+
+    if (acceptedFiles.length > 1) {
+      onBatchUpload(acceptedFiles, options);
+    } else if (acceptedFiles.length === 1) {
+      onFileUpload(acceptedFiles[0], options);
     } else {
-      alert('Please upload a PDF file');
+      alert(`Please upload a PDF, CSV or XLSX file, or up to ${MAX_BATCH_FILES} PDF reports`);
     }
-  }, [onFileUpload]);
+  }, [onFileUpload, onBatchUpload, extractionMode, availableRules, selectedRules, explain]);
 
   const { getRootProps, getInputProps, isDragActive, isDragAccept, isDragReject, open } = useDropzone({
     onDrop,
     accept: {
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
     },
-    maxFiles: 1,
+    maxFiles: MAX_BATCH_FILES,
     disabled,
     noClick: false
   });
@@ -36,7 +77,7 @@ const FileUpload = ({ onFileUpload, disabled }) => {
     <div className="file-upload-container">
       <div className="upload-header">
         <h3>Upload Payroll Report</h3>
-        <p>Upload your original payroll PDF to automatically apply correction rules</p>
+        <p>Upload your original payroll PDF, or a CSV/XLSX time-entry export, to automatically apply correction rules</p>
       </div>
 
       <div {...getRootProps()} className={getDropzoneClassName()}>
@@ -54,12 +95,13 @@ const FileUpload = ({ onFileUpload, disabled }) => {
           
           {isDragActive ? (
             <div className="dropzone-text">
-              <p className="primary">Drop PDF here...</p>
+              <p className="primary">Drop file here...</p>
             </div>
           ) : (
             <div className="dropzone-text">
-              <p className="primary">Drag & drop PDF here, or click to select</p>
-              <p className="secondary">Only PDF files are accepted</p>
+              <p className="primary">Drag & drop a file here, or click to select</p>
+              <p className="secondary">PDF reports, or CSV and XLSX time-entry exports</p>
+              <p className="secondary">Select several PDFs to review branch reports for a pay period together</p>
             </div>
           )}
           
@@ -80,31 +122,60 @@ const FileUpload = ({ onFileUpload, disabled }) => {
         </div>
       </div>
 
-      <div className="upload-info">
-        <h4>What this tool does:</h4>
-        <div className="rules-list">
-          <div className="rule-item">
-            <span className="rule-number">1</span>
-            <span>TechUnapplied cost category → Unapplied pay type</span>
-          </div>
-          <div className="rule-item">
-            <span className="rule-number">2</span>
-            <span>Service/Install work → Validated labor rates</span>
-          </div>
-          <div className="rule-item">
-            <span className="rule-number">3</span>
-            <span>PM/PMF/FTPM work → PM-specific labor rates</span>
-          </div>
-          <div className="rule-item">
-            <span className="rule-number">4</span>
-            <span>Sunday work → Double Time pay + PREM rate</span>
+      <div className="extraction-mode">
+        <label htmlFor="extraction-mode">Read PDF reports using</label>
+        <select
+          id="extraction-mode"
+          value={extractionMode}
+          onChange={(e) => setExtractionMode(e.target.value)}
+          disabled={disabled}
+          className="filter-select"
+        >
+          <option value="text">Line parser (default)</option>
+          <option value="layout">Table layout - for reports with wrapped cells</option>
+        </select>
+      </div>
+
+      <div className="extraction-mode">
+        <label className="rule-selection-item">
+          <input
+            type="checkbox"
+            checked={explain}
+            onChange={(e) => setExplain(e.target.checked)}
+            disabled={disabled}
+          />
+          <span>Explain rule decisions - show why each rule did or did not change an entry</span>
+        </label>
+      </div>
+
+      {availableRules.length > 0 && (
+        <div className="upload-info rule-selection">
+          <h4>Rules to apply ({selectedRules.length} of {availableRules.length}):</h4>
+          <div className="rule-selection-list">
+            {availableRules.map(rule => (
+              <label key={rule.id} className="rule-selection-item">
+                <input
+                  type="checkbox"
+                  checked={selectedRules.includes(rule.id)}
+                  onChange={() => toggleRule(rule.id)}
+                  disabled={disabled}
+                />
+                <span>{rule.name}</span>
+              </label>
+            ))}
           </div>
-          <div className="rule-item">
-            <span className="rule-number">5</span>
-            <span>Call work → TechOT labor rate</span>
+          <div className="rule-selection-actions">
+            <button
+              type="button"
+              className="btn btn-small btn-secondary"
+              onClick={() => setSelectedRules(availableRules.map(rule => rule.id))}
+              disabled={disabled || selectedRules.length === availableRules.length}
+            >
+              Select All
+            </button>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
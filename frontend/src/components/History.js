@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import payrollService from '../services/payrollService';
+
+const History = ({ onOpenRun }) => {
+  const [runs, setRuns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [opening, setOpening] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        const result = await payrollService.getHistory();
+        setRuns(result.runs || []);
+        setTotal(result.total || 0);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, []);
+
+  const handleOpen = async (runId, step) => {
+    setOpening(runId);
+    setError(null);
+
+    try {
+      const run = await payrollService.getRun(runId);
+      onOpenRun(run, step);
+    } catch (err) {
+      setError(err.message);
+      setOpening(null);
+    }
+  };
+
+  const formatTimestamp = (timestamp) => {
+    return timestamp ? new Date(timestamp).toLocaleString('en-US') : '—';
+  };
+
+  return (
+    <div className="history-container">
+      <div className="review-header">
+        <h3>Processing History</h3>
+        <p>
+          {total === 0
+            ? 'Reports you process are saved here so you can reopen them later.'
+            : `${total} processed report${total !== 1 ? 's' : ''}${total > runs.length ? ` (showing the latest ${runs.length})` : ''}`
+          }
+        </p>
+      </div>
+
+      {error && (
+        <div className="error">
+          <div className="error-title">History error</div>
+          <div className="error-message">{error}</div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+          <span className="loading-text">Loading history...</span>
+        </div>
+      ) : runs.length > 0 && (
+        <div className="changes-table-container">
+          <table className="changes-table">
+            <thead>
+              <tr>
+                <th>Processed</th>
+                <th>File</th>
+                <th>Pay Period</th>
+                <th>Entries</th>
+                <th>Changes</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr key={run.id}>
+                  <td className="date-cell">{formatTimestamp(run.processedAt)}</td>
+                  <td>
+                    <div className="employee-name">{run.filename}</div>
+                    <div className="employee-id" title={run.fileHash}>
+                      {run.reportDate || 'No report date'} · {run.fileHash.slice(0, 8)}
+                    </div>
+                  </td>
+                  <td>{run.payPeriodId || '—'}</td>
+                  <td>{run.entryCount}</td>
+                  <td>
+                    {run.changeCount}
+                    {run.needsReviewCount > 0 && (
+                      <div className="employee-id">{run.needsReviewCount} need review</div>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`history-status ${run.status}`}>
+                      {run.status === 'approved' ? 'Approved' : 'Pending review'}
+                    </span>
+                    {run.status === 'approved' && (
+                      <div className="employee-id">
+                        {run.approvedBy ? `${run.approvedBy}, ` : ''}{formatTimestamp(run.approvedAt)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="history-actions">
+                    <button
+                      onClick={() => handleOpen(run.id, 'review')}
+                      disabled={opening !== null}
+                      className="btn btn-secondary btn-small"
+                    >
+                      Review
+                    </button>
+                    <button
+                      onClick={() => handleOpen(run.id, 'download')}
+                      disabled={opening !== null || run.status !== 'approved'}
+                      title={run.status === 'approved' ? '' : 'Approve the changes before downloading'}
+                      className="btn btn-primary btn-small"
+                    >
+                      Download
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default History;
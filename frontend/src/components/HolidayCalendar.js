@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import payrollService from '../services/payrollService';
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKS = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', 5: 'Fifth', '-1': 'Last' };
+
+const EMPTY_HOLIDAY = {
+  name: '',
+  type: 'fixed',
+  month: 1,
+  day: 1,
+  weekday: 1,
+  week: 1,
+  offsetDays: 0,
+  observed: true,
+  date: ''
+};
+
+const HolidayCalendar = ({ adminToken }) => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [definitions, setDefinitions] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [newHoliday, setNewHoliday] = useState(EMPTY_HOLIDAY);
+
+  const loadCalendar = useCallback(async () => {
+    try {
+      const result = await payrollService.getHolidays(year);
+      setDefinitions(result.definitions || []);
+      setHolidays(result.holidays || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  const describeRule = (definition) => {
+    const offset = definition.offsetDays
+      ? ` ${definition.offsetDays > 0 ? '+' : ''}${definition.offsetDays} day${Math.abs(definition.offsetDays) !== 1 ? 's' : ''}`
+      : '';
+
+    if (definition.type === 'fixed') {
+      return `${MONTHS[definition.month - 1]} ${definition.day}${offset}${definition.observed ? ' (observed on weekday)' : ''}`;
+    }
+    if (definition.type === 'nthWeekday') {
+      return `${WEEKS[definition.week]} ${WEEKDAYS[definition.weekday]} of ${MONTHS[definition.month - 1]}${offset}`;
+    }
+    return `${definition.date}${offset}`;
+  };
+
+  const updateField = (field, value) => {
+    setNewHoliday(current => ({ ...current, [field]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await payrollService.addHoliday(newHoliday, adminToken);
+      setNewHoliday(EMPTY_HOLIDAY);
+      await loadCalendar();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (definition) => {
+    if (!window.confirm(`Remove ${definition.name} from the holiday calendar?`)) return;
+    setSaving(true);
+    setError(null);
+
+    try {
+      await payrollService.removeHoliday(definition.id, adminToken);
+      await loadCalendar();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="holiday-calendar-container">
+      <div className="settings-section-header">
+        <h3>Holiday Calendar</h3>
+        <p>Work on an observed holiday gets Double Time pay and a PREM labor rate (Rule 9).</p>
+      </div>
+
+      {error && (
+        <div className="error">
+          <div className="error-title">Holiday calendar error</div>
+          <div className="error-message">{error}</div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+          <span className="loading-text">Loading holidays...</span>
+        </div>
+      ) : (
+        <div className="rate-table-card">
+          <div className="rate-table-header">
+            <h4>Observed Holidays</h4>
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="filter-select"
+            >
+              {[-1, 0, 1].map(delta => {
+                const optionYear = new Date().getFullYear() + delta;
+                return <option key={optionYear} value={optionYear}>{optionYear}</option>;
+              })}
+            </select>
+          </div>
+
+          <table className="changes-table holiday-table">
+            <thead>
+              <tr>
+                <th>Holiday</th>
+                <th>Rule</th>
+                <th>Observed {year}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {definitions.map(definition => {
+                const resolved = holidays.find(holiday => holiday.id === definition.id);
+                return (
+                  <tr key={definition.id}>
+                    <td className="employee-name">{definition.name}</td>
+                    <td className="rule-description">{describeRule(definition)}</td>
+                    <td className="date-cell">
+                      {resolved ? resolved.date : '—'}
+                      {resolved && resolved.date !== resolved.actualDate && (
+                        <div className="rule-description">Falls on {resolved.actualDate}</div>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => handleRemove(definition)}
+                        disabled={saving}
+                        className="btn btn-secondary btn-small"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <form onSubmit={handleAdd} className="holiday-add-form">
+            <input
+              type="text"
+              value={newHoliday.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              placeholder="Holiday name"
+              className="search-input"
+              required
+            />
+
+            <select
+              value={newHoliday.type}
+              onChange={(e) => updateField('type', e.target.value)}
+              className="filter-select"
+            >
+              <option value="fixed">Fixed date</option>
+              <option value="nthWeekday">Nth weekday of month</option>
+              <option value="date">One-time date</option>
+            </select>
+
+            {newHoliday.type === 'nthWeekday' && (
+              <>
+                <select value={newHoliday.week} onChange={(e) => updateField('week', Number(e.target.value))} className="filter-select">
+                  {Object.entries(WEEKS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select value={newHoliday.weekday} onChange={(e) => updateField('weekday', Number(e.target.value))} className="filter-select">
+                  {WEEKDAYS.map((label, value) => (
+                    <option key={label} value={value}>{label}</option>
+                  ))}
+                </select>
+              </>
+            )}
+
+            {newHoliday.type !== 'date' && (
+              <select value={newHoliday.month} onChange={(e) => updateField('month', Number(e.target.value))} className="filter-select">
+                {MONTHS.map((label, index) => (
+                  <option key={label} value={index + 1}>{label}</option>
+                ))}
+              </select>
+            )}
+
+            {newHoliday.type === 'fixed' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={newHoliday.day}
+                  onChange={(e) => updateField('day', Number(e.target.value))}
+                  className="search-input holiday-day-input"
+                />
+                <label className="holiday-observed">
+                  <input
+                    type="checkbox"
+                    checked={newHoliday.observed}
+                    onChange={(e) => updateField('observed', e.target.checked)}
+                  />
+                  Shift weekend dates
+                </label>
+              </>
+            )}
+
+            {newHoliday.type === 'date' && (
+              <input
+                type="text"
+                value={newHoliday.date}
+                onChange={(e) => updateField('date', e.target.value)}
+                placeholder="MM/DD/YYYY"
+                className="search-input"
+              />
+            )}
+
+            <button type="submit" disabled={saving} className="btn btn-primary btn-small">
+              Add Holiday
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HolidayCalendar;
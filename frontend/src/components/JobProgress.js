@@ -0,0 +1,68 @@
+import React from 'react';
+
+const JOB_STAGES = [
+  { id: 'extract', label: 'Extract', pending: 'Read the report pages' },
+  { id: 'parse', label: 'Parse', pending: 'Find employees and time entries' },
+  { id: 'rules', label: 'Apply Rules', pending: 'Apply the payroll rules' }
+];
+
+const JobProgress = ({ job, onCancel, cancelling }) => {
+  if (!job) {
+    return null;
+  }
+
+  // Latest message per stage, and the stage the job has reached
+  const stageMessages = {};
+  let currentStage = -1;
+  job.events
+    .filter(event => event.type === 'progress')
+    .forEach(event => {
+      stageMessages[event.stage] = event.message;
+      currentStage = Math.max(currentStage, JOB_STAGES.findIndex(stage => stage.id === event.stage));
+    });
+
+  const finished = job.status === 'completed';
+  const pageEvent = [...job.events].reverse().find(event => event.stage === 'extract' && event.pageCount);
+  const pagePercent = pageEvent ? Math.round((pageEvent.page / pageEvent.pageCount) * 100) : null;
+
+  const getStageStatus = (index) => {
+    if (finished || index < currentStage) {
+      return 'done';
+    }
+    return index === currentStage ? 'active' : 'pending';
+  };
+
+  return (
+    <div className="job-progress">
+      <h3>Processing {job.label}</h3>
+      <ol className="job-stages">
+        {JOB_STAGES.map((stage, index) => {
+          const status = getStageStatus(index);
+          return (
+            <li key={stage.id} className={`job-stage ${status}`}>
+              <span className="job-stage-marker">{status === 'done' ? '✓' : index + 1}</span>
+              <div>
+                <div className="job-stage-label">{stage.label}</div>
+                <div className="job-stage-message">{stageMessages[stage.id] || stage.pending}</div>
+                {stage.id === 'extract' && status === 'active' && pagePercent !== null && (
+                  <div className="job-page-bar">
+                    <div className="job-page-bar-fill" style={{ width: `${pagePercent}%` }}></div>
+                  </div>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      <button
+        className="btn btn-secondary"
+        onClick={onCancel}
+        disabled={cancelling || finished}
+      >
+        {cancelling ? 'Cancelling...' : 'Cancel'}
+      </button>
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,93 @@
+import React from 'react';
+
+const ParserWarnings = ({ diagnostics = [], extraction }) => {
+  const fallbackReason = extraction?.fallbackReason;
+
+  if (diagnostics.length === 0 && !fallbackReason) {
+    return null;
+  }
+
+  // Batch diagnostics are grouped by file so line numbers stay in order
+  const sourceOrder = [...new Set(diagnostics.map(diagnostic => diagnostic.sourceFile))];
+
+  // Lost entries first, then entries that were kept with guessed fields
+  const sorted = [...diagnostics].sort((a, b) =>
+    (a.type === 'skipped' ? 0 : 1) - (b.type === 'skipped' ? 0 : 1) ||
+    sourceOrder.indexOf(a.sourceFile) - sourceOrder.indexOf(b.sourceFile) ||
+    a.line - b.line
+  );
+  const skippedCount = diagnostics.filter(diagnostic => diagnostic.type === 'skipped').length;
+
+  // Table layout diagnostics point at a row on a page, line parser ones at a text line
+  const formatLocation = (diagnostic) => (
+    diagnostic.page ? `Page ${diagnostic.page}, row ${diagnostic.line}` : diagnostic.line
+  );
+
+  return (
+    <div className="parser-warnings-panel">
+      <h4>
+        {diagnostics.length} Parser Warning{diagnostics.length !== 1 ? 's' : ''}
+      </h4>
+
+      {fallbackReason && (
+        <p>
+          The table layout could not be used ({fallbackReason}), so the report was read with the
+          line parser instead.
+        </p>
+      )}
+
+      {diagnostics.length > 0 && (
+        <>
+          <p>
+            {skippedCount > 0
+              ? `${skippedCount} entr${skippedCount !== 1 ? 'ies were' : 'y was'} skipped and will be missing from the corrected report. `
+              : ''}
+            Compare these lines with the original report before approving.
+          </p>
+          <table className="changes-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Employee</th>
+                <th>Result</th>
+                <th>Reason</th>
+                <th>Raw Text</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(diagnostic => (
+                <tr key={`${diagnostic.sourceFile || ''}-${diagnostic.page || ''}-${diagnostic.line}-${diagnostic.code}`}>
+                  <td className="date-cell">
+                    {formatLocation(diagnostic)}
+                    {diagnostic.sourceFile && <div className="source-file">{diagnostic.sourceFile}</div>}
+                  </td>
+                  <td className="employee-cell">
+                    {diagnostic.employeeName ? (
+                      <>
+                        <div className="employee-name">{diagnostic.employeeName}</div>
+                        <div className="employee-id">ID: {diagnostic.employeeId}</div>
+                      </>
+                    ) : (
+                      <div className="employee-id">No employee</div>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`parser-warning-type ${diagnostic.type}`}>
+                      {diagnostic.type === 'skipped' ? 'Skipped' : 'Partly read'}
+                    </span>
+                  </td>
+                  <td className="rule-description">{diagnostic.reason}</td>
+                  <td>
+                    <pre className="parser-warning-raw">{diagnostic.rawText}</pre>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ParserWarnings;
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import payrollService from '../services/payrollService';
+
+const RateSettings = ({ adminToken }) => {
+  const [tables, setTables] = useState([]);
+  const [rulesVersion, setRulesVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [newValues, setNewValues] = useState({});
+
+  useEffect(() => {
+    const loadTables = async () => {
+      try {
+        const result = await payrollService.getRateTables();
+        setTables(result.tables || []);
+        setRulesVersion(result.rulesVersion);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTables();
+  }, []);
+
+  const replaceTable = (updatedTable) => {
+    setTables(current => current.map(table => (
+      table.id === updatedTable.id ? updatedTable : table
+    )));
+  };
+
+  const runUpdate = async (update) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      replaceTable(await update());
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e, tableId) => {
+    e.preventDefault();
+    const value = (newValues[tableId] || '').trim();
+    if (!value) return;
+
+    const added = await runUpdate(() => payrollService.addRate(tableId, value, adminToken));
+    if (added) {
+      setNewValues(current => ({ ...current, [tableId]: '' }));
+    }
+  };
+
+  const handleRemove = (tableId, value) => {
+    if (!window.confirm(`Remove "${value}" from this table?`)) return;
+    runUpdate(() => payrollService.removeRate(tableId, value, adminToken));
+  };
+
+  const handleReset = (table) => {
+    if (!window.confirm(`Reset ${table.label} to the default values?`)) return;
+    runUpdate(() => payrollService.resetRateTable(table.id, adminToken));
+  };
+
+  return (
+    <div className="rate-settings">
+      <div className="settings-section-header">
+        <h3>Labor Rates</h3>
+        <p>
+          Changes apply to the next report processed.
+          {rulesVersion && <span className="rules-version"> Rule set v{rulesVersion}</span>}
+        </p>
+      </div>
+
+      {error && (
+        <div className="error">
+          <div className="error-title">Could not save changes</div>
+          <div className="error-message">{error}</div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+          <span className="loading-text">Loading rate tables...</span>
+        </div>
+      ) : (
+        <div className="rate-tables">
+          {tables.map(table => (
+            <div key={table.id} className="rate-table-card">
+              <div className="rate-table-header">
+                <div>
+                  <h4>{table.label}</h4>
+                  <p className="rate-table-description">{table.description}</p>
+                </div>
+                {table.customized && (
+                  <button
+                    onClick={() => handleReset(table)}
+                    disabled={saving}
+                    className="btn btn-secondary btn-small"
+                  >
+                    Reset to Defaults
+                  </button>
+                )}
+              </div>
+
+              <div className="rate-values">
+                {table.values.map(value => (
+                  <span key={value} className="rate-chip">
+                    {value}
+                    <button
+                      onClick={() => handleRemove(table.id, value)}
+                      disabled={saving}
+                      className="rate-chip-remove"
+                      aria-label={`Remove ${value}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+
+              <form onSubmit={(e) => handleAdd(e, table.id)} className="rate-add-form">
+                <input
+                  type="text"
+                  value={newValues[table.id] || ''}
+                  onChange={(e) => setNewValues(current => ({ ...current, [table.id]: e.target.value }))}
+                  placeholder={table.kind === 'costCode' ? 'New cost code' : 'New labor rate, e.g. WN MN PM TECH'}
+                  className="search-input"
+                  disabled={saving}
+                />
+                <button type="submit" disabled={saving} className="btn btn-primary btn-small">
+                  Add
+                </button>
+              </form>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateSettings;
@@ -0,0 +1,93 @@
+import React from 'react';
+
+const ReconciliationPanel = ({ reconciliation }) => {
+  if (!reconciliation) {
+    return null;
+  }
+
+  const formatHours = (hours) => (hours === null || hours === undefined ? '—' : Number(hours).toFixed(2));
+
+  const formatPayType = (payType) => {
+    if (payType === 'total') return 'Total';
+    return payType.replace(/\b\w/g, letter => letter.toUpperCase());
+  };
+
+  if (reconciliation.status === 'unavailable') {
+    return (
+      <div className="reconciliation-panel unavailable">
+        <h4>Totals Not Checked</h4>
+        <p>
+          No Employee Totals or Report Totals were found in this report, so the parsed hours
+          could not be checked. Compare the totals with the original report before approving.
+        </p>
+      </div>
+    );
+  }
+
+  if (reconciliation.status === 'matched') {
+    return (
+      <div className="reconciliation-panel matched">
+        <h4>Hours Reconciled</h4>
+        <p>
+          Parsed hours match every printed total
+          {reconciliation.report && ` (Report Totals ${formatHours(reconciliation.report.printedTotal)} hours)`}.
+        </p>
+      </div>
+    );
+  }
+
+  // Batch results name the file each total was printed in
+  const withSource = (label, totals) => (totals.sourceFile ? `${label} - ${totals.sourceFile}` : label);
+
+  const reports = reconciliation.reports || (reconciliation.report ? [reconciliation.report] : []);
+
+  const mismatches = [
+    ...reconciliation.employees
+      .filter(employee => !employee.matched && employee.status !== 'unavailable')
+      .map(employee => ({
+        label: withSource(employee.employeeName
+          ? `${employee.employeeName} (ID: ${employee.employeeId})`
+          : 'Unknown employee', employee),
+        differences: employee.differences
+      })),
+    ...reports
+      .filter(report => !report.matched && report.status !== 'unavailable')
+      .map(report => ({ label: withSource('Report Totals', report), differences: report.differences }))
+  ];
+
+  return (
+    <div className="reconciliation-panel mismatch">
+      <h4>Hours Do Not Match the Report Totals</h4>
+      <p>
+        The parsed entries do not add up to {reconciliation.mismatchCount} total
+        {reconciliation.mismatchCount !== 1 ? 's' : ''} printed on the report, so some entries were
+        probably not read. The corrected report would be missing these hours - check the original
+        report before approving.
+      </p>
+      <table className="changes-table">
+        <thead>
+          <tr>
+            <th>Totals</th>
+            <th>Pay Type</th>
+            <th>Printed</th>
+            <th>Parsed</th>
+            <th>Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          {mismatches.flatMap(({ label, differences }) => differences.map(difference => (
+            <tr key={`${label}-${difference.payType}`}>
+              <td className="employee-name">{label}</td>
+              <td>{formatPayType(difference.payType)}</td>
+              <td>{formatHours(difference.printed)}</td>
+              <td>{formatHours(difference.parsed)}</td>
+              <td className="reconciliation-difference">{formatHours(difference.difference)}</td>
+            </tr>
+          )))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ReconciliationPanel;
@@ -1,13 +1,53 @@
 import React, { useState, useMemo } from 'react';
+import EntryEditor from './EntryEditor';
+import RuleTrace from './RuleTrace';
 
-const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
+const APPROVER_KEY = 'payrollApprovedBy';
+
+const ReviewChanges = ({
+  changes = [],
+  needsReview = [],
+  initialRejectedIds = [],
+  originalData = [],
+  trace = null,
+  onManualEdit,
+  onApprove,
+  onReject
+}) => {
   const [sortField, setSortField] = useState('employeeName');
   const [sortDirection, setSortDirection] = useState('asc');
   const [searchTerm, setSearchTerm] = useState('');
   const [filterRule, setFilterRule] = useState('all');
+  const [filterEmployee, setFilterEmployee] = useState('all');
+  const [rejectedIds, setRejectedIds] = useState(() => new Set(initialRejectedIds));
+  const [approvedBy, setApprovedBy] = useState(() => localStorage.getItem(APPROVER_KEY) || '');
+  const [explainedRows, setExplainedRows] = useState(() => new Set());
+
+  // Open or close the rule trace under a row
+  const toggleExplained = (rowKey) => {
+    setExplainedRows(current => {
+      const next = new Set(current);
+      if (next.has(rowKey)) {
+        next.delete(rowKey);
+      } else {
+        next.add(rowKey);
+      }
+      return next;
+    });
+  };
+
+  const renderExplainButton = (rowKey) => trace && (
+    <button
+      onClick={() => toggleExplained(rowKey)}
+      className="btn btn-secondary btn-small rule-trace-toggle"
+      title="Show every rule evaluated for this entry"
+    >
+      {explainedRows.has(rowKey) ? 'Hide Why' : 'Why?'}
+    </button>
+  );
 
   // Ensure changes is an array
-  const safeChanges = Array.isArray(changes) ? changes : [];
+  const safeChanges = useMemo(() => (Array.isArray(changes) ? changes : []), [changes]);
 
   // Get unique rules for filter dropdown
   const uniqueRules = useMemo(() => {
@@ -16,17 +56,22 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
     return rules.sort();
   }, [safeChanges]);
 
-  // Filter and sort changes
+  // Get unique employees for filter dropdown
+  const uniqueEmployees = useMemo(() => {
+    return [...new Set(safeChanges.map(change => change.employeeName))].sort();
+  }, [safeChanges]);
+
+  // Filter and sort changes (on a copy, so the engine order is kept for approval)
   const filteredAndSortedChanges = useMemo(() => {
-    let filtered = safeChanges;
+    let filtered = [...safeChanges];
 
     // Apply search filter
     if (searchTerm) {
       filtered = filtered.filter(change => 
         change.employeeName.toLowerCase().includes(searchTerm.toLowerCase()) ||
         change.field.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        change.originalValue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        change.correctedValue.toLowerCase().includes(searchTerm.toLowerCase())
+        String(change.originalValue).toLowerCase().includes(searchTerm.toLowerCase()) ||
+        String(change.correctedValue).toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
@@ -35,6 +80,11 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
       filtered = filtered.filter(change => change.rule === filterRule);
     }
 
+    // Apply employee filter
+    if (filterEmployee !== 'all') {
+      filtered = filtered.filter(change => change.employeeName === filterEmployee);
+    }
+
     // Apply sorting
     filtered.sort((a, b) => {
       let aValue = a[sortField];
@@ -53,7 +103,26 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
     });
 
     return filtered;
-  }, [safeChanges, searchTerm, filterRule, sortField, sortDirection]);
+  }, [safeChanges, searchTerm, filterRule, filterEmployee, sortField, sortDirection]);
+
+  const acceptedChanges = useMemo(
+    () => safeChanges.filter(change => !rejectedIds.has(change.id)),
+    [safeChanges, rejectedIds]
+  );
+
+  const setDecision = (changesToUpdate, accepted) => {
+    setRejectedIds(current => {
+      const next = new Set(current);
+      changesToUpdate.forEach(change => {
+        if (accepted) {
+          next.delete(change.id);
+        } else {
+          next.add(change.id);
+        }
+      });
+      return next;
+    });
+  };
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -76,7 +145,8 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
       payType: 'Pay Type',
       laborRate: 'Labor Rate',
       costCode: 'Cost Code',
-      costCategory: 'Cost Category'
+      costCategory: 'Cost Category',
+      hours: 'Hours'
     };
     return fieldNames[field] || field;
   };
@@ -88,11 +158,69 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
         <p>
           {changes.length === 0 
             ? 'No corrections needed - all entries follow the rules!'
-            : `Found ${changes.length} correction${changes.length !== 1 ? 's' : ''} to apply:`
+            : `Found ${changes.length} correction${changes.length !== 1 ? 's' : ''} - ${acceptedChanges.length} accepted, ${changes.length - acceptedChanges.length} rejected:`
           }
         </p>
       </div>
 
+      {needsReview.length > 0 && (
+        <div className="needs-review-panel">
+          <h4>
+            {needsReview.length} Entr{needsReview.length !== 1 ? 'ies' : 'y'} Need Manual Review
+          </h4>
+          <p>These entries could not be corrected automatically and were left unchanged.</p>
+          <table className="changes-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Date</th>
+                <th>Field</th>
+                <th>Value</th>
+                <th>Rule</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {needsReview.map((item, index) => (
+                <React.Fragment key={index}>
+                <tr className="needs-review-row">
+                  <td className="employee-cell">
+                    <div className="employee-name">{item.employeeName}</div>
+                    <div className="employee-id">ID: {item.employeeId}</div>
+                    {item.sourceFile && <div className="source-file">{item.sourceFile}</div>}
+                  </td>
+                  <td className="date-cell">{item.date}</td>
+                  <td className="field-cell">{formatFieldName(item.field)}</td>
+                  <td>
+                    <span className="value-badge original">{item.value || '(blank)'}</span>
+                  </td>
+                  <td className="rule-cell">{item.rule}</td>
+                  <td className="rule-description">
+                    {item.reason}
+                    {renderExplainButton(`review-${index}`)}
+                  </td>
+                </tr>
+                {explainedRows.has(`review-${index}`) && (
+                  <tr className="rule-trace-row">
+                    <td colSpan={6}>
+                      <RuleTrace entryTrace={trace[item.entryIndex]} />
+                    </td>
+                  </tr>
+                )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <EntryEditor
+        originalData={originalData}
+        acceptedChanges={acceptedChanges}
+        trace={trace}
+        onSave={onManualEdit}
+      />
+
       {changes.length > 0 && (
         <>
           <div className="review-controls">
@@ -119,9 +247,37 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
               </select>
             </div>
 
+            <div className="filter-box">
+              <select
+                value={filterEmployee}
+                onChange={(e) => setFilterEmployee(e.target.value)}
+                className="filter-select"
+              >
+                <option value="all">All Employees</option>
+                {uniqueEmployees.map(employee => (
+                  <option key={employee} value={employee}>{employee}</option>
+                ))}
+              </select>
+            </div>
+
             <div className="results-count">
               Showing {filteredAndSortedChanges.length} of {changes.length} changes
             </div>
+
+            <div className="bulk-decisions">
+              <button
+                onClick={() => setDecision(filteredAndSortedChanges, true)}
+                className="btn btn-secondary btn-small"
+              >
+                Accept Shown
+              </button>
+              <button
+                onClick={() => setDecision(filteredAndSortedChanges, false)}
+                className="btn btn-secondary btn-small"
+              >
+                Reject Shown
+              </button>
+            </div>
           </div>
 
           <div className="changes-table-container">
@@ -142,29 +298,53 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
                   <th onClick={() => handleSort('rule')} className="sortable">
                     Rule Applied {getSortIcon('rule')}
                   </th>
+                  <th>Decision</th>
                 </tr>
               </thead>
               <tbody>
-                {filteredAndSortedChanges.map((change, index) => (
-                  <tr key={index} className="change-row">
-                    <td className="employee-cell">
-                      <div className="employee-name">{change.employeeName}</div>
-                      <div className="employee-id">ID: {change.employeeId}</div>
-                    </td>
-                    <td className="date-cell">{change.date}</td>
-                    <td className="field-cell">{formatFieldName(change.field)}</td>
-                    <td className="original-value">
-                      <span className="value-badge original">{change.originalValue}</span>
-                    </td>
-                    <td className="corrected-value">
-                      <span className="value-badge corrected">{change.correctedValue}</span>
-                    </td>
-                    <td className="rule-cell">
-                      <div className="rule-name">{change.rule}</div>
-                      <div className="rule-description">{change.description}</div>
-                    </td>
-                  </tr>
-                ))}
+                {filteredAndSortedChanges.map(change => {
+                  const accepted = !rejectedIds.has(change.id);
+                  return (
+                    <React.Fragment key={change.id}>
+                    <tr className={`change-row ${accepted ? '' : 'rejected'}`}>
+                      <td className="employee-cell">
+                        <div className="employee-name">{change.employeeName}</div>
+                        <div className="employee-id">ID: {change.employeeId}</div>
+                        {change.sourceFile && <div className="source-file">{change.sourceFile}</div>}
+                      </td>
+                      <td className="date-cell">{change.date}</td>
+                      <td className="field-cell">{formatFieldName(change.field)}</td>
+                      <td className="original-value">
+                        <span className="value-badge original">{change.originalValue}</span>
+                      </td>
+                      <td className="corrected-value">
+                        <span className="value-badge corrected">{change.correctedValue}</span>
+                      </td>
+                      <td className="rule-cell">
+                        <div className="rule-name">{change.rule}</div>
+                        <div className="rule-description">{change.description}</div>
+                      </td>
+                      <td className="decision-cell">
+                        <button
+                          onClick={() => setDecision([change], !accepted)}
+                          className={`decision-toggle ${accepted ? 'accepted' : 'rejected'}`}
+                          title={accepted ? 'Click to reject this change' : 'Click to accept this change'}
+                        >
+                          {accepted ? '✓ Accepted' : '✕ Rejected'}
+                        </button>
+                        {renderExplainButton(`change-${change.id}`)}
+                      </td>
+                    </tr>
+                    {explainedRows.has(`change-${change.id}`) && (
+                      <tr className="rule-trace-row">
+                        <td colSpan={7}>
+                          <RuleTrace entryTrace={trace[change.entryIndex]} />
+                        </td>
+                      </tr>
+                    )}
+                    </React.Fragment>
+                  );
+                })}
               </tbody>
             </table>
           </div>
@@ -178,14 +358,25 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
         >
           Cancel
         </button>
+
+        <input
+          type="text"
+          value={approvedBy}
+          onChange={(e) => {
+            setApprovedBy(e.target.value);
+            localStorage.setItem(APPROVER_KEY, e.target.value);
+          }}
+          placeholder="Approved by (your name)"
+          className="search-input approved-by-input"
+        />
         
         <button 
-          onClick={onApprove} 
+          onClick={() => onApprove(acceptedChanges, approvedBy.trim())} 
           className="btn btn-primary"
         >
-          {changes.length === 0 
+          {acceptedChanges.length === 0 
             ? 'Continue to Download' 
-            : `Apply ${changes.length} Correction${changes.length !== 1 ? 's' : ''}`
+            : `Apply ${acceptedChanges.length} Correction${acceptedChanges.length !== 1 ? 's' : ''}`
           }
         </button>
       </div>
@@ -194,7 +385,8 @@ const ReviewChanges = ({ changes = [], onApprove, onReject }) => {
         <div className="review-notice">
           <p>
             <strong>Notice:</strong> Clicking "Apply Corrections" will generate a new payroll report 
-            with the above changes applied. You can review the final report before downloading.
+            with only the accepted changes applied to the original entries. Rejected changes are left
+            as they appeared in the original report. You can review the final report before downloading.
           </p>
         </div>
       )}
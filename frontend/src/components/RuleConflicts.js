@@ -0,0 +1,78 @@
+import React from 'react';
+
+const CONFLICT_LABELS = {
+  overwrite: 'Same field',
+  condition: 'Pre-empted'
+};
+
+// A rule's proposal, as "field → value" for each field it would change
+const describeProposal = (proposal) => proposal.changes
+  .map(change => `${change.field} → ${change.reason ? 'needs review' : change.value}`)
+  .join(', ');
+
+const RuleConflicts = ({ conflicts = [] }) => {
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  const undeclared = conflicts.filter(conflict => conflict.resolvedBy === 'order').length;
+
+  return (
+    <div className="rule-conflicts-panel">
+      <h4>
+        {conflicts.length} Rule Conflict{conflicts.length !== 1 ? 's' : ''}
+      </h4>
+      <p>
+        Two rules wanted different values for the same entry. The rule with the higher priority in
+        rules.json was kept.
+        {undeclared > 0 && ` ${undeclared} conflict${undeclared !== 1 ? 's were' : ' was'} settled by rule order only - give the rules a priority to make the outcome intentional.`}
+      </p>
+      <table className="changes-table">
+        <thead>
+          <tr>
+            <th>Employee</th>
+            <th>Date</th>
+            <th>Conflict</th>
+            <th>Proposals</th>
+            <th>Kept</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflicts.map((conflict, index) => (
+            <tr key={index}>
+              <td className="employee-cell">
+                <div className="employee-name">{conflict.employeeName}</div>
+                <div className="employee-id">ID: {conflict.employeeId}</div>
+              </td>
+              <td className="date-cell">{conflict.date}</td>
+              <td>
+                <span className={`rule-conflict-type ${conflict.type}`}>
+                  {CONFLICT_LABELS[conflict.type] || conflict.type}
+                </span>
+                <div className="employee-id">{conflict.field}</div>
+              </td>
+              <td>
+                {conflict.proposals.map(proposal => (
+                  <div
+                    key={proposal.ruleId}
+                    className={`rule-conflict-proposal ${proposal.ruleId === conflict.winner ? 'winner' : ''}`}
+                  >
+                    <strong>{proposal.rule}</strong> (priority {proposal.priority}): {describeProposal(proposal)}
+                  </div>
+                ))}
+              </td>
+              <td className="rule-description">
+                {conflict.description}
+                {conflict.resolvedBy === 'order' && (
+                  <span className="rule-conflict-undeclared">No priority declared</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RuleConflicts;
@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import payrollService from '../services/payrollService';
+import RuleConflicts from './RuleConflicts';
+import RuleTrace from './RuleTrace';
+
+const SAMPLE_ENTRIES = payrollService.formatSandboxEntries([
+  {
+    employeeName: 'Smith, John',
+    employeeId: '101',
+    date: '03/10/2025',
+    hours: 8,
+    payType: 'Regular',
+    laborRate: 'TECH',
+    costCode: 'PM',
+    costCategory: 'DirLab',
+    description: 'Quarterly maintenance'
+  }
+]);
+
+// Fields shown for an entry, in the order they are listed
+const ENTRY_FIELDS = ['date', 'hours', 'payType', 'laborRate', 'costCode', 'costCategory'];
+
+// Rate table values as typed: comma-separated, blanks dropped
+const parseTableValues = (text) => text.split(',').map(value => value.trim()).filter(Boolean);
+
+// An entry's fields, highlighting the ones that differ from the input entry
+const EntryFields = ({ entry, input }) => (
+  <div className="sandbox-entry">
+    {ENTRY_FIELDS.map(field => {
+      const changed = input && String(entry[field] ?? '') !== String(input[field] ?? '');
+      return (
+        <span key={field} className={`sandbox-field ${changed ? 'changed' : ''}`} title={field}>
+          {entry[field] === undefined || entry[field] === '' ? '—' : String(entry[field])}
+        </span>
+      );
+    })}
+  </div>
+);
+
+const IssueList = ({ issues }) => (
+  issues.length === 0
+    ? <span className="sandbox-no-issues">None</span>
+    : (
+      <ul className="sandbox-issues">
+        {issues.map((issue, index) => <li key={index}>{issue}</li>)}
+      </ul>
+    )
+);
+
+const RuleSandbox = () => {
+  const [entriesText, setEntriesText] = useState(SAMPLE_ENTRIES);
+  const [tables, setTables] = useState([]);
+  const [proposedValues, setProposedValues] = useState({});
+  const [runs, setRuns] = useState([]);
+  const [runEntries, setRunEntries] = useState(null);
+  const [pickedIndexes, setPickedIndexes] = useState(new Set());
+  const [explain, setExplain] = useState(false);
+  const [explainedRows, setExplainedRows] = useState(new Set());
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSources = async () => {
+      try {
+        const [rateResult, historyResult] = await Promise.all([
+          payrollService.getRateTables(),
+          payrollService.getHistory()
+        ]);
+        setTables(rateResult.tables || []);
+        setRuns(historyResult.runs || []);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    loadSources();
+  }, []);
+
+  // Tables whose typed values differ from the live ones
+  const getProposedTables = () => {
+    const proposed = {};
+    tables.forEach(table => {
+      if (proposedValues[table.id] === undefined) return;
+      const values = parseTableValues(proposedValues[table.id]);
+      if (values.join(',') !== table.values.join(',')) {
+        proposed[table.id] = values;
+      }
+    });
+    return proposed;
+  };
+
+  const handleSelectRun = async (runId) => {
+    setRunEntries(null);
+    setPickedIndexes(new Set());
+    if (!runId) return;
+
+    try {
+      const run = await payrollService.getRun(runId);
+      setRunEntries(run.originalEntries);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const togglePicked = (index) => {
+    setPickedIndexes(current => {
+      const next = new Set(current);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const handleAddPicked = () => {
+    const picked = runEntries.filter((entry, index) => pickedIndexes.has(index));
+    const { entries: current, errors } = payrollService.parseSandboxEntries(entriesText);
+    // Replace the sample, but keep entries typed or picked earlier
+    const kept = errors.length === 0 && entriesText !== SAMPLE_ENTRIES ? current : [];
+    setEntriesText(payrollService.formatSandboxEntries([...kept, ...picked]));
+    setPickedIndexes(new Set());
+  };
+
+  const toggleExplained = (entryIndex) => {
+    setExplainedRows(current => {
+      const next = new Set(current);
+      if (next.has(entryIndex)) {
+        next.delete(entryIndex);
+      } else {
+        next.add(entryIndex);
+      }
+      return next;
+    });
+  };
+
+  const handleRun = async () => {
+    const { entries, errors } = payrollService.parseSandboxEntries(entriesText);
+    if (errors.length > 0) {
+      setError(errors.join('; '));
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+    setExplainedRows(new Set());
+
+    try {
+      const proposed = getProposedTables();
+      const response = await payrollService.testRules(entries, {
+        tables: Object.keys(proposed).length > 0 ? proposed : undefined,
+        explain
+      });
+      setResult(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderResults = () => {
+    const { input, output, sourceIndexes, changes, needsReview, conflicts, issues, proposedTables, trace } = result;
+    const issuesBefore = issues.input.reduce((sum, list) => sum + list.length, 0);
+    const issuesAfter = issues.output.reduce((sum, list) => sum + list.length, 0);
+
+    return (
+      <div className="sandbox-results">
+        <div className="sandbox-summary">
+          <span>{changes.length} change{changes.length !== 1 ? 's' : ''}</span>
+          <span>{needsReview.length} for manual review</span>
+          <span>Rule issues: {issuesBefore} before, {issuesAfter} after</span>
+          {proposedTables.length > 0 && (
+            <span className="sandbox-proposed-note">
+              With proposed values for {proposedTables.length} rate table{proposedTables.length !== 1 ? 's' : ''}
+            </span>
+          )}
+        </div>
+
+        <div className="changes-table-container">
+          <table className="changes-table sandbox-table">
+            <thead>
+              <tr>
+                <th>Entry</th>
+                <th>Corrected</th>
+                <th>Changes</th>
+                <th>Rule Issues Before</th>
+                <th>Rule Issues After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {input.map((entry, entryIndex) => {
+                const corrected = output
+                  .map((value, index) => ({ value, index }))
+                  .filter(({ index }) => sourceIndexes[index] === entryIndex);
+                const entryChanges = changes.filter(change => change.entryIndex === entryIndex);
+                const entryReview = needsReview.filter(item => item.entryIndex === entryIndex);
+
+                return (
+                  <React.Fragment key={entryIndex}>
+                    <tr>
+                      <td className="employee-cell">
+                        <div className="employee-name">{entry.employeeName || `Entry ${entryIndex + 1}`}</div>
+                        {entry.employeeId && <div className="employee-id">ID: {entry.employeeId}</div>}
+                        <EntryFields entry={entry} />
+                        {trace && (
+                          <button onClick={() => toggleExplained(entryIndex)} className="btn btn-secondary btn-small rule-trace-toggle">
+                            {explainedRows.has(entryIndex) ? 'Hide Why' : 'Why?'}
+                          </button>
+                        )}
+                      </td>
+                      <td>
+                        {corrected.map(({ value, index }) => (
+                          <EntryFields key={index} entry={value} input={entry} />
+                        ))}
+                      </td>
+                      <td>
+                        {entryChanges.length === 0 && entryReview.length === 0 && (
+                          <span className="sandbox-no-issues">None</span>
+                        )}
+                        {entryChanges.map(change => (
+                          <div key={change.id} className="sandbox-change">
+                            <span className="rule-badge">{change.rule}</span>
+                            <div>
+                              {change.field}:{' '}
+                              <span className="value-badge original">{String(change.originalValue)}</span>
+                              {' → '}
+                              <span className="value-badge corrected">{String(change.correctedValue)}</span>
+                            </div>
+                          </div>
+                        ))}
+                        {entryReview.map((item, index) => (
+                          <div key={`review-${index}`} className="sandbox-change review">
+                            <span className="rule-badge">{item.rule}</span>
+                            <div>Needs review: {item.reason}</div>
+                          </div>
+                        ))}
+                      </td>
+                      <td><IssueList issues={issues.input[entryIndex]} /></td>
+                      <td>
+                        <IssueList issues={corrected.flatMap(({ index }) => issues.output[index])} />
+                      </td>
+                    </tr>
+                    {trace && explainedRows.has(entryIndex) && (
+                      <tr className="rule-trace-row">
+                        <td colSpan={5}>
+                          <RuleTrace entryTrace={trace[entryIndex]} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <RuleConflicts conflicts={conflicts} />
+      </div>
+    );
+  };
+
+  const proposedCount = Object.keys(getProposedTables()).length;
+
+  return (
+    <div className="rule-sandbox">
+      <div className="review-header">
+        <h3>Rule Sandbox</h3>
+        <p>
+          Try entries against the rules - and against rate table changes before they go live.
+          Nothing run here is saved or changes the live rate tables.
+        </p>
+      </div>
+
+      {error && (
+        <div className="error">
+          <div className="error-title">Sandbox error</div>
+          <div className="error-message">{error}</div>
+        </div>
+      )}
+
+      <div className="sandbox-inputs">
+        <div className="sandbox-panel">
+          <h4>Entries</h4>
+          <p className="rate-table-description">
+            One entry per row under the header row, tab- or comma-separated (paste from a spreadsheet),
+            or a JSON array of entries.
+          </p>
+          <textarea
+            value={entriesText}
+            onChange={(e) => setEntriesText(e.target.value)}
+            className="sandbox-entries-input"
+            rows={8}
+            spellCheck={false}
+          />
+          <div className="sandbox-actions">
+            <button onClick={() => setEntriesText(SAMPLE_ENTRIES)} className="btn btn-secondary btn-small">
+              Reset to Sample
+            </button>
+          </div>
+
+          <div className="sandbox-pick">
+            <label>
+              Pick entries from a past run:{' '}
+              <select onChange={(e) => handleSelectRun(e.target.value)} defaultValue="">
+                <option value="">Choose a run</option>
+                {runs.map(run => (
+                  <option key={run.id} value={run.id}>
+                    {run.filename} ({run.payPeriodId || 'no pay period'}, {run.entryCount} entries)
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {runEntries && (
+              <>
+                <div className="sandbox-run-entries">
+                  {runEntries.map((entry, index) => (
+                    <label key={index} className="sandbox-run-entry">
+                      <input
+                        type="checkbox"
+                        checked={pickedIndexes.has(index)}
+                        onChange={() => togglePicked(index)}
+                      />
+                      {entry.employeeName} - {entry.date} - {entry.hours}h {entry.payType} {entry.laborRate} {entry.costCode}
+                    </label>
+                  ))}
+                </div>
+                <button
+                  onClick={handleAddPicked}
+                  disabled={pickedIndexes.size === 0}
+                  className="btn btn-secondary btn-small"
+                >
+                  Add {pickedIndexes.size} Selected
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="sandbox-panel">
+          <h4>Proposed Rate Tables</h4>
+          <p className="rate-table-description">
+            Edit a table's comma-separated values to see how the change would behave. The live tables are
+            edited under Settings.
+          </p>
+          {tables.map(table => {
+            const value = proposedValues[table.id] ?? table.values.join(', ');
+            const proposed = parseTableValues(value).join(',') !== table.values.join(',');
+            return (
+              <div key={table.id} className={`sandbox-table-input ${proposed ? 'proposed' : ''}`}>
+                <label>
+                  {table.label}
+                  {proposed && <span className="sandbox-proposed-note"> Proposed</span>}
+                  <input
+                    type="text"
+                    value={value}
+                    onChange={(e) => setProposedValues(current => ({ ...current, [table.id]: e.target.value }))}
+                    className="search-input"
+                  />
+                </label>
+                {proposed && (
+                  <button
+                    onClick={() => setProposedValues(current => ({ ...current, [table.id]: undefined }))}
+                    className="btn btn-secondary btn-small"
+                  >
+                    Use Live Values
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="sandbox-actions">
+        <label className="sandbox-explain">
+          <input type="checkbox" checked={explain} onChange={(e) => setExplain(e.target.checked)} />
+          Explain rule decisions
+        </label>
+        <button onClick={handleRun} disabled={running} className="btn btn-primary">
+          {running ? 'Running...' : `Run Rules${proposedCount > 0 ? ` with ${proposedCount} Proposed Table${proposedCount !== 1 ? 's' : ''}` : ''}`}
+        </button>
+      </div>
+
+      {result && renderResults()}
+    </div>
+  );
+};
+
+export default RuleSandbox;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+const RuleSelectionNote = ({ ruleSelection }) => {
+  if (!ruleSelection) {
+    return null;
+  }
+
+  const ruleSetVersions = ruleSelection.ruleSetVersions || [];
+  const earlierRuleSets = ruleSetVersions.length > 1 ||
+    (ruleSetVersions.length === 1 && ruleSetVersions[0] !== ruleSelection.rulesVersion);
+  if (ruleSelection.skipped.length === 0 && !earlierRuleSets) {
+    return null;
+  }
+
+  const ruleCount = ruleSelection.applied.length + ruleSelection.skipped.length;
+
+  return (
+    <div className="rule-selection-note">
+      {ruleSelection.skipped.length > 0 && (
+        <>
+          <strong>
+            {ruleSelection.applied.length} of {ruleCount} rules applied
+          </strong>
+          {' '}(rule set {ruleSelection.rulesVersion}). Skipped for this run:{' '}
+          {ruleSelection.skipped.map(rule => rule.name).join(', ')}. The downloaded reports state which
+          rules were applied.
+        </>
+      )}
+      {earlierRuleSets && (
+        <div>
+          <strong>Corrected with rule set{ruleSetVersions.length !== 1 ? 's' : ''} {ruleSetVersions.join(', ')}</strong>
+          {' '}- each entry was checked against the rules and rate lists in effect on its date; every
+          change records its rule set version.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RuleSelectionNote;
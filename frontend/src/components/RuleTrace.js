@@ -0,0 +1,84 @@
+import React from 'react';
+
+// Show a traced value, keeping blanks visible
+const formatValue = (value) => (value === undefined || value === null || value === '' ? '(blank)' : String(value));
+
+const CORRECTION_OUTCOMES = {
+  changed: 'changed',
+  unchanged: 'already correct',
+  skipped: 'skipped',
+  review: 'sent to manual review',
+  overridden: 'kept by a higher-priority rule'
+};
+
+// A condition and, for all/any/not, the tests it is made of
+const ConditionResult = ({ condition }) => (
+  <li className={`rule-trace-condition ${condition.result ? 'passed' : 'failed'}`}>
+    <span className="rule-trace-mark">{condition.result ? '✓' : '✕'}</span>
+    {condition.test}
+    {condition.field && <span className="rule-trace-value"> (is {formatValue(condition.value)})</span>}
+    {condition.conditions && (
+      <ul>
+        {condition.conditions.map((child, index) => (
+          <ConditionResult key={index} condition={child} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+const RuleTrace = ({ entryTrace }) => {
+  if (!entryTrace) {
+    return <p className="rule-trace-empty">No rule trace for this entry.</p>;
+  }
+
+  return (
+    <ol className="rule-trace">
+      {entryTrace.rules.map(step => {
+        const status = step.disabled ? 'disabled' : step.matched ? 'matched' : 'skipped';
+        const changedFields = step.fields.filter(value => value.before !== value.after);
+
+        return (
+          <li key={step.ruleId} className={`rule-trace-step ${status}`}>
+            <div className="rule-trace-header">
+              <span className="rule-trace-name">{step.rule}</span>
+              <span className="rule-trace-outcome">{step.outcome}</span>
+            </div>
+
+            {step.condition && (
+              <ul className="rule-trace-conditions">
+                <ConditionResult condition={step.condition} />
+              </ul>
+            )}
+
+            {step.corrections.map((correction, index) => (
+              <div key={index} className="rule-trace-correction">
+                {correction.rule}: {correction.field} {CORRECTION_OUTCOMES[correction.outcome] || correction.outcome}
+                {correction.reason && ` - ${correction.reason}`}
+                {correction.unless && (
+                  <ul className="rule-trace-conditions">
+                    <ConditionResult condition={{ ...correction.unless, test: `unless ${correction.unless.test}` }} />
+                  </ul>
+                )}
+              </div>
+            ))}
+
+            {changedFields.length > 0 && (
+              <div className="rule-trace-fields">
+                {changedFields.map(value => (
+                  <span key={value.field}>
+                    {value.field}: <span className="value-badge original">{formatValue(value.before)}</span>
+                    {' → '}
+                    <span className="value-badge corrected">{formatValue(value.after)}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default RuleTrace;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import RateSettings from './RateSettings';
+import HolidayCalendar from './HolidayCalendar';
+
+const ADMIN_TOKEN_KEY = 'payrollAdminToken';
+
+const Settings = ({ onClose }) => {
+  const [adminToken, setAdminToken] = useState(
+    () => sessionStorage.getItem(ADMIN_TOKEN_KEY) || ''
+  );
+
+  const handleTokenChange = (e) => {
+    setAdminToken(e.target.value);
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, e.target.value);
+  };
+
+  return (
+    <div className="settings-container">
+      <div className="settings-header">
+        <div>
+          <h3>Settings</h3>
+          <p>Rate tables and holidays used by the payroll rules</p>
+        </div>
+        <button onClick={onClose} className="btn btn-secondary">
+          Back to Reports
+        </button>
+      </div>
+
+      <div className="admin-token">
+        <label htmlFor="admin-token-input">Admin Token</label>
+        <input
+          id="admin-token-input"
+          type="password"
+          value={adminToken}
+          onChange={handleTokenChange}
+          placeholder="Required to save changes"
+          className="search-input"
+        />
+      </div>
+
+      <RateSettings adminToken={adminToken} />
+      <HolidayCalendar adminToken={adminToken} />
+    </div>
+  );
+};
+
+export default Settings;
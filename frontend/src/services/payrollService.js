@@ -1,20 +1,39 @@
 import api from './api';
 
+// Job states after which no more events arrive
+const JOB_FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Entry fields the rule sandbox reads and writes, in column order
+const SANDBOX_FIELDS = [
+  'employeeName', 'employeeId', 'date', 'hours', 'payType',
+  'laborRate', 'costCode', 'costCategory', 'description'
+];
+
 /**
  * PayrollService - Handles all payroll-related API calls
  */
 class PayrollService {
   /**
-   * Process uploaded PDF file and apply payroll rules
-   * @param {File} file - The PDF file to process
-   * @returns {Promise<Object>} Processing results with changes and summary
+   * Start processing a PDF, CSV or XLSX file in the background
+   * @param {File} file - The report or time-entry export to process
+   * @param {Object} options - { extractionMode: 'text' (line order) or 'layout' (table positions),
+   *   columnMapping: { field: header } for CSV and XLSX files, rules: ids of the rules to
+   *   run (all when omitted), explain: include the rule trace as data.trace }
+   * @returns {Promise<Object>} { jobId, status } of the queued job
    */
-  async processPDF(file) {
+  async createJob(file, { extractionMode = 'text', columnMapping, rules, explain = false } = {}) {
     try {
       const formData = new FormData();
       formData.append('payrollPdf', file);
+      formData.append('extractionMode', extractionMode);
+      if (columnMapping) {
+        formData.append('columnMapping', JSON.stringify(columnMapping));
+      }
+      if (rules) {
+        formData.append('rules', JSON.stringify(rules));
+      }
 
-      const response = await api.post('/payroll/process', formData, {
+      const response = await api.post(`/payroll/jobs${explain ? '?explain=true' : ''}`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -22,10 +41,132 @@ class PayrollService {
 
       return response.data;
     } catch (error) {
-      this.handleError('Failed to process PDF', error);
+      this.handleError('Failed to start processing', error);
     }
   }
 
+  /**
+   * Follow a job's progress events until it finishes
+   * @param {string} jobId - Id returned by createJob
+   * @param {Function} onEvent - Called with each progress and status event
+   * @returns {Promise<Object>} The finished job, with result or error
+   */
+  watchJob(jobId, onEvent) {
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`${api.defaults.baseURL}/payroll/jobs/${jobId}/events`);
+
+      const handleEvent = (message) => {
+        const event = JSON.parse(message.data);
+        onEvent(event);
+
+        if (event.type === 'status' && JOB_FINISHED_STATUSES.includes(event.status)) {
+          events.close();
+          this.getJob(jobId).then(resolve, reject);
+        }
+      };
+
+      events.addEventListener('progress', handleEvent);
+      events.addEventListener('status', handleEvent);
+      // The browser reconnects on its own unless the server refused the stream
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          reject(new Error('Lost the connection to the processing job. Please try again.'));
+        }
+      };
+    });
+  }
+
+  /**
+   * Get a processing job's status and, once completed, its result
+   * @param {string} jobId - Id returned by createJob
+   * @returns {Promise<Object>} Job with status, last progress event, result and error
+   */
+  async getJob(jobId) {
+    try {
+      const response = await api.get(`/payroll/jobs/${jobId}`);
+      return response.data.job;
+    } catch (error) {
+      this.handleError('Failed to load processing job', error);
+    }
+  }
+
+  /**
+   * Cancel a queued or running processing job
+   * @param {string} jobId - Id returned by createJob
+   * @returns {Promise<Object>} The cancelled job
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await api.delete(`/payroll/jobs/${jobId}`);
+      return response.data.job;
+    } catch (error) {
+      this.handleError('Failed to cancel processing', error);
+    }
+  }
+
+  /**
+   * Start processing several payroll PDFs (e.g. one per branch) as one combined review
+   * @param {File[]} files - The PDF reports to process
+   * @param {Object} options - { extractionMode, rules, explain } as for createJob
+   * @returns {Promise<Object>} { jobId, status } of the queued job; its result
+   *   is the merged review - entries, changes and review items carry sourceFile,
+   *   and metadata.batch lists the files, pay periods and duplicate entries
+   *   found across files
+   */
+  async createBatchJob(files, { extractionMode = 'text', rules, explain = false } = {}) {
+    try {
+      const formData = new FormData();
+      files.forEach(file => formData.append('payrollPdfs', file));
+      formData.append('extractionMode', extractionMode);
+      if (rules) {
+        formData.append('rules', JSON.stringify(rules));
+      }
+
+      const response = await api.post(`/payroll/jobs/batch${explain ? '?explain=true' : ''}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to start processing', error);
+    }
+  }
+
+  /**
+   * Read a CSV or XLSX file's headers and the suggested column mapping
+   * @param {File} file - The time-entry export
+   * @returns {Promise<Object>} Headers, sample rows, mappable fields and the
+   *   suggested mapping ('saved' when the same headers were mapped before)
+   */
+  async previewImport(file) {
+    try {
+      const formData = new FormData();
+      formData.append('payrollPdf', file);
+
+      const response = await api.post('/payroll/import/preview', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to read spreadsheet', error);
+    }
+  }
+
+  /**
+   * Get an uploaded file's format from its extension
+   * @param {File} file - Uploaded file
+   * @returns {string|null} 'pdf', 'csv', 'xlsx' or null if unsupported
+   */
+  getFileFormat(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return ['pdf', 'csv', 'xlsx'].includes(extension) ? extension : null;
+  }
+
   /**
    * Download processed payroll report as PDF
    * @param {Object} data - Processed payroll data
@@ -44,6 +185,181 @@ class PayrollService {
     }
   }
 
+  /**
+   * Get the rules a run can apply, in the order they run
+   * @returns {Promise<Object>} Rule set version and rules as { id, name }
+   */
+  async getRules() {
+    try {
+      const response = await api.get('/payroll/rules');
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to load rules', error);
+    }
+  }
+
+  /**
+   * Get the editable labor-rate tables used by the rule engine
+   * @returns {Promise<Object>} Rule set version and rate tables
+   */
+  async getRateTables() {
+    try {
+      const response = await api.get('/payroll/rates');
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to load rate tables', error);
+    }
+  }
+
+  /**
+   * Add a value to a rate table
+   * @param {string} tableId - Rate table id (e.g. 'PM_LABOR_RATES')
+   * @param {string} value - Labor rate or cost code to add
+   * @param {string} adminToken - Admin API token
+   * @returns {Promise<Object>} Updated table
+   */
+  async addRate(tableId, value, adminToken) {
+    try {
+      const response = await api.post(`/payroll/rates/${tableId}`, { value }, {
+        headers: this.getAdminHeaders(adminToken),
+      });
+      return response.data.table;
+    } catch (error) {
+      this.handleError('Failed to add rate', error);
+    }
+  }
+
+  /**
+   * Remove a value from a rate table
+   * @param {string} tableId - Rate table id
+   * @param {string} value - Labor rate or cost code to remove
+   * @param {string} adminToken - Admin API token
+   * @returns {Promise<Object>} Updated table
+   */
+  async removeRate(tableId, value, adminToken) {
+    try {
+      const response = await api.delete(
+        `/payroll/rates/${tableId}/values/${encodeURIComponent(value)}`,
+        { headers: this.getAdminHeaders(adminToken) }
+      );
+      return response.data.table;
+    } catch (error) {
+      this.handleError('Failed to remove rate', error);
+    }
+  }
+
+  /**
+   * Reset a rate table to the rule file defaults
+   * @param {string} tableId - Rate table id
+   * @param {string} adminToken - Admin API token
+   * @returns {Promise<Object>} Updated table
+   */
+  async resetRateTable(tableId, adminToken) {
+    try {
+      const response = await api.delete(`/payroll/rates/${tableId}`, {
+        headers: this.getAdminHeaders(adminToken),
+      });
+      return response.data.table;
+    } catch (error) {
+      this.handleError('Failed to reset rate table', error);
+    }
+  }
+
+  /**
+   * Get the company holiday calendar
+   * @param {number} year - Year to resolve observed holiday dates for
+   * @returns {Promise<Object>} Holiday definitions and observed dates
+   */
+  async getHolidays(year) {
+    try {
+      const response = await api.get('/payroll/holidays', { params: { year } });
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to load holiday calendar', error);
+    }
+  }
+
+  /**
+   * Add a holiday to the calendar
+   * @param {Object} holiday - Holiday definition
+   * @param {string} adminToken - Admin API token
+   * @returns {Promise<Object>} Saved holiday definition
+   */
+  async addHoliday(holiday, adminToken) {
+    try {
+      const response = await api.post('/payroll/holidays', holiday, {
+        headers: this.getAdminHeaders(adminToken),
+      });
+      return response.data.holiday;
+    } catch (error) {
+      this.handleError('Failed to add holiday', error);
+    }
+  }
+
+  /**
+   * Remove a holiday from the calendar
+   * @param {string} holidayId - Holiday id
+   * @param {string} adminToken - Admin API token
+   */
+  async removeHoliday(holidayId, adminToken) {
+    try {
+      await api.delete(`/payroll/holidays/${holidayId}`, {
+        headers: this.getAdminHeaders(adminToken),
+      });
+    } catch (error) {
+      this.handleError('Failed to remove holiday', error);
+    }
+  }
+
+  /**
+   * List past processing runs, newest first
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async getHistory() {
+    try {
+      const response = await api.get('/payroll/history');
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to load processing history', error);
+    }
+  }
+
+  /**
+   * Load a past run with its entries and changes
+   * @param {number} runId - Run id from the history list
+   * @returns {Promise<Object>} Run
+   */
+  async getRun(runId) {
+    try {
+      const response = await api.get(`/payroll/history/${runId}`);
+      return response.data.run;
+    } catch (error) {
+      this.handleError('Failed to load run', error);
+    }
+  }
+
+  /**
+   * Record the reviewer's approval of a run
+   * @param {number} runId - Run id from a processing job's metadata
+   * @param {Object} approval - { approvedBy, changes, acceptedChanges, correctedData }
+   */
+  async approveRun(runId, approval) {
+    try {
+      await api.post(`/payroll/history/${runId}/approve`, approval);
+    } catch (error) {
+      this.handleError('Failed to record approval', error);
+    }
+  }
+
+  /**
+   * Build the authorization header for admin endpoints
+   * @param {string} adminToken - Admin API token
+   * @returns {Object} Request headers
+   */
+  getAdminHeaders(adminToken) {
+    return adminToken ? { Authorization: `Bearer ${adminToken}` } : {};
+  }
+
   /**
    * Validate uploaded file
    * @param {File} file - File to validate
@@ -54,8 +370,9 @@ class PayrollService {
     const warnings = [];
 
     // Check file type
-    if (file.type !== 'application/pdf') {
-      errors.push('Only PDF files are supported');
+    const format = this.getFileFormat(file);
+    if (!format) {
+      errors.push('Only PDF, CSV or XLSX files are supported');
     }
 
     // Check file size (10MB limit)
@@ -64,8 +381,9 @@ class PayrollService {
       errors.push('File size must be less than 10MB');
     }
 
-    // Check for minimum file size (avoid empty files)
-    const minSize = 1024; // 1KB
+    // Check for minimum file size (avoid empty files) - a short CSV export
+    // is legitimately smaller than any PDF
+    const minSize = format === 'pdf' ? 1024 : 1; // 1KB for PDFs
     if (file.size < minSize) {
       errors.push('File appears to be empty or corrupted');
     }
@@ -191,6 +509,185 @@ class PayrollService {
     return sorted;
   }
 
+  /**
+   * Check a manually edited entry against the validator and business rules
+   * @param {Object} entry - Entry with the reviewer's edits applied
+   * @returns {Promise<Object>} { valid, errors, warnings }
+   */
+  async validateEntry(entry) {
+    try {
+      const response = await api.post('/payroll/validate-entry', { entry });
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to validate entry', error);
+    }
+  }
+
+  /**
+   * Run entries through the rules without recording a run
+   * @param {Array} entries - Entries to test
+   * @param {Object} options - { rules: ids of the rules to run (all when omitted),
+   *   tables: { tableId: values } proposed rate table values, explain: include the rule trace }
+   * @returns {Promise<Object>} { output, sourceIndexes, changes, needsReview, conflicts,
+   *   issues: { input, output }, ruleSelection, trace }
+   */
+  async testRules(entries, { rules, tables, explain = false } = {}) {
+    try {
+      const response = await api.post(`/payroll/test-rules${explain ? '?explain=true' : ''}`, {
+        testData: entries,
+        rules,
+        tables
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError('Failed to test rules', error);
+    }
+  }
+
+  /**
+   * Read sandbox entries typed or pasted as a JSON array, or as tab- or
+   * comma-separated rows under a header row of field names
+   * @param {string} text - Entries text
+   * @returns {Object} { entries, errors }
+   */
+  parseSandboxEntries(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      return { entries: [], errors: ['Enter at least one entry'] };
+    }
+
+    if (trimmed.startsWith('[')) {
+      try {
+        const entries = JSON.parse(trimmed);
+        return Array.isArray(entries) && entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+          ? { entries, errors: [] }
+          : { entries: [], errors: ['JSON entries must be an array of objects'] };
+      } catch (error) {
+        return { entries: [], errors: [`Invalid JSON: ${error.message}`] };
+      }
+    }
+
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    // Headers may be field names or labels, e.g. "laborRate" or "Labor Rate"
+    const headers = lines[0].split(delimiter).map(header => {
+      const key = header.trim().replace(/\s+/g, '').toLowerCase();
+      return SANDBOX_FIELDS.find(field => field.toLowerCase() === key) || null;
+    });
+    const errors = [];
+    const unknown = lines[0].split(delimiter).filter((header, index) => !headers[index]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown column${unknown.length !== 1 ? 's' : ''}: ${unknown.map(header => header.trim()).join(', ')}. Columns: ${SANDBOX_FIELDS.join(', ')}`);
+    }
+
+    const entries = lines.slice(1).map((line, index) => {
+      const values = line.split(delimiter);
+      const entry = {};
+      headers.forEach((field, column) => {
+        if (field) {
+          entry[field] = (values[column] || '').trim();
+        }
+      });
+      if ('hours' in entry) {
+        const hours = Number(entry.hours);
+        if (entry.hours === '' || Number.isNaN(hours)) {
+          errors.push(`Row ${index + 1}: hours must be a number, got "${entry.hours}"`);
+        }
+        entry.hours = hours;
+      }
+      return entry;
+    });
+    if (entries.length === 0) {
+      errors.push('Add a row for each entry under the header row');
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Write entries as tab-separated rows under a header row, for the sandbox
+   * @param {Array} entries - Entries to write
+   * @returns {string} Entries text
+   */
+  formatSandboxEntries(entries) {
+    const rows = entries.map(entry => SANDBOX_FIELDS
+      .map(field => String(entry[field] ?? '').replace(/[\t\r\n]+/g, ' '))
+      .join('\t'));
+    return [SANDBOX_FIELDS.join('\t'), ...rows].join('\n');
+  }
+
+  /**
+   * Apply accepted changes to each original entry, without expanding splits
+   * @param {Array} originalData - Entries as parsed from the report
+   * @param {Array} acceptedChanges - Changes the reviewer accepted
+   * @returns {Array} [{ entryIndex, entry, split }] where split is the
+   *   accepted weekly overtime split change for the entry, if any
+   */
+  buildReviewEntries(originalData, acceptedChanges) {
+    const changesByEntry = {};
+    [...acceptedChanges].sort((a, b) => a.id - b.id).forEach(change => {
+      if (!changesByEntry[change.entryIndex]) {
+        changesByEntry[change.entryIndex] = [];
+      }
+      changesByEntry[change.entryIndex].push(change);
+    });
+
+    return originalData.map((original, entryIndex) => {
+      const entry = { ...original };
+      let split = null;
+
+      (changesByEntry[entryIndex] || []).forEach(change => {
+        if (change.splitEntries) {
+          split = change;
+        } else {
+          entry[change.field] = change.correctedValue;
+          // A value set by a change is no longer a parser default
+          if (entry.inferredFields) {
+            entry.inferredFields = entry.inferredFields.filter(field => field !== change.field);
+          }
+        }
+      });
+
+      return { entryIndex, entry, split };
+    });
+  }
+
+  /**
+   * Rebuild corrected entries from the original entries and the changes a
+   * reviewer accepted
+   * @param {Array} originalData - Entries as parsed from the report
+   * @param {Array} acceptedChanges - Changes the reviewer accepted
+   * @returns {Array} Corrected entries, with weekly overtime splits expanded
+   */
+  applyAcceptedChanges(originalData, acceptedChanges) {
+    return this.buildReviewEntries(originalData, acceptedChanges).flatMap(({ entry, split }) => {
+      if (!split) {
+        return [entry];
+      }
+
+      // The split recorded the entry after every rule ran - only its hours
+      // and the overtime part's pay type apply, the rest is what was accepted
+      return split.splitEntries.map((part, index) => ({
+        ...entry,
+        hours: part.hours,
+        payType: index === 0 ? entry.payType : part.payType
+      }));
+    });
+  }
+
+  /**
+   * Input entry index of each entry applyAcceptedChanges returns, which is
+   * the entryIndex of the changes made to it
+   * @param {Array} originalData - Entries as parsed from the report
+   * @param {Array} acceptedChanges - Changes the reviewer accepted
+   * @returns {Array} Input entry indexes, repeated for each part of a split
+   */
+  getSourceIndexes(originalData, acceptedChanges) {
+    return this.buildReviewEntries(originalData, acceptedChanges).flatMap(({ entryIndex, split }) => (
+      split ? split.splitEntries.map(() => entryIndex) : [entryIndex]
+    ));
+  }
+
   /**
    * Download file with proper filename
    * @param {Blob} blob - File blob
@@ -228,7 +725,11 @@ class PayrollService {
       const data = error.response.data;
 
       if (status === 400) {
-        message = data.message || 'Invalid request. Please check your file and try again.';
+        message = data.message || data.details || 'Invalid request. Please check your file and try again.';
+      } else if (status === 401) {
+        message = 'Admin authorization required. Please check your admin token.';
+      } else if (status === 409) {
+        message = data.details || data.error || 'This value already exists.';
       } else if (status === 413) {
         message = 'File is too large. Please upload a smaller file.';
       } else if (status === 422) {
@@ -0,0 +1,58 @@
+import payrollService from './payrollService';
+
+// The axios client is not needed to rebuild entries
+jest.mock('./api', () => ({}));
+
+const original = {
+  employeeName: 'Smith, John',
+  employeeId: '101',
+  date: '03/07/2025',
+  hours: 8,
+  payType: 'Call',
+  laborRate: 'Tech',
+  costCode: '1COAD'
+};
+
+// Rule 7 made the Call entry Regular, then weekly overtime split it
+const officeRegular = { id: 0, entryIndex: 0, field: 'payType', originalValue: 'Call', correctedValue: 'Regular' };
+const officeRate = { id: 1, entryIndex: 0, field: 'laborRate', originalValue: 'Tech', correctedValue: 'SHOP' };
+const weeklySplit = {
+  id: 2,
+  entryIndex: 0,
+  field: 'hours',
+  originalValue: '8.00 Regular',
+  correctedValue: '4.00 Regular + 4.00 Overtime',
+  splitEntries: [
+    { ...original, hours: 4, payType: 'Regular', laborRate: 'SHOP' },
+    { ...original, hours: 4, payType: 'Overtime', laborRate: 'SHOP' }
+  ]
+};
+
+describe('applyAcceptedChanges', () => {
+  test('expands an accepted weekly overtime split', () => {
+    const corrected = payrollService.applyAcceptedChanges([original], [officeRegular, officeRate, weeklySplit]);
+
+    expect(corrected.map(entry => [entry.hours, entry.payType, entry.laborRate])).toEqual([
+      [4, 'Regular', 'SHOP'],
+      [4, 'Overtime', 'SHOP']
+    ]);
+  });
+
+  test('keeps rejected changes out of a split entry', () => {
+    const corrected = payrollService.applyAcceptedChanges([original], [weeklySplit]);
+
+    expect(corrected.map(entry => [entry.hours, entry.payType, entry.laborRate])).toEqual([
+      [4, 'Call', 'Tech'],
+      [4, 'Overtime', 'Tech']
+    ]);
+  });
+});
+
+describe('getSourceIndexes', () => {
+  test('repeats the input entry for each part of a split', () => {
+    const second = { ...original, date: '03/06/2025' };
+
+    expect(payrollService.getSourceIndexes([second, original], [{ ...weeklySplit, entryIndex: 1 }])).toEqual([0, 1, 1]);
+    expect(payrollService.getSourceIndexes([second, original], [])).toEqual([0, 1]);
+  });
+});
@@ -17,6 +17,8 @@ const EmployeeEntry = {
   description: 'string',
   payPeriodId: 'string',
   reportDate: 'string',
+  inferredFields: 'string[]', // fields missing from the report and filled with parser defaults
+  sourceFile: 'string', // batch processing only - the report the entry came from
   originalLine: 'string'
 };
 
@@ -29,7 +31,67 @@ const PayrollChange = {
   originalValue: 'string',
   correctedValue: 'string',
   rule: 'string',
-  description: 'string'
+  description: 'string',
+  id: 'number', // Sequential id within one processing run
+  entryIndex: 'number', // Index of the original entry the change applies to
+  rulesVersion: 'string', // rule set in effect on the entry's date; absent on manual edits
+  sourceFile: 'string' // batch processing only
+};
+
+// Entry the rule engine could not correct automatically
+const NeedsReviewItem = {
+  employeeName: 'string',
+  employeeId: 'string',
+  date: 'string',
+  field: 'string',
+  value: 'string',
+  rule: 'string',
+  reason: 'string',
+  entryIndex: 'number',
+  sourceFile: 'string' // batch processing only
+};
+
+// Printed report totals compared with the sum of parsed entry hours
+const TotalsComparison = {
+  printedTotal: 'number', // null when the total line had no hours
+  parsedTotal: 'number',
+  byPayType: 'object', // printed pay type subtotals, keyed by lower-cased pay type
+  status: 'string', // matched, mismatch or unavailable (no printed hours to compare)
+  matched: 'boolean', // false when unavailable
+  comparedCount: 'number', // printed totals and subtotals compared
+  differences: 'Array<{ payType, printed, parsed, difference }>'
+};
+
+const Reconciliation = {
+  status: 'string', // matched, mismatch or unavailable
+  mismatchCount: 'number',
+  employees: 'Array<TotalsComparison & { employeeName, employeeId, sourceFile }>', // sourceFile in batches only
+  report: 'TotalsComparison', // null when no Report Totals line was found, and in batches
+  reports: 'Array<TotalsComparison & { sourceFile }>' // batches only - each file's Report Totals
+};
+
+// Entry block the parser skipped or only partly read
+const ParseDiagnostic = {
+  line: 'number', // 1-based line of the block's job code in the extracted text (row number in layout mode and for CSV/XLSX)
+  page: 'number', // layout mode only
+  type: 'string', // skipped (entry lost) or partial (entry kept, some fields guessed)
+  code: 'string', // no_employee, truncated_block, bad_date, bad_hours, missing_dash_line, unknown_pay_type or default_fields
+  reason: 'string',
+  employeeName: 'string', // null outside an employee section
+  employeeId: 'string',
+  rawText: 'string', // the block's lines as extracted
+  sourceFile: 'string' // batch processing only
+};
+
+// Problem across entries that no rule can fix (see backend/services/entryChecker.js)
+const EntryFinding = {
+  type: 'string', // duplicate, near_duplicate (same job/date, different rate or hours) or daily_total
+  employeeName: 'string',
+  employeeId: 'string',
+  date: 'string',
+  entryIndexes: 'number[]', // indexes into the original entries
+  reason: 'string',
+  totalHours: 'number' // daily_total only
 };
 
 // API response structures
@@ -38,17 +100,135 @@ const ProcessResponse = {
   originalCount: 'number',
   correctedCount: 'number',
   changesCount: 'number',
+  needsReviewCount: 'number',
+  conflictsCount: 'number',
+  reconciliation: 'Reconciliation', // null for CSV/XLSX imports
+  diagnostics: 'ParseDiagnostic[]',
+  findings: 'EntryFinding[]',
   data: {
     original: 'EmployeeEntry[]',
     corrected: 'EmployeeEntry[]',
-    changes: 'PayrollChange[]'
+    changes: 'PayrollChange[]',
+    needsReview: 'NeedsReviewItem[]',
+    conflicts: 'RuleConflict[]',
+    trace: 'EntryTrace[]' // ?explain=true only, in entry order
   },
   metadata: {
     filename: 'string',
-    processedAt: 'string'
+    processedAt: 'string',
+    extraction: '{ requestedMode, mode, fallbackReason }', // mode is text, layout, csv or xlsx
+    ruleSelection: 'RuleSelection',
+    batch: 'BatchMetadata' // /process-batch only
   }
 };
 
+// Rules a run applied (GET /api/payroll/rules lists the ids)
+const RuleSelection = {
+  rulesVersion: 'string',
+  allRules: 'boolean',
+  applied: 'Array<{ id, name }>', // in the order they ran
+  skipped: 'Array<{ id, name }>',
+  ruleSetVersions: 'string[]' // rule sets the entries were corrected with, oldest first
+};
+
+// Two rules wanting different values for an entry (see rule priority)
+const RuleConflict = {
+  entryIndex: 'number',
+  employeeName: 'string',
+  employeeId: 'string',
+  date: 'string',
+  type: 'string', // overwrite (both change field) or condition (the first rule's change to field stopped the second from matching)
+  field: 'string',
+  proposals: 'Array<{ ruleId, rule, priority, changes: Array<{ field, value, reason }> }>', // earlier rule first
+  winner: 'string', // rule id that was kept
+  resolvedBy: 'string', // priority, or order when the priorities are equal
+  description: 'string'
+};
+
+// Why the rules did or did not change one entry (?explain=true)
+const EntryTrace = {
+  entryIndex: 'number',
+  employeeName: 'string',
+  employeeId: 'string',
+  date: 'string',
+  rulesVersion: 'string',
+  rules: 'RuleTraceStep[]' // every rule in run order, disabled ones included
+};
+
+const RuleTraceStep = {
+  ruleId: 'string',
+  rule: 'string',
+  disabled: 'boolean', // only set for rules left out of the run
+  matched: 'boolean',
+  outcome: 'string',
+  condition: '{ test, field, value, result, conditions }|null', // conditions for all/any/not
+  corrections: 'Array<{ field, rule, unless, before, after, outcome, reason }>', // outcome changed, unchanged, skipped, review or overridden
+  fields: 'Array<{ field, before, after }>'
+};
+
+// Files merged by POST /api/payroll/process-batch
+const BatchMetadata = {
+  files: 'Array<{ filename, fileHash, entryCount, extraction }>',
+  payPeriods: 'Array<{ payPeriodId, entryCount, files }>',
+  duplicates: 'Array<{ employeeName, employeeId, date, entryIndexes, files }>' // same entry in several files
+};
+
+// Background processing job (GET /api/payroll/jobs/:id)
+const Job = {
+  id: 'string',
+  label: 'string', // uploaded file name
+  status: 'string', // queued, running, completed, failed or cancelled
+  createdAt: 'string',
+  finishedAt: 'string|null',
+  progress: 'JobEvent|null', // last event
+  result: 'ProcessResponse|null', // once completed
+  error: '{ status, error, details }|null' // once failed
+};
+
+// Event on GET /api/payroll/jobs/:id/events (SSE event name is the type)
+const JobEvent = {
+  type: 'string', // progress or status
+  stage: 'string', // extract, parse, rules; start, done, failed or cancelled for status events
+  message: 'string',
+  status: 'string', // status events only
+  page: 'number', // extract: page read so far
+  pageCount: 'number',
+  employees: 'number', // parse
+  entries: 'number',
+  diagnostics: 'number',
+  rules: 'number', // rules
+  changes: 'number',
+  needsReview: 'number',
+  at: 'string'
+};
+
+// CSV/XLSX column mapping step (POST /api/payroll/import/preview)
+const ImportPreviewResponse = {
+  success: 'boolean',
+  format: 'string', // csv or xlsx
+  headers: 'string[]',
+  rowCount: 'number',
+  sampleRows: 'Array<{ [header]: string }>',
+  fields: 'Array<{ field, label, required }>', // EmployeeEntry fields a column can map to
+  mapping: '{ [field]: header }', // sent back as columnMapping to /process
+  mappingSource: 'string' // saved (same headers mapped before) or suggested
+};
+
+// Rule sandbox run (POST /api/payroll/test-rules), nothing is stored
+const TestRulesResponse = {
+  success: 'boolean',
+  input: 'EmployeeEntry[]', // testData as sent
+  output: 'EmployeeEntry[]', // corrected entries
+  sourceIndexes: 'number[]', // input entry of each output entry (weekly overtime splits)
+  changes: 'PayrollChange[]',
+  needsReview: 'NeedsReviewItem[]',
+  conflicts: 'RuleConflict[]',
+  issues: '{ input: string[][], output: string[][] }', // validateEntry issues per input and per output entry
+  ruleSelection: 'RuleSelection',
+  proposedTables: 'string[]', // rate tables the run used proposed values for
+  trace: 'EntryTrace[]' // only with ?explain=true
+};
+
 // Business rule constants
 const BUSINESS_RULES = {
   SERVICE_INSTALL_LABOR_RATES: [
@@ -84,8 +264,12 @@ const RULE_DESCRIPTIONS = {
 // File validation constants
 const FILE_VALIDATION = {
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-  ALLOWED_TYPES: ['application/pdf'],
-  ALLOWED_EXTENSIONS: ['.pdf']
+  ALLOWED_TYPES: [
+    'application/pdf',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  ALLOWED_EXTENSIONS: ['.pdf', '.csv', '.xlsx']
 };
 
 // Date utilities
@@ -98,7 +282,21 @@ const DATE_FORMATS = {
 module.exports = {
   EmployeeEntry,
   PayrollChange,
+  NeedsReviewItem,
+  TotalsComparison,
+  Reconciliation,
+  ParseDiagnostic,
+  EntryFinding,
   ProcessResponse,
+  ImportPreviewResponse,
+  TestRulesResponse,
+  BatchMetadata,
+  RuleSelection,
+  RuleConflict,
+  EntryTrace,
+  RuleTraceStep,
+  Job,
+  JobEvent,
   BUSINESS_RULES,
   RULE_DESCRIPTIONS,
   FILE_VALIDATION,
@@ -16,11 +16,15 @@ async function testPDFParser() {
     console.log('...\n');
     
     console.log('Parsing employee data...');
-    const employees = await pdfParser.parseEmployeeData(text);
+    const { entries: employees, diagnostics } = await pdfParser.parseEmployeeData(text);
     
     console.log('\n=== FINAL RESULTS ===');
     console.log(`Total employees parsed: ${new Set(employees.map(e => e.employeeName)).size}`);
     console.log(`Total time entries parsed: ${employees.length}`);
+    console.log(`Parser warnings: ${diagnostics.length}`);
+    diagnostics.slice(0, 10).forEach(diagnostic => {
+      console.log(`  Line ${diagnostic.line} (${diagnostic.type}): ${diagnostic.reason}`);
+    });
     
     // Show summary by employee
     const employeeSummary = {};